@@ -28,6 +28,11 @@ config.getPlatesDataPath = function() {
   return path.join(this.storage.local.dataDirectory, 'plates.json');
 };
 
+config.getWorkOrdersDataPath = function() {
+  const path = require('path');
+  return path.join(this.storage.local.dataDirectory, 'work_orders.json');
+};
+
 config.getPermanentDataDir = function() {
   return this.storage.local.dataDirectory;
 };
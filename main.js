@@ -8,8 +8,13 @@
  *
  * Usage:
  *   node main.js --init-excel <excel_path> --models <models_path>  # Initialize from Excel + models
+ *   node main.js --init-excel <excel_path> --models <models_path> --dry-run  # Preview import diff
+ *   node main.js --init-excel <excel_path> --models <models_path> --merge    # Merge into existing plates
+ *   node main.js --init-excel <excel_path> --models <models_path> --skip-invalid-folders  # Import despite bad model folders
+ *   node main.js --export-xlsx <output_path>                              # Export inventory to Excel
  *   node main.js --init-test                                       # Test initialization
  *   node main.js --serve                                           # Start web service
+ *   node main.js --serve --watch-models                            # ...and keep model links live
  */
 
 const path = require("path");
@@ -45,6 +50,8 @@ async function main() {
     // Handle different command modes
     if (hasFlag("--init-excel")) {
       await runExcelInitialization();
+    } else if (hasFlag("--export-xlsx")) {
+      await runExcelExport();
     } else if (hasFlag("--init-test")) {
       await runTestInitialization();
     } else if (hasFlag("--serve")) {
@@ -68,10 +75,16 @@ function showUsage() {
   console.log(
     "  node main.js --init-excel <excel_path> --models <models_path>"
   );
-  console.log("    Initialize from Excel file and model folders\n");
+  console.log("    Initialize from Excel file and model folders");
+  console.log("    Add --dry-run to report added/removed/changed plates without writing");
+  console.log("    Add --skip-invalid-folders to leave plates with invalid model folders unlinked\n");
+
+  console.log("  node main.js --export-xlsx <output_path>");
+  console.log("    Export the inventory back to the Készülékek.xlsx layout\n");
 
   console.log("  node main.js --serve");
-  console.log("    Start web service\n");
+  console.log("    Start web service");
+  console.log("    Add --watch-models to update plate model links when model folders change\n");
 
   console.log("Development Commands:");
   console.log("  node main.js --init-test");
@@ -106,30 +119,159 @@ async function runExcelInitialization() {
     process.exit(1);
   }
 
+  if (hasFlag("--dry-run")) {
+    await runImportPreview(excelPath, modelsPath);
+    return;
+  }
+
+  if (hasFlag("--merge")) {
+    await runImportMerge(excelPath, modelsPath);
+    return;
+  }
+
   console.log("🔧 Production Initialization - Processing Excel and Models...");
   console.log(`📊 Excel file: ${excelPath}`);
   console.log(`📂 Models folder: ${modelsPath}`);
 
   // Use our proven convert_excel_to_json logic
   const convertExcelToJson = require("./src/convert_excel_to_json");
-  const result = await convertExcelToJson(excelPath, modelsPath);
+  const result = await convertExcelToJson(excelPath, modelsPath, {
+    skipInvalidFolders: hasFlag("--skip-invalid-folders"),
+  });
 
   console.log("\n✅ Production initialization completed!");
   console.log(`📦 Plates processed: ${result.platesProcessed}`);
   console.log(`🔗 Models linked: ${result.modelsLinked}`);
   console.log(`💾 Output file: ${result.outputPath}`);
+  if (result.validationReport.skippedFolders.length > 0) {
+    console.log(`⏭️  Skipped model folders: ${result.validationReport.skippedFolders.join(", ")}`);
+    console.log(`📝 Validation report: ${result.reportPath}`);
+  }
   
-  // Copy to plates.json so PlateService can find it
-  const fsp = require("fs").promises;
-  const platesPath = config.getPlatesDataPath();
-  await fsp.copyFile(result.outputPath, platesPath);
-  console.log(`📋 Copied to: ${platesPath}`);
+  // Install as plates.json so PlateService can find it
+  const DataManager = require("./src/DataManager");
+  await new DataManager().installPlatesFile(result.outputPath);
+  console.log(`📋 Installed as: ${config.getPlatesDataPath()}`);
   
   console.log("\nNext steps:");
   console.log("- Run 'node main.js --serve' to start the web service");
   console.log(`- Visit http://localhost:${config.webService.port}/api/plates`);
 }
 
+/**
+ * Diff the workbook against the current inventory without writing anything
+ */
+async function runImportPreview(excelPath, modelsPath) {
+  console.log("🔍 Import dry run - nothing will be written");
+  console.log(`📊 Excel file: ${excelPath}`);
+  console.log(`📂 Models folder: ${modelsPath}`);
+
+  const DataManager = require("./src/DataManager");
+  const PlateService = require("./src/PlateService");
+  const ImportService = require("./src/ImportService");
+
+  const plateService = new PlateService(new DataManager());
+  await plateService.loadPlates();
+  const report = await new ImportService(plateService).previewImport(excelPath, modelsPath, {
+    skipInvalidFolders: hasFlag("--skip-invalid-folders"),
+  });
+
+  if (hasFlag("--json")) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  printImportReport(report);
+}
+
+/**
+ * Merge the workbook into plates.json, keeping ids and runtime state
+ */
+async function runImportMerge(excelPath, modelsPath) {
+  console.log("🔄 Merge import - updating existing plates from Excel");
+  console.log(`📊 Excel file: ${excelPath}`);
+  console.log(`📂 Models folder: ${modelsPath}`);
+
+  const DataManager = require("./src/DataManager");
+  const PlateService = require("./src/PlateService");
+  const ImportService = require("./src/ImportService");
+
+  const plateService = new PlateService(new DataManager());
+  await plateService.loadPlates();
+  const report = await new ImportService(plateService).mergeImport(excelPath, modelsPath, {
+    importedBy: getFlagValue("--operator") || "import",
+    skipInvalidFolders: hasFlag("--skip-invalid-folders"),
+  });
+
+  if (hasFlag("--json")) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const { summary } = report;
+  console.log("\n✅ Merge import completed!");
+  console.log(
+    `➕ Added: ${summary.added}   ✏️  Updated: ${summary.updated}   🚩 Flagged as removed: ${summary.flagged}   ✅ Unchanged: ${summary.unchanged}`
+  );
+  report.flagged.forEach((plate) => {
+    console.log(`  🚩 ${plate.plateNumber} [${plate.id}] no longer in Excel${plate.occupancy === "in-use" ? " ⚠️ currently in use" : ""}`);
+  });
+  report.warnings.forEach((warning) => console.log(`⚠️  ${warning}`));
+}
+
+/**
+ * Write the current inventory to a workbook the importer can read back
+ */
+async function runExcelExport() {
+  const outputPath = getFlagValue("--export-xlsx");
+
+  if (!outputPath) {
+    console.error("❌ Error: --export-xlsx requires an output file path");
+    console.log("Usage: node main.js --export-xlsx <output_path>");
+    process.exit(1);
+  }
+
+  const DataManager = require("./src/DataManager");
+  const PlateService = require("./src/PlateService");
+  const ExcelProcessor = require("./utils/ExcelProcessor");
+  const ExcelExporter = require("./utils/ExcelExporter");
+
+  const plateService = new PlateService(new DataManager());
+  await plateService.loadPlates();
+  const mapping = await ExcelProcessor.loadColumnMapping(config.getConfigDataPath());
+  const exporter = new ExcelExporter({ mapping, previewsDir: config.getPreviewsDir() });
+  const result = await exporter.writeFile(await plateService.getAllPlates(), path.resolve(outputPath));
+
+  console.log("\n✅ Excel export completed!");
+  console.log(`📦 Plates exported: ${result.plateCount} (${result.rowCount} rows)`);
+  console.log(`🖼️  Preview images embedded: ${result.imageCount}`);
+  console.log(`💾 Output file: ${result.outputPath}`);
+}
+
+function printImportReport(report) {
+  const { summary } = report;
+  console.log("\n📋 Import Preview");
+  console.log("=================");
+  console.log(
+    `➕ Added: ${summary.added}   ➖ Removed: ${summary.removed}   ✏️  Changed: ${summary.changed}   ✅ Unchanged: ${summary.unchanged}`
+  );
+
+  report.added.forEach((plate) => {
+    console.log(`  + ${plate.plateNumber} (shelf ${plate.shelf || "?"})`);
+  });
+  report.removed.forEach((plate) => {
+    console.log(`  - ${plate.plateNumber} [${plate.id}]${plate.occupancy === "in-use" ? " ⚠️ currently in use" : ""}`);
+  });
+  report.changed.forEach((plate) => {
+    console.log(`  ~ ${plate.plateNumber} [${plate.id}]: ${plate.changes.map((change) => change.field).join(", ")}`);
+  });
+
+  report.warnings.forEach((warning) => console.log(`⚠️  ${warning}`));
+  if (report.validationIssues.length > 0) {
+    console.log(`⚠️  ${report.validationIssues.length} model folder issue(s) - see above`);
+  }
+}
+
 async function runTestInitialization() {
   const fs = require("fs");
   const fsp = require("fs").promises;
@@ -206,10 +348,10 @@ async function runTestInitialization() {
     console.log(`🔗 Models linked: ${result.modelsLinked}`);
     console.log(`💾 Output file: ${result.outputPath}`);
     
-    // Copy to plates.json so PlateService can find it
-    const platesPath = config.getPlatesDataPath();
-    await fsp.copyFile(result.outputPath, platesPath);
-    console.log(`📋 Copied to: ${platesPath}`);
+    // Install as plates.json so PlateService can find it
+    const DataManager = require("./src/DataManager");
+    await new DataManager().installPlatesFile(result.outputPath);
+    console.log(`📋 Installed as: ${config.getPlatesDataPath()}`);
   } catch (error) {
     logError("Test initialization failed", { error: error.message });
     throw error;
@@ -241,7 +383,7 @@ async function runWebService() {
   const WebService = require("./src/WebService");
   const service = new WebService();
 
-  await service.start();
+  await service.start({ watchModels: hasFlag("--watch-models") });
 }
 
 // Start the application
@@ -252,6 +394,9 @@ if (require.main === module) {
 module.exports = {
   main,
   runExcelInitialization,
+  runImportPreview,
+  runImportMerge,
+  runExcelExport,
   runTestInitialization,
   runWebService,
 };
@@ -12,6 +12,8 @@ const { logInfo, logError, logWarn } = require("../utils/Logger");
 class DataManager {
   constructor() {
     this.initialized = false;
+    this.recovery = null; // Set when plates.json was restored from its .prev copy
+    this.workOrdersRecovery = null; // Same for work_orders.json
   }
 
   /**
@@ -38,16 +40,16 @@ class DataManager {
 
   /**
    * Load plates data
+   * A corrupt plates.json (e.g. truncated by a crash mid-write) is recovered
+   * from the rolling .prev copy; if that fails too the load is refused
+   * rather than silently starting with an empty inventory
    */
   async loadPlates() {
-    try {
-      const filePath = config.getPlatesDataPath();
-
-      // Load from local file
-      const data = await fs.readFile(filePath, "utf8");
-      const parsed = JSON.parse(data);
+    const filePath = config.getPlatesDataPath();
 
-      return Array.isArray(parsed) ? parsed : parsed.plates || [];
+    let data;
+    try {
+      data = await fs.readFile(filePath, "utf8");
     } catch (error) {
       if (error.code === "ENOENT") {
         logInfo("No existing plates data found, starting fresh");
@@ -55,16 +57,121 @@ class DataManager {
       }
       throw error;
     }
+
+    try {
+      return this.parsePlatesData(data);
+    } catch (parseError) {
+      return await this.recoverPlates(filePath, parseError);
+    }
+  }
+
+  /**
+   * Parse plates file content
+   * Accepts both a bare array and the { metadata, plates } inventory format
+   */
+  parsePlatesData(data) {
+    const parsed = JSON.parse(data);
+
+    if (Array.isArray(parsed)) {
+      return parsed;
+    }
+    if (parsed && typeof parsed === "object") {
+      if (parsed.plates === undefined) {
+        return [];
+      }
+      if (Array.isArray(parsed.plates)) {
+        return parsed.plates;
+      }
+    }
+
+    throw new Error("Unexpected plates data format");
+  }
+
+  /**
+   * Recover plates.json from the last good copy
+   */
+  async recoverPlates(filePath, parseError) {
+    const { data: plates, recovery } = await this.recoverFromPreviousCopy(filePath, parseError, {
+      label: "plates",
+      parse: (data) => this.parsePlatesData(data),
+      errorCode: "EPLATESCORRUPT",
+    });
+
+    this.recovery = { ...recovery, plateCount: plates.length };
+    return plates;
+  }
+
+  /**
+   * Replace a corrupt data file with its .prev copy
+   * The corrupt file is kept beside it for inspection; when the copy is
+   * unusable too the load is refused with errorCode
+   * @param {string} filePath - Corrupt data file
+   * @param {Error} parseError - Why the file could not be read
+   * @param {Object} options - { label, parse, serialize, errorCode }
+   * @returns {Promise<{data: Array, recovery: Object}>}
+   */
+  async recoverFromPreviousCopy(filePath, parseError, {
+    label,
+    parse,
+    serialize = (data) => JSON.stringify(data, null, 2),
+    errorCode,
+  }) {
+    const previousPath = this.getPreviousCopyPath(filePath);
+    const capitalized = label.charAt(0).toUpperCase() + label.slice(1);
+
+    logError(`${path.basename(filePath)} is corrupt - attempting recovery from last good copy`, {
+      error: parseError.message,
+      filePath,
+      previousPath,
+    });
+    console.error(`❌ [DataManager] ${filePath} is corrupt: ${parseError.message}`);
+
+    let data;
+    try {
+      data = parse(await fs.readFile(previousPath, "utf8"));
+    } catch (previousError) {
+      logError(`Recovery failed - no usable copy of ${label} data`, {
+        error: previousError.message,
+        previousPath,
+      });
+      const error = new Error(
+        `${capitalized} data is corrupt and could not be recovered: ${parseError.message}`
+      );
+      error.code = errorCode;
+      throw error;
+    }
+
+    // Keep the corrupt file for inspection, then put the good copy back in place
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const corruptCopyPath = `${filePath}.corrupt-${timestamp}`;
+    await fs.copyFile(filePath, corruptCopyPath);
+    await this.writeFileAtomic(filePath, serialize(data));
+
+    const recovery = {
+      recoveredAt: new Date().toISOString(),
+      error: parseError.message,
+      restoredFrom: previousPath,
+      corruptCopy: corruptCopyPath,
+    };
+
+    logWarn(`Recovered ${label} data from last good copy`, { ...recovery, count: data.length });
+    console.warn(
+      `⚠️  [DataManager] RECOVERED ${data.length} ${label} from ${previousPath} - corrupt file kept at ${corruptCopyPath}`
+    );
+
+    return { data, recovery };
   }
 
   /**
    * Save plates data
+   * Writes to a temp file, fsyncs and renames over plates.json so a crash
+   * never leaves a half-written file; the previous version is kept as .prev
    */
   async savePlates(plates) {
     try {
-      // Save to local file
       const filePath = config.getPlatesDataPath();
-      await fs.writeFile(filePath, JSON.stringify(plates, null, 2));
+      await this.rotatePreviousCopy(filePath);
+      await this.writeFileAtomic(filePath, JSON.stringify(plates, null, 2));
 
       logInfo(`Saved ${plates.length} plates to storage`);
     } catch (error) {
@@ -73,8 +180,184 @@ class DataManager {
     }
   }
 
+  /**
+   * Replace plates.json with a generated inventory file (e.g. --init-excel output)
+   * Goes through the same atomic write and .prev rotation as savePlates
+   * @param {string} sourcePath - Inventory JSON to install
+   * @returns {Promise<number>} Number of plates installed
+   */
+  async installPlatesFile(sourcePath) {
+    try {
+      const filePath = config.getPlatesDataPath();
+      const data = await fs.readFile(sourcePath, "utf8");
+      const plates = this.parsePlatesData(data);
+
+      await this.rotatePreviousCopy(filePath);
+      await this.writeFileAtomic(filePath, data);
+
+      logInfo(`Installed ${plates.length} plates from ${sourcePath}`);
+      return plates.length;
+    } catch (error) {
+      logError("Failed to install plates file", { error: error.message, sourcePath });
+      throw error;
+    }
+  }
+
+  /**
+   * Copy the current file to its .prev slot, but only if it is still valid
+   * so a corrupt file never replaces the last good copy
+   */
+  async rotatePreviousCopy(filePath, parse = (data) => this.parsePlatesData(data)) {
+    let data;
+    try {
+      data = await fs.readFile(filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return;
+      }
+      throw error;
+    }
+
+    try {
+      parse(data);
+    } catch (parseError) {
+      logWarn("Current data file is not valid, keeping existing .prev copy", {
+        error: parseError.message,
+        filePath,
+      });
+      return;
+    }
+
+    await this.writeFileAtomic(this.getPreviousCopyPath(filePath), data);
+  }
+
+  /**
+   * Write a file atomically: temp file + fsync + rename + directory fsync
+   */
+  async writeFileAtomic(filePath, content) {
+    const tempPath = `${filePath}.tmp`;
+    const handle = await fs.open(tempPath, "w");
+    try {
+      await handle.writeFile(content);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    await fs.rename(tempPath, filePath);
+    await this.syncDirectory(path.dirname(filePath));
+  }
+
+  /**
+   * Flush a directory entry to disk so the rename survives a power cut
+   * Not supported on every platform (e.g. Windows), so failures are ignored
+   */
+  async syncDirectory(dirPath) {
+    let handle;
+    try {
+      handle = await fs.open(dirPath, "r");
+      await handle.sync();
+    } catch (error) {
+      // Directory fsync is best effort
+    } finally {
+      if (handle) {
+        await handle.close();
+      }
+    }
+  }
+
+  /**
+   * Get path of the rolling last-good copy for a data file
+   */
+  getPreviousCopyPath(filePath) {
+    return `${filePath}.prev`;
+  }
+
+  /**
+   * Get storage health for /api/health
+   */
+  getStorageHealth() {
+    return {
+      status: this.recovery || this.workOrdersRecovery ? "recovered" : "ok",
+      recovery: this.recovery,
+      workOrdersRecovery: this.workOrdersRecovery,
+    };
+  }
+
+  /**
+   * Load work orders
+   * A corrupt work_orders.json is recovered from its .prev copy like plates.json
+   * @returns {Promise<Array|null>} Stored work orders, or null when no store exists yet
+   */
+  async loadWorkOrders() {
+    const filePath = config.getWorkOrdersDataPath();
+
+    let data;
+    try {
+      data = await fs.readFile(filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        logInfo("No work order store found");
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      return this.parseWorkOrdersData(data);
+    } catch (parseError) {
+      const { data: workOrders, recovery } = await this.recoverFromPreviousCopy(filePath, parseError, {
+        label: "work orders",
+        parse: (content) => this.parseWorkOrdersData(content),
+        serialize: (recovered) => this.serializeWorkOrders(recovered),
+        errorCode: "EWORKORDERSCORRUPT",
+      });
+      this.workOrdersRecovery = { ...recovery, workOrderCount: workOrders.length };
+      return workOrders;
+    }
+  }
+
+  /**
+   * Parse work order file content
+   * Accepts both a bare array and the { lastModified, workOrders } format
+   */
+  parseWorkOrdersData(data) {
+    const parsed = JSON.parse(data);
+
+    if (Array.isArray(parsed)) {
+      return parsed;
+    }
+    if (parsed && typeof parsed === "object" && (parsed.workOrders === undefined || Array.isArray(parsed.workOrders))) {
+      return parsed.workOrders || [];
+    }
+
+    throw new Error("Unexpected work orders data format");
+  }
+
+  serializeWorkOrders(workOrders) {
+    return JSON.stringify({ lastModified: new Date().toISOString(), workOrders }, null, 2);
+  }
+
+  /**
+   * Save work orders
+   * Atomic write with a .prev copy of the last good version, as for plates
+   */
+  async saveWorkOrders(workOrders) {
+    try {
+      const filePath = config.getWorkOrdersDataPath();
+      await this.rotatePreviousCopy(filePath, (data) => this.parseWorkOrdersData(data));
+      await this.writeFileAtomic(filePath, this.serializeWorkOrders(workOrders));
+
+      logInfo(`Saved ${workOrders.length} work orders to storage`);
+    } catch (error) {
+      logError("Failed to save work orders", { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Save operational report
+   * @returns {Promise<string>} Path of the saved report
    */
   async saveReport(reportType, reportData) {
     try {
@@ -92,6 +375,7 @@ class DataManager {
       await fs.writeFile(filePath, JSON.stringify(reportData, null, 2));
 
       logInfo("Report saved", { reportType, filename });
+      return filePath;
     } catch (error) {
       logError("Failed to save report", { error: error.message, reportType });
       throw error;
@@ -121,7 +405,7 @@ class DataManager {
   async saveConfig(configData) {
     try {
       const filePath = config.getConfigDataPath();
-      await fs.writeFile(filePath, JSON.stringify(configData, null, 2));
+      await this.writeFileAtomic(filePath, JSON.stringify(configData, null, 2));
 
       logInfo("Configuration saved");
     } catch (error) {
@@ -191,6 +475,7 @@ class DataManager {
         },
         local: {
           platesFile: await this.getFileStats(config.getPlatesDataPath()),
+          workOrdersFile: await this.getFileStats(config.getWorkOrdersDataPath()),
           configFile: await this.getFileStats(config.getConfigDataPath()),
         },
       };
@@ -0,0 +1,155 @@
+// src/FitService.js
+/**
+ * Fixture-fit lookup
+ * Finds free plates whose dimensions can take a part envelope, smallest
+ * sufficient plate first, and explains why near-misses were left out
+ */
+
+const ServiceError = require('../utils/ServiceError');
+const PlateDimensions = require('../utils/PlateDimensions');
+
+/**
+ * Health states that rule a plate out for new work
+ */
+const UNFIT_HEALTH = ['locked', 'damaged'];
+
+/**
+ * How much too small (mm, on any axis) a plate may be to still be reported
+ * as a near-miss
+ */
+const NEAR_MISS_MM = 10;
+
+const AXES = ['length', 'width', 'height'];
+
+class FitService {
+  constructor(plateService) {
+    this.plateService = plateService;
+  }
+
+  /**
+   * Find plates that fit a part envelope
+   * The part may be turned: its dimensions are sorted largest first and
+   * compared with the plate's length, width and height. Height is compared
+   * only when the plate has one (Excel sizes are often just length x width)
+   * @param {Object} envelope - { x, y, z } part envelope in mm
+   * @returns {Promise<{query: Object, total: number, results: Array, nearMisses: Array, withoutDimensions: number}>}
+   * @throws {ServiceError} 400 when a dimension is missing or not a positive number
+   */
+  async findFittingPlates(envelope = {}) {
+    const part = this.parseEnvelope(envelope);
+    const results = [];
+    const nearMisses = [];
+    let withoutDimensions = 0;
+
+    for (const plate of await this.plateService.getAllPlates()) {
+      const dimensions = this.getDimensions(plate);
+      if (!dimensions) {
+        withoutDimensions++;
+        continue;
+      }
+
+      const shortfalls = this.getShortfalls(dimensions, part);
+      const tooSmall = shortfalls.filter(shortfall => shortfall.missing > 0);
+      if (tooSmall.some(shortfall => shortfall.missing > NEAR_MISS_MM)) {
+        continue;
+      }
+
+      const reasons = [
+        ...tooSmall.map(({ axis, available, required, missing }) =>
+          `${axis} ${available} mm is ${missing} mm short of ${required} mm`),
+        ...this.getAvailabilityReasons(plate)
+      ];
+      const summary = {
+        plateId: plate.id,
+        plateNumber: plate.plateNumber,
+        shelf: plate.shelf,
+        health: plate.health,
+        occupancy: plate.occupancy,
+        boxSize: PlateDimensions.formatBoxSize(dimensions),
+        dimensions
+      };
+
+      if (reasons.length > 0) {
+        nearMisses.push({ ...summary, reasons });
+      } else {
+        results.push({
+          ...summary,
+          spare: Object.fromEntries(shortfalls.map(({ axis, available, required }) =>
+            [axis, Math.round((available - required) * 10) / 10]))
+        });
+      }
+    }
+
+    results.sort((a, b) => this.compareSize(a.dimensions, b.dimensions) ||
+      String(a.plateNumber).localeCompare(String(b.plateNumber), undefined, { numeric: true }));
+    nearMisses.sort((a, b) => a.reasons.length - b.reasons.length || this.compareSize(a.dimensions, b.dimensions));
+
+    return {
+      query: { ...part, units: 'mm' },
+      total: results.length,
+      results,
+      nearMisses,
+      withoutDimensions
+    };
+  }
+
+  /**
+   * Validate the envelope and sort it largest first
+   */
+  parseEnvelope(envelope) {
+    const values = ['x', 'y', 'z'].map(axis => {
+      const value = Number(envelope[axis]);
+      if (envelope[axis] === undefined || envelope[axis] === '' || !(value > 0) || !isFinite(value)) {
+        throw ServiceError.badRequest(`${axis} must be a positive number of millimetres`);
+      }
+      return value;
+    });
+
+    const [length, width, height] = values.sort((a, b) => b - a);
+    return { length, width, height };
+  }
+
+  /**
+   * Structured dimensions from the import, or the hand-edited boxSize
+   */
+  getDimensions(plate) {
+    return plate.dimensions || PlateDimensions.parseBoxSize(plate.boxSize);
+  }
+
+  /**
+   * Per-axis comparison; missing > 0 means the plate is too small on that axis
+   */
+  getShortfalls(dimensions, part) {
+    return AXES
+      .filter(axis => dimensions[axis] !== null && dimensions[axis] !== undefined)
+      .map(axis => ({
+        axis,
+        available: dimensions[axis],
+        required: part[axis],
+        missing: Math.round((part[axis] - dimensions[axis]) * 10) / 10
+      }));
+  }
+
+  getAvailabilityReasons(plate) {
+    const reasons = [];
+    if (UNFIT_HEALTH.includes(plate.health)) {
+      reasons.push(`health is ${plate.health}`);
+    }
+    if (plate.occupancy !== 'free') {
+      reasons.push(`plate is ${plate.occupancy}`);
+    }
+    if (plate.removedFromExcel) {
+      reasons.push('removed from Excel master sheet');
+    }
+    return reasons;
+  }
+
+  /**
+   * Smaller footprint first, then lower height
+   */
+  compareSize(a, b) {
+    return a.length * a.width - b.length * b.width || (a.height || 0) - (b.height || 0);
+  }
+}
+
+module.exports = FitService;
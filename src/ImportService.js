@@ -0,0 +1,206 @@
+// src/ImportService.js
+/**
+ * Excel import service
+ * Compares a parsed workbook against the live inventory so an import can be
+ * previewed before anything is written, and merges it into the inventory
+ * without losing runtime state
+ */
+
+const { logInfo } = require('../utils/Logger');
+const convertExcelToJson = require('./convert_excel_to_json');
+const PlateSchema = require('./PlateSchema');
+
+/**
+ * Plate fields owned by the Excel master sheet and model folders
+ * Everything else (history, occupancy, notes, reservations...) is runtime state
+ */
+const EXCEL_OWNED_FIELDS = [
+  'workHistory',
+  'workHistoryEntries',
+  'workProjects',
+  'shelf',
+  'shelfNumber',
+  'boxSize',
+  'dimensions',
+  'isLocked',
+  'previewImage',
+  'currentModelFile',
+  'modelFiles',
+  'modelStatus'
+];
+
+class ImportService {
+  constructor(plateService) {
+    this.plateService = plateService;
+  }
+
+  /**
+   * Parse the workbook and model folders and diff them against the inventory
+   * Nothing is written - not plates.json, not preview images
+   * @param {string} excelPath - Excel master sheet
+   * @param {string} modelsPath - Models folder
+   * @param {Object} options - { skipInvalidFolders } to preview without the models of invalid folders
+   * @returns {Promise<Object>} Import report (see diffInventory)
+   */
+  async previewImport(excelPath, modelsPath, options = {}) {
+    const inventory = await convertExcelToJson.parseInventory(excelPath, modelsPath, {
+      dryRun: true,
+      skipInvalidFolders: Boolean(options.skipInvalidFolders)
+    });
+    const livePlates = await this.plateService.getAllPlates();
+
+    const report = {
+      dryRun: true,
+      generatedDate: new Date().toISOString(),
+      source: { excelPath: inventory.excelPath, modelsPath: inventory.modelsPath },
+      ...this.diffInventory(livePlates, inventory.plates),
+      validationIssues: inventory.validationIssues,
+      validationReport: inventory.validationReport,
+      workHistoryIssues: inventory.workHistoryIssues || []
+    };
+    report.warnings.push(...this.getInventoryWarnings(inventory));
+
+    logInfo('Import preview generated', { summary: report.summary });
+    return report;
+  }
+
+  /**
+   * Merge the workbook into the inventory keyed on plateNumber
+   * Existing plates keep their id and runtime state and take the Excel-owned
+   * fields; plates missing from the workbook are flagged, never deleted.
+   * Invalid model folders stop the merge (422) unless skipInvalidFolders is set
+   * @param {string} excelPath - Excel master sheet
+   * @param {string} modelsPath - Models folder
+   * @param {Object} options - { importedBy, skipInvalidFolders }
+   * @returns {Promise<Object>} Merge report
+   */
+  async mergeImport(excelPath, modelsPath, options = {}) {
+    const importedBy = options.importedBy || 'import';
+    const skipInvalidFolders = Boolean(options.skipInvalidFolders);
+    const inventory = await convertExcelToJson.parseInventory(excelPath, modelsPath, { skipInvalidFolders });
+    const reportPath = await convertExcelToJson.enforceModelValidation(inventory.validationReport, { skipInvalidFolders });
+
+    const warnings = this.getInventoryWarnings(inventory);
+    const importedPlates = Array.from(this.indexByPlateNumber(inventory.plates, 'Excel', warnings).values());
+    const result = await this.plateService.mergeImportedPlates(importedPlates, {
+      fields: EXCEL_OWNED_FIELDS,
+      importedBy
+    });
+
+    result.skipped.forEach(({ plateNumber, error }) => {
+      warnings.push(`Plate ${plateNumber} was not added: ${error}`);
+    });
+
+    const report = {
+      dryRun: false,
+      generatedDate: new Date().toISOString(),
+      importedBy,
+      source: { excelPath: inventory.excelPath, modelsPath: inventory.modelsPath },
+      summary: {
+        added: result.added.length,
+        updated: result.updated.length,
+        flagged: result.flagged.length,
+        unchanged: importedPlates.length - result.added.length - result.updated.length - result.skipped.length
+      },
+      ...result,
+      warnings,
+      validationIssues: inventory.validationIssues,
+      validationReport: inventory.validationReport,
+      validationReportPath: reportPath
+    };
+
+    logInfo('Excel import merged into inventory', { summary: report.summary, importedBy });
+    return report;
+  }
+
+  /**
+   * Diff imported plates against live plates by plateNumber
+   * @param {Array} livePlates - Current (non-deleted) plates
+   * @param {Array} importedPlates - Plates parsed from Excel
+   * @returns {{summary: Object, added: Array, removed: Array, changed: Array, warnings: Array}}
+   */
+  diffInventory(livePlates, importedPlates) {
+    const warnings = [];
+    const liveByNumber = this.indexByPlateNumber(livePlates, 'inventory', warnings);
+    const importedByNumber = this.indexByPlateNumber(importedPlates, 'Excel', warnings);
+
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+
+    for (const [plateNumber, imported] of importedByNumber) {
+      const live = liveByNumber.get(plateNumber);
+      if (!live) {
+        added.push({
+          plateNumber,
+          shelf: imported.shelf,
+          boxSize: imported.boxSize,
+          currentModelFile: imported.currentModelFile
+        });
+        continue;
+      }
+
+      const changes = PlateSchema.getFieldChanges(live, imported, EXCEL_OWNED_FIELDS);
+      if (changes.length > 0) {
+        changed.push({ id: live.id, plateNumber, changes });
+      } else {
+        unchanged++;
+      }
+    }
+
+    const removed = [];
+    for (const [plateNumber, live] of liveByNumber) {
+      if (!importedByNumber.has(plateNumber)) {
+        removed.push({ id: live.id, plateNumber, occupancy: live.occupancy });
+      }
+    }
+
+    return {
+      summary: {
+        added: added.length,
+        removed: removed.length,
+        changed: changed.length,
+        unchanged
+      },
+      added,
+      removed,
+      changed,
+      warnings
+    };
+  }
+
+  /**
+   * Preview images the extractor could not assign to exactly one plate and
+   * Excel box sizes that disagree with the model geometry
+   */
+  getInventoryWarnings(inventory) {
+    return [
+      ...(inventory.imageReport ? inventory.imageReport.warnings : []),
+      ...(inventory.dimensionWarnings || [])
+    ];
+  }
+
+  /**
+   * Index plates by plateNumber, warning about plates without one or duplicates
+   */
+  indexByPlateNumber(plates, label, warnings) {
+    const index = new Map();
+    for (const plate of plates) {
+      const plateNumber = String(plate.plateNumber || '').trim();
+      if (!plateNumber) {
+        warnings.push(`Plate ${plate.id || '(no id)'} in ${label} has no plateNumber and was skipped`);
+        continue;
+      }
+      if (index.has(plateNumber)) {
+        warnings.push(`Duplicate plateNumber ${plateNumber} in ${label}; only the first is compared`);
+        continue;
+      }
+      index.set(plateNumber, plate);
+    }
+    return index;
+  }
+}
+
+ImportService.EXCEL_OWNED_FIELDS = EXCEL_OWNED_FIELDS;
+
+module.exports = ImportService;
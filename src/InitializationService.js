@@ -145,7 +145,8 @@ class InitializationService {
       logInfo("Processing info file", { infoFilePath });
 
       // Process Excel file to extract plate information
-      const excelProcessor = new ExcelProcessor();
+      const mapping = await ExcelProcessor.loadColumnMapping(config.getConfigDataPath());
+      const excelProcessor = new ExcelProcessor({ mapping });
       const plateDataFromExcel = await excelProcessor.processExcelFile(
         infoFilePath
       );
@@ -155,10 +156,14 @@ class InitializationService {
       const imageExtractor = new ImageExtractor();
       const imageMap = await imageExtractor.extractImages(
         infoFilePath,
-        config.getPermanentDataDir()
+        config.getPermanentDataDir(),
+        { plates: plateDataFromExcel }
       );
+      const imageReport = imageExtractor.getReport();
       logInfo("Preview image extraction completed", {
         extractedCount: Object.keys(imageMap).length,
+        unmatched: imageReport.unmatched.length,
+        conflicts: imageReport.conflicts.length,
       });
 
       // Link extracted images to plate data
@@ -174,6 +179,7 @@ class InitializationService {
         plates: plateDataFromExcel,
         stats: excelProcessor.getStats(),
         extractedImages: Object.keys(imageMap).length,
+        imageReport,
       };
 
       logInfo("Excel processing completed", {
@@ -8,6 +8,7 @@ const readline = require("readline");
 const config = require("../config");
 const { logInfo, logError } = require("../utils/Logger");
 const DataManager = require("./DataManager");
+const FitService = require("./FitService");
 const PlateService = require("./PlateService");
 const WorkOrderService = require("./WorkOrderService");
 
@@ -16,6 +17,9 @@ class InteractiveService {
     this.dataManager = new DataManager();
     this.plateService = new PlateService(this.dataManager);
     this.workOrderService = new WorkOrderService(this.dataManager);
+    this.plateService.setWorkOrderService(this.workOrderService);
+    this.workOrderService.setPlateService(this.plateService);
+    this.fitService = new FitService(this.plateService);
     this.rl = null;
     this.running = false;
   }
@@ -84,7 +88,7 @@ class InteractiveService {
         `🆕 New: ${stats.byHealth.new} | 🔧 Used: ${stats.byHealth.used} | 🔒 Locked: ${stats.byHealth.locked}`
       );
       console.log(
-        `🆓 Free: ${stats.byOccupancy.free} | 🔄 In-use: ${stats.byOccupancy["in-use"]}`
+        `🆓 Free: ${stats.byOccupancy.free} | 🔄 In-use: ${stats.byOccupancy["in-use"]} | 📌 Reserved: ${stats.byOccupancy.reserved}`
       );
       console.log(`⚡ Active Work Orders: ${stats.activeWorkOrders}`);
       console.log("");
@@ -103,9 +107,12 @@ class InteractiveService {
     console.log("  🆕 create <shelf> [name]   - Create new plate");
     console.log("  ✏️  edit <plate-id>        - Edit plate details");
     console.log("  🗑️  delete <plate-id>     - Delete plate");
+    console.log("  ♻️  restore <plate-id>    - Restore deleted plate");
     console.log("  ▶️  start <plate-id> <work-order> - Start work on plate");
     console.log("  ⏹️  finish <plate-id>     - Finish work on plate");
+    console.log("  📐 fit <x> <y> <z>         - Find free plates for a part (mm)");
     console.log("  📊 stats                   - Show operational statistics");
+    console.log("  🧮 reconcile [--dry-run]   - Fix work order / plate drift");
     console.log("  🔄 reload                  - Reload data from storage");
     console.log("  💾 backup                  - Create data backup");
     console.log("  🌐 serve                   - Start web service");
@@ -150,6 +157,11 @@ class InteractiveService {
           await this.deletePlate(args);
           break;
 
+        case "restore":
+        case "undelete":
+          await this.restorePlate(args);
+          break;
+
         case "start":
           await this.startWork(args);
           break;
@@ -159,11 +171,19 @@ class InteractiveService {
           await this.finishWork(args);
           break;
 
+        case "fit":
+          await this.findFittingPlates(args);
+          break;
+
         case "stats":
         case "status":
           await this.showStats();
           break;
 
+        case "reconcile":
+          await this.reconcileWorkOrders(args);
+          break;
+
         case "reload":
         case "refresh":
           await this.reloadData();
@@ -314,6 +334,44 @@ class InteractiveService {
     }
   }
 
+  /**
+   * Delete plate (soft delete, can be restored)
+   */
+  async deletePlate(args) {
+    if (args.length === 0) {
+      console.log("❌ Usage: delete <plate-id>");
+      return;
+    }
+
+    const plateId = args[0];
+
+    try {
+      await this.plateService.deletePlate(plateId, "interactive");
+      console.log(`✅ Deleted plate ${plateId} (use 'restore ${plateId}' to undo)`);
+    } catch (error) {
+      console.log(`❌ Failed to delete plate: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore soft-deleted plate
+   */
+  async restorePlate(args) {
+    if (args.length === 0) {
+      console.log("❌ Usage: restore <plate-id>");
+      return;
+    }
+
+    const plateId = args[0];
+
+    try {
+      await this.plateService.restorePlate(plateId, "interactive");
+      console.log(`✅ Restored plate ${plateId}`);
+    } catch (error) {
+      console.log(`❌ Failed to restore plate: ${error.message}`);
+    }
+  }
+
   /**
    * Start work on plate
    */
@@ -357,6 +415,67 @@ class InteractiveService {
     }
   }
 
+  /**
+   * Find free plates that can take a part envelope
+   */
+  async findFittingPlates(args) {
+    if (args.length < 3) {
+      console.log("❌ Usage: fit <x> <y> <z>   (part envelope in mm)");
+      return;
+    }
+
+    try {
+      const [x, y, z] = args;
+      const result = await this.fitService.findFittingPlates({ x, y, z });
+      const { length, width, height } = result.query;
+
+      if (result.total === 0) {
+        console.log(`📭 No free plate fits ${length}x${width}x${height} mm`);
+      } else {
+        console.log(`📐 ${result.total} plate(s) fit ${length}x${width}x${height} mm, smallest first:`);
+        result.results.forEach((plate) => {
+          console.log(`  ${String(plate.plateNumber).padEnd(8)}${plate.shelf.padEnd(10)}${plate.boxSize}`);
+        });
+      }
+
+      if (result.nearMisses.length > 0) {
+        console.log("\n⚠️  Near-misses:");
+        result.nearMisses.forEach((plate) => {
+          console.log(`  ${String(plate.plateNumber).padEnd(8)}${plate.boxSize.padEnd(16)}${plate.reasons.join("; ")}`);
+        });
+      }
+      if (result.withoutDimensions > 0) {
+        console.log(`\nℹ️  ${result.withoutDimensions} plate(s) have no known size`);
+      }
+      console.log("");
+    } catch (error) {
+      console.log(`❌ Failed to find fitting plates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reconcile work orders with plate occupancy
+   */
+  async reconcileWorkOrders(args) {
+    const dryRun = args.includes("--dry-run");
+
+    try {
+      const report = await this.workOrderService.reconcile({ fix: !dryRun });
+
+      if (report.issues.length === 0) {
+        console.log("✅ Work orders and plates are in sync");
+        return;
+      }
+
+      console.log(`⚠️  Found ${report.issues.length} issue(s)${dryRun ? " (dry run)" : ""}:`);
+      report.issues.forEach((issue) => {
+        console.log(`  ${issue.fixed ? "🔧" : "❗"} ${issue.message}`);
+      });
+    } catch (error) {
+      console.log(`❌ Failed to reconcile work orders: ${error.message}`);
+    }
+  }
+
   /**
    * Show operational statistics
    */
@@ -452,6 +571,8 @@ class InteractiveService {
         return "🆓 free";
       case "in-use":
         return "🔄 in-use";
+      case "reserved":
+        return "📌 reserved";
       default:
         return "❓ unknown";
     }
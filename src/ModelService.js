@@ -0,0 +1,371 @@
+// src/ModelService.js
+/**
+ * Model file library
+ * Resolves the model files linked to plates inside the models folder and
+ * describes them for listing and download, re-reads plate folders when they
+ * change and serves or restores archived model revisions
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const ServiceError = require('../utils/ServiceError');
+const ModelFolderValidator = require('../utils/ModelFolderValidator');
+const ModelMetadataReader = require('../utils/ModelMetadataReader');
+const ModelRevisionStore = require('../utils/ModelRevisionStore');
+const PlateDimensions = require('../utils/PlateDimensions');
+const { readModelMetadata, sortModelsByRecency } = require('./convert_excel_to_json');
+
+/**
+ * Served model formats and their content types
+ */
+const MODEL_CONTENT_TYPES = {
+  '.x_t': 'application/x-parasolid-text',
+  '.x_b': 'application/x-parasolid-binary',
+  '.step': 'model/step',
+  '.stp': 'model/step',
+  '.iges': 'model/iges',
+  '.igs': 'model/iges'
+};
+
+class ModelService {
+  /**
+   * @param {PlateService} plateService
+   * @param {Object} [options]
+   * @param {string} [options.modelsDir] - Models folder, defaults to config.getModelsDir()
+   * @param {string} [options.revisionsDir] - Revision archive, defaults to "model_revisions" beside the models folder
+   */
+  constructor(plateService, options = {}) {
+    this.plateService = plateService;
+    this.modelsDir = options.modelsDir || null;
+    this.metadataReader = new ModelMetadataReader();
+    this.validator = new ModelFolderValidator();
+    this.revisionStore = new ModelRevisionStore({
+      revisionsDir: options.revisionsDir || (options.modelsDir ? path.join(path.dirname(options.modelsDir), 'model_revisions') : null)
+    });
+  }
+
+  getModelsDir() {
+    return path.resolve(this.modelsDir || config.getModelsDir());
+  }
+
+  /**
+   * List the model files linked to a plate
+   * Each model carries the metadata recorded at import (sha256, header) and
+   * newerThanImport when the file's current header timestamp is later than
+   * the plate's last import
+   * @param {string} plateId
+   * @returns {Promise<Object>} { plateId, plateNumber, currentModelFile, lastImportDate, models }
+   * @throws {ServiceError} 404 when the plate does not exist
+   */
+  async getPlateModels(plateId) {
+    const plate = await this.getPlate(plateId);
+
+    const linked = Array.isArray(plate.modelFiles) && plate.modelFiles.length > 0
+      ? plate.modelFiles
+      : plate.currentModelFile
+        ? [{ fileName: path.posix.basename(plate.currentModelFile), relativePath: plate.currentModelFile, isPrimary: true }]
+        : [];
+
+    const models = [];
+    for (const model of linked) {
+      let file = null;
+      try {
+        file = await this.getModelFile(model.relativePath);
+      } catch (error) {
+        if (!error.status) {
+          throw error;
+        }
+      }
+
+      const currentHeader = file ? await this.readCurrentHeader(file.filePath) : null;
+      const headerTimestamp = currentHeader ? currentHeader.timestamp : null;
+
+      models.push({
+        fileName: model.fileName,
+        relativePath: model.relativePath,
+        isPrimary: Boolean(model.isPrimary),
+        exists: Boolean(file),
+        size: file ? file.size : null,
+        modifiedDate: file ? file.modifiedDate : null,
+        contentType: this.getContentType(model.relativePath),
+        format: model.format || this.metadataReader.getFormat(model.relativePath),
+        sha256: model.sha256 || null,
+        header: model.header || null,
+        headerTimestamp,
+        newerThanImport: Boolean(
+          headerTimestamp && plate.lastImportDate &&
+          new Date(headerTimestamp) > new Date(plate.lastImportDate)
+        ),
+        url: `/api/models/${model.relativePath.split('/').map(encodeURIComponent).join('/')}`
+      });
+    }
+
+    return {
+      plateId: plate.id,
+      plateNumber: plate.plateNumber,
+      currentModelFile: plate.currentModelFile || null,
+      lastImportDate: plate.lastImportDate || null,
+      models
+    };
+  }
+
+  /**
+   * Resolve a model file relative to the models folder
+   * @param {string} relativePath - e.g. "2/fakemodel_2.x_t"
+   * @returns {Promise<Object>} { filePath, fileName, size, modifiedDate, contentType }
+   * @throws {ServiceError} 400 invalid path or format, 403 outside the models folder, 404 missing
+   */
+  async getModelFile(relativePath) {
+    const requested = String(relativePath || '');
+    if (!requested || requested.includes('\0') || path.isAbsolute(requested)) {
+      throw ServiceError.badRequest('Invalid model path');
+    }
+
+    const modelsDir = this.getModelsDir();
+    const filePath = path.resolve(modelsDir, requested);
+    if (!this.isInside(modelsDir, filePath)) {
+      throw ServiceError.forbidden('Model path is outside the models folder');
+    }
+
+    const contentType = this.getContentType(filePath);
+    if (!contentType) {
+      throw ServiceError.badRequest(`Not a model file: ${requested}`);
+    }
+
+    let realPath;
+    let realModelsDir;
+    try {
+      [realPath, realModelsDir] = await Promise.all([fs.realpath(filePath), fs.realpath(modelsDir)]);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw ServiceError.notFound(`Model file not found: ${requested}`);
+      }
+      throw error;
+    }
+
+    // A symlink inside the folder must not lead out of it
+    if (!this.isInside(realModelsDir, realPath)) {
+      throw ServiceError.forbidden('Model path is outside the models folder');
+    }
+
+    const stats = await fs.stat(realPath);
+    if (!stats.isFile()) {
+      throw ServiceError.notFound(`Model file not found: ${requested}`);
+    }
+
+    return {
+      filePath: realPath,
+      fileName: path.basename(realPath),
+      size: stats.size,
+      modifiedDate: stats.mtime,
+      contentType
+    };
+  }
+
+  /**
+   * Re-read a plate's model folder, archive new model versions and update
+   * the plate's model links
+   * @param {Object} plate - Plate whose plateNumber names the folder
+   * @param {string} [changedBy='model-watcher'] - User recorded in history
+   * @param {string} [details] - History text (see PlateService.updateModelLinks)
+   * @returns {Promise<{plate: Object, changes: Array}|null>} null when the name is not a folder
+   */
+  async refreshPlateModels(plate, changedBy = 'model-watcher', details = null) {
+    const links = await this.readFolderLinks(String(plate.plateNumber));
+    if (!links) {
+      return null;
+    }
+
+    await this.revisionStore.archiveModelFiles(links.modelFiles, this.getModelsDir());
+    return this.plateService.updateModelLinks(plate.id, links, changedBy, details);
+  }
+
+  /**
+   * Model links for a plate folder, as the import builds them
+   * The most recently modified model is the primary one, picked the same way
+   * as the import (sortModelsByRecency); dimensions follow
+   * its bounding box when it has one
+   * @returns {Promise<Object|null>} null when the name is not a folder
+   */
+  async readFolderLinks(folder) {
+    const folderPath = path.join(this.getModelsDir(), folder);
+
+    let stat;
+    try {
+      stat = await fs.stat(folderPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return {
+        modelFiles: [],
+        currentModelFile: null,
+        modelStatus: `No model folder found for plate ${folder}`
+      };
+    }
+    if (!stat.isDirectory()) {
+      return null;
+    }
+
+    const validation = await this.validator.validateSingleFolder(folderPath, folder);
+    let models = [];
+    for (const fileName of validation.modelFiles) {
+      const filePath = path.join(folderPath, fileName);
+      models.push({
+        fileName,
+        relativePath: `${folder}/${fileName}`,
+        modifiedTime: (await fs.stat(filePath)).mtimeMs,
+        metadata: await readModelMetadata(filePath)
+      });
+    }
+    models = sortModelsByRecency(models);
+
+    const links = {
+      modelFiles: models.map((model, index) => ({
+        fileName: model.fileName,
+        relativePath: model.relativePath,
+        isPrimary: index === 0,
+        ...model.metadata
+      })),
+      currentModelFile: models.length > 0 ? models[0].relativePath : null,
+      modelStatus: validation.valid ? null : validation.problems.join('; ')
+    };
+
+    const boundingBox = models.length > 0 ? models[0].metadata.boundingBox : null;
+    if (boundingBox) {
+      links.dimensions = PlateDimensions.fromBoundingBox(boundingBox, models[0].relativePath);
+      links.boxSize = PlateDimensions.formatBoxSize(links.dimensions);
+    }
+    return links;
+  }
+
+  /**
+   * List a plate's archived model revisions, oldest first
+   * current marks the revisions that match a model file linked now
+   * @param {string} plateId
+   * @returns {Promise<Object>} { plateId, plateNumber, currentModelFile, revisions }
+   * @throws {ServiceError} 404 when the plate does not exist
+   */
+  async getModelRevisions(plateId) {
+    const plate = await this.getPlate(plateId);
+    const current = new Set((plate.modelFiles || []).map(file => `${file.relativePath}@${file.sha256}`));
+
+    const revisions = [];
+    for (const revision of plate.modelRevisions || []) {
+      const archived = await this.revisionStore.resolve(revision);
+      revisions.push({
+        ...revision,
+        current: current.has(`${revision.relativePath}@${revision.sha256}`),
+        archived: Boolean(archived),
+        url: `/api/plates/${encodeURIComponent(plate.id)}/models/revisions/${revision.revision}`
+      });
+    }
+
+    return {
+      plateId: plate.id,
+      plateNumber: plate.plateNumber,
+      currentModelFile: plate.currentModelFile || null,
+      revisions
+    };
+  }
+
+  /**
+   * Resolve an archived revision for download
+   * @returns {Promise<Object>} { filePath, fileName, size, modifiedDate, contentType }
+   * @throws {ServiceError} 404 when the plate, the revision or its archived file is missing
+   */
+  async getRevisionFile(plateId, revisionNumber) {
+    const plate = await this.getPlate(plateId);
+    const revision = this.findRevision(plate, revisionNumber);
+    const archived = await this.revisionStore.resolve(revision);
+    if (!archived) {
+      throw ServiceError.notFound(`Revision ${revision.revision} of plate ${plate.id} is missing from the archive`);
+    }
+
+    return {
+      ...archived,
+      fileName: revision.fileName,
+      contentType: this.getContentType(revision.fileName) || 'application/octet-stream'
+    };
+  }
+
+  /**
+   * Put an archived revision back in the plate's model folder and make it
+   * the plate's current model
+   * @param {string} plateId
+   * @param {number|string} revisionNumber
+   * @param {string} [restoredBy='system'] - User recorded in history
+   * @returns {Promise<Object>} The updated plate
+   * @throws {ServiceError} 404 when the plate, the revision or its archived file is missing
+   */
+  async restoreModelRevision(plateId, revisionNumber, restoredBy = 'system') {
+    const plate = await this.getPlate(plateId);
+    const revision = this.findRevision(plate, revisionNumber);
+    const file = await this.getRevisionFile(plateId, revision.revision);
+
+    const modelsDir = this.getModelsDir();
+    const target = path.resolve(modelsDir, revision.relativePath);
+    if (!this.isInside(modelsDir, target)) {
+      throw ServiceError.forbidden('Model path is outside the models folder');
+    }
+
+    // Record what is on disk now first, so the restore itself can be undone
+    await this.refreshPlateModels(plate, restoredBy);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.copyFile(file.filePath, target);
+
+    const result = await this.refreshPlateModels(
+      plate,
+      restoredBy,
+      `Restored model revision ${revision.revision} (${revision.fileName}, ${revision.date})`
+    );
+    return result ? result.plate : plate;
+  }
+
+  async getPlate(plateId) {
+    const plate = await this.plateService.getPlateById(plateId);
+    if (!plate) {
+      throw ServiceError.notFound(`Plate ${plateId} not found`);
+    }
+    return plate;
+  }
+
+  findRevision(plate, revisionNumber) {
+    const revision = (plate.modelRevisions || []).find(entry => entry.revision === Number(revisionNumber));
+    if (!revision) {
+      throw ServiceError.notFound(`Plate ${plate.id} has no model revision ${revisionNumber}`);
+    }
+    return revision;
+  }
+
+  /**
+   * Header of the file as it is on disk now; unreadable headers count as none
+   */
+  async readCurrentHeader(filePath) {
+    try {
+      return await this.metadataReader.readHeader(filePath);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Content type of a model file, or null for formats that are not served
+   */
+  getContentType(filePath) {
+    return MODEL_CONTENT_TYPES[path.extname(filePath).toLowerCase()] || null;
+  }
+
+  isInside(directory, filePath) {
+    const relative = path.relative(directory, filePath);
+    return relative !== '' &&
+      relative !== '..' &&
+      !relative.startsWith(`..${path.sep}`) &&
+      !path.isAbsolute(relative);
+  }
+}
+
+ModelService.MODEL_CONTENT_TYPES = MODEL_CONTENT_TYPES;
+
+module.exports = ModelService;
@@ -0,0 +1,163 @@
+// src/ModelWatcher.js
+/**
+ * Model folder watcher
+ * Keeps plate model links live while the web service runs: a change in a
+ * plate folder (e.g. a revised .x_t dropped into folder "12") is debounced,
+ * the folder is re-validated and re-read, and the plate with that number
+ * gets its modelFiles updated, new versions archived as model revisions and
+ * a model_changed history entry
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { logInfo, logWarn, logError } = require('../utils/Logger');
+
+class ModelWatcher {
+  /**
+   * @param {ModelService} modelService - Reads plate folders and updates the plates
+   * @param {Object} [options]
+   * @param {number} [options.debounceMs] - Quiet time before a changed folder is re-read
+   */
+  constructor(modelService, options = {}) {
+    this.modelService = modelService;
+    this.modelsDir = modelService.getModelsDir();
+    this.debounceMs = options.debounceMs ?? (config.plates?.modelWatchDebounceMs || 2000);
+    this.watchers = new Map();
+    this.timers = new Map();
+  }
+
+  /**
+   * Start watching the models folder and every plate folder in it
+   * Each folder gets its own watcher: recursive fs.watch is not available on
+   * Linux before Node 19.1, and plate folders are only one level deep
+   * @throws {Error} When the models folder itself cannot be watched
+   */
+  start() {
+    if (this.watchers.size > 0) {
+      return;
+    }
+
+    try {
+      this.watchDirectory('', this.modelsDir, fileName => this.handleRootChange(fileName));
+    } catch (error) {
+      logError('Model folder watcher could not start; model links will not follow folder changes', {
+        modelsDir: this.modelsDir,
+        error: error.message
+      });
+      throw error;
+    }
+
+    for (const entry of fs.readdirSync(this.modelsDir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        this.watchFolder(entry.name);
+      }
+    }
+
+    logInfo('Watching model folders', {
+      modelsDir: this.modelsDir,
+      folders: this.watchers.size - 1,
+      debounceMs: this.debounceMs
+    });
+  }
+
+  /**
+   * Stop watching and drop pending refreshes
+   */
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+  }
+
+  /**
+   * A plate folder was added, renamed or removed: follow it and re-read it
+   */
+  handleRootChange(folder) {
+    const folderPath = path.join(this.modelsDir, folder);
+    if (fs.existsSync(folderPath) && fs.statSync(folderPath).isDirectory()) {
+      this.watchFolder(folder);
+    } else {
+      this.unwatch(folder);
+    }
+    this.scheduleRefresh(folder);
+  }
+
+  /**
+   * Watch one plate folder; a folder that cannot be watched is logged and skipped
+   */
+  watchFolder(folder) {
+    if (this.watchers.has(folder)) {
+      return;
+    }
+
+    try {
+      this.watchDirectory(folder, path.join(this.modelsDir, folder), () => this.scheduleRefresh(folder));
+    } catch (error) {
+      logWarn('Cannot watch model folder, its changes will be missed', { folder, error: error.message });
+    }
+  }
+
+  /**
+   * Watch one directory (not recursive) under a key: '' for the models folder,
+   * the folder name for a plate folder
+   */
+  watchDirectory(key, directory, onChange) {
+    const watcher = fs.watch(directory, (eventType, fileName) => {
+      if (fileName) {
+        onChange(String(fileName));
+      }
+    });
+    watcher.on('error', error => {
+      logError('Model folder watcher failed', { directory, error: error.message });
+      this.unwatch(key);
+    });
+    this.watchers.set(key, watcher);
+  }
+
+  /**
+   * Stop watching a directory, e.g. a plate folder that was removed
+   */
+  unwatch(key) {
+    const watcher = this.watchers.get(key);
+    if (watcher) {
+      watcher.close();
+      this.watchers.delete(key);
+    }
+  }
+
+  /**
+   * Debounce changes per folder: a copy fires many events, the folder is read once
+   */
+  scheduleRefresh(folder) {
+    clearTimeout(this.timers.get(folder));
+    this.timers.set(folder, setTimeout(() => {
+      this.timers.delete(folder);
+      this.refreshFolder(folder).catch(error => {
+        logError('Failed to refresh model folder', { folder, error: error.message });
+      });
+    }, this.debounceMs));
+  }
+
+  /**
+   * Re-read one plate folder and update the plate with that number
+   * @param {string} folder - Folder name (the plate number)
+   * @returns {Promise<{plate: Object, changes: Array}|null>} null when no plate uses the folder
+   */
+  async refreshFolder(folder) {
+    const plate = (await this.modelService.plateService.getAllPlates())
+      .find(candidate => String(candidate.plateNumber) === folder);
+    if (!plate) {
+      return null;
+    }
+
+    const result = await this.modelService.refreshPlateModels(plate);
+    if (result && result.plate.modelStatus) {
+      logWarn('Model folder is not valid', { folder, modelStatus: result.plate.modelStatus });
+    }
+    return result;
+  }
+}
+
+module.exports = ModelWatcher;
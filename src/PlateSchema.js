@@ -0,0 +1,198 @@
+// src/PlateSchema.js
+/**
+ * Declared plate schema
+ * Defines which plate fields clients may write, their types and limits,
+ * and validates create/update payloads against it
+ */
+
+const config = require("../config");
+
+/**
+ * Field definitions
+ * writable: "always" (create and update), "create" (create only) or false (read-only,
+ * owned by the service or the Excel import)
+ */
+const PLATE_FIELDS = {
+  id: { type: "string", maxLength: 64, pattern: /^[A-Za-z0-9_-]+$/, writable: "create" },
+  plateNumber: { type: "string", maxLength: 20, writable: "always" },
+  name: { type: "string", maxLength: 100, writable: "always" },
+  shelf: { type: "string", maxLength: 50, required: true, writable: "always" },
+  shelfNumber: { type: "string", maxLength: 50, writable: "always" },
+  boxSize: { type: "string", maxLength: 100, writable: "always" },
+  health: { type: "string", enum: () => config.plates?.healthStates || ["new", "used", "locked", "damaged"], writable: "always" },
+  notes: { type: "string", maxLength: 2000, writable: "always" },
+  specifications: { type: "object", writable: "always" },
+  previewImage: { type: "string", maxLength: 255, nullable: true, writable: "always" },
+
+  // Read-only: changed through work/reservation actions, imports or the service itself
+  occupancy: { type: "string", writable: false },
+  isLocked: { type: "boolean", writable: false },
+  lastWorkName: { type: "string", writable: false },
+  reservation: { type: "object", writable: false },
+  workHistory: { type: "string", writable: false },
+  workHistoryEntries: { type: "array", writable: false },
+  workProjects: { type: "array", writable: false },
+  dimensions: { type: "object", nullable: true, writable: false },
+  currentModelFile: { type: "string", nullable: true, writable: false },
+  modelFiles: { type: "array", writable: false },
+  modelStatus: { type: "string", nullable: true, writable: false },
+  modelRevisions: { type: "array", writable: false },
+  excelSource: { type: "object", writable: false },
+  history: { type: "array", writable: false },
+  revision: { type: "number", writable: false },
+  lastModifiedBy: { type: "string", writable: false },
+  lastModifiedDate: { type: "string", writable: false },
+  deleted: { type: "boolean", writable: false },
+  deletedBy: { type: "string", writable: false },
+  deletedDate: { type: "string", writable: false },
+  removedFromExcel: { type: "boolean", writable: false },
+  removedFromExcelDate: { type: "string", writable: false },
+  lastImportDate: { type: "string", writable: false },
+};
+
+/**
+ * Request-only keys accepted in payloads but never stored on the plate
+ */
+const META_FIELDS = ["modifiedBy"];
+
+/**
+ * Check a single value against its field definition
+ * @returns {string|null} Error message or null when valid
+ */
+function checkFieldValue(field, value) {
+  const definition = PLATE_FIELDS[field];
+  if (!definition) {
+    return null;
+  }
+
+  if (value === null || value === undefined) {
+    return definition.nullable || !definition.required ? null : `${field} is required`;
+  }
+
+  const actualType = Array.isArray(value) ? "array" : typeof value;
+  if (actualType !== definition.type) {
+    return `${field} must be of type ${definition.type}`;
+  }
+
+  if (definition.type === "string") {
+    if (definition.required && value.trim() === "") {
+      return `${field} is required`;
+    }
+    if (definition.maxLength && value.length > definition.maxLength) {
+      return `${field} must be at most ${definition.maxLength} characters`;
+    }
+    if (definition.pattern && !definition.pattern.test(value)) {
+      return `${field} contains invalid characters`;
+    }
+    if (definition.enum) {
+      const allowed = definition.enum();
+      if (!allowed.includes(value)) {
+        return `${field} must be one of: ${allowed.join(", ")}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a create or update payload
+ * Unknown keys and read-only fields are violations; on update a read-only
+ * field that matches the stored value is tolerated so clients can send back
+ * the plate they fetched
+ * @param {Object} payload - Request body
+ * @param {Object|null} existingPlate - Stored plate for updates, null for create
+ * @returns {Array<{field: string, message: string}>} Every violating field
+ */
+function validatePayload(payload, existingPlate = null) {
+  const fieldErrors = [];
+  const mode = existingPlate ? "update" : "create";
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return [{ field: "body", message: "Request body must be a JSON object" }];
+  }
+
+  for (const [field, value] of Object.entries(payload)) {
+    if (META_FIELDS.includes(field)) {
+      continue;
+    }
+
+    const definition = PLATE_FIELDS[field];
+    if (!definition) {
+      fieldErrors.push({ field, message: `Unknown field: ${field}` });
+      continue;
+    }
+
+    if (!isWritable(definition, mode)) {
+      const unchanged = existingPlate &&
+        JSON.stringify(existingPlate[field]) === JSON.stringify(value);
+      if (!unchanged) {
+        fieldErrors.push({ field, message: `${field} is read-only` });
+      }
+      continue;
+    }
+
+    const message = checkFieldValue(field, value);
+    if (message) {
+      fieldErrors.push({ field, message });
+    }
+  }
+
+  if (mode === "create") {
+    for (const [field, definition] of Object.entries(PLATE_FIELDS)) {
+      if (definition.required && payload[field] === undefined) {
+        fieldErrors.push({ field, message: `${field} is required` });
+      }
+    }
+  }
+
+  return fieldErrors;
+}
+
+/**
+ * Pick the fields a payload is allowed to write
+ * @param {Object} payload - Request body (already validated)
+ * @param {"create"|"update"} mode
+ */
+function pickWritable(payload, mode) {
+  const picked = {};
+  for (const [field, value] of Object.entries(payload)) {
+    const definition = PLATE_FIELDS[field];
+    if (definition && isWritable(definition, mode)) {
+      picked[field] = value;
+    }
+  }
+  return picked;
+}
+
+/**
+ * List the given fields whose value differs between two plate versions
+ * Fields missing from the incoming plate are left out
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+function getFieldChanges(current, incoming, fields) {
+  const changes = [];
+  for (const field of fields) {
+    if (incoming[field] === undefined) {
+      continue;
+    }
+    if (JSON.stringify(current[field] ?? null) !== JSON.stringify(incoming[field] ?? null)) {
+      changes.push({ field, from: current[field] ?? null, to: incoming[field] ?? null });
+    }
+  }
+  return changes;
+}
+
+function isWritable(definition, mode) {
+  return definition.writable === "always" ||
+    (definition.writable === "create" && mode === "create");
+}
+
+module.exports = {
+  PLATE_FIELDS,
+  META_FIELDS,
+  checkFieldValue,
+  validatePayload,
+  pickWritable,
+  getFieldChanges,
+};
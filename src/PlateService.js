@@ -6,12 +6,25 @@
 
 const config = require('../config');
 const { logInfo, logError, logWarn } = require('../utils/Logger');
+const ServiceError = require('../utils/ServiceError');
+const PlateSchema = require('./PlateSchema');
+const WorkHistoryParser = require('../utils/WorkHistoryParser');
+const ModelRevisionStore = require('../utils/ModelRevisionStore');
 
 class PlateService {
   constructor(dataManager) {
     this.dataManager = dataManager;
     this.plates = new Map();
+    this.workOrderService = null;
     this.pendingOperations = [];
+    this.processingOperations = false;
+  }
+
+  /**
+   * Link the work order service so plate work actions keep work orders in step
+   */
+  setWorkOrderService(workOrderService) {
+    this.workOrderService = workOrderService;
   }
 
   /**
@@ -55,7 +68,19 @@ class PlateService {
       if (platesData && Array.isArray(platesData)) {
         this.plates.clear();
         platesData.forEach(plate => {
-          this.plates.set(plate.id, this.validatePlate(plate));
+          if (!Number.isInteger(plate.revision)) {
+            plate.revision = 1;
+          }
+          try {
+            this.plates.set(plate.id, this.validatePlate(plate));
+          } catch (validationError) {
+            // Keep the stored record rather than dropping it on the next save
+            logWarn('Loaded plate failed validation', { plateId: plate.id, error: validationError.message });
+            if (!Array.isArray(plate.history)) {
+              plate.history = [];
+            }
+            this.plates.set(plate.id, plate);
+          }
         });
         console.log(`✅ [PlateService] Stored ${this.plates.size} plates in memory`);
       } else {
@@ -63,6 +88,11 @@ class PlateService {
       }
       
     } catch (error) {
+      if (error.code === 'EPLATESCORRUPT') {
+        // Never start empty on top of unrecoverable data - the next save would wipe it
+        logError('Plates data is corrupt and could not be recovered', { error: error.message });
+        throw error;
+      }
       logWarn('Could not load plates data, starting with empty set', { error: error.message });
       console.error('❌ [PlateService] Error loading plates:', error.message);
       this.plates.clear();
@@ -71,16 +101,136 @@ class PlateService {
 
   /**
    * Get all plates
+   * Soft-deleted plates are only included when explicitly requested
    */
-  async getAllPlates() {
-    return Array.from(this.plates.values());
+  async getAllPlates(options = {}) {
+    const plates = Array.from(this.plates.values());
+    return options.includeDeleted ? plates : plates.filter(plate => !plate.deleted);
   }
 
   /**
    * Get plate by ID
    */
-  async getPlateById(plateId) {
-    return this.plates.get(plateId) || null;
+  async getPlateById(plateId, options = {}) {
+    const plate = this.plates.get(plateId);
+    if (!plate || (plate.deleted && !options.includeDeleted)) {
+      return null;
+    }
+    return plate;
+  }
+
+  /**
+   * Query plates with filtering, sorting, pagination and field projection
+   * @param {Object} options - Parsed query options
+   * @param {string[]} [options.health] - Allowed health states
+   * @param {string[]} [options.occupancy] - Allowed occupancy states
+   * @param {string} [options.shelf] - Shelf location (matches shelf or shelfNumber)
+   * @param {boolean} [options.isLocked] - Locked flag from Excel
+   * @param {boolean} [options.hasModel] - Whether a model file is linked
+   * @param {string} [options.project] - Project / work order text in workProjects or lastWorkName
+   * @param {string} [options.projectNumber] - Project number from the work history (e.g. "4816")
+   * @param {string} [options.part] - Part number from the work history, within projectNumber when both are given
+   * @param {string} [options.search] - Free text over plateNumber, notes and workHistory
+   * @param {Array<{field: string, direction: number}>} [options.sort] - Sort keys
+   * @param {number} [options.limit] - Maximum number of plates to return
+   * @param {number} [options.offset] - Number of matching plates to skip
+   * @param {string[]} [options.fields] - Fields to include in each plate (id is always included)
+   * @returns {Promise<{total: number, plates: Array}>} Total before pagination and the page
+   */
+  async queryPlates(options = {}) {
+    let plates = await this.getAllPlates();
+
+    if (options.health) {
+      plates = plates.filter(plate => options.health.includes(plate.health));
+    }
+
+    if (options.occupancy) {
+      plates = plates.filter(plate => options.occupancy.includes(plate.occupancy));
+    }
+
+    if (options.shelf) {
+      const shelf = options.shelf.toLowerCase();
+      plates = plates.filter(plate =>
+        String(plate.shelf || '').toLowerCase() === shelf ||
+        String(plate.shelfNumber || '').toLowerCase() === shelf
+      );
+    }
+
+    if (typeof options.isLocked === 'boolean') {
+      plates = plates.filter(plate => Boolean(plate.isLocked) === options.isLocked);
+    }
+
+    if (typeof options.hasModel === 'boolean') {
+      plates = plates.filter(plate => this.hasModel(plate) === options.hasModel);
+    }
+
+    if (options.project) {
+      const project = options.project.toLowerCase();
+      plates = plates.filter(plate =>
+        (plate.workProjects || []).some(workProject =>
+          String(workProject.projectCode || '').toLowerCase() === project ||
+          String(workProject.workOrder || '').toLowerCase().includes(project)
+        ) ||
+        String(plate.lastWorkName || '').toLowerCase().includes(project)
+      );
+    }
+
+    if (options.projectNumber || options.part) {
+      const part = options.part ? WorkHistoryParser.normalizePart(options.part) : null;
+      plates = plates.filter(plate =>
+        this.getWorkProjects(plate).some(workProject =>
+          (!options.projectNumber || (workProject.projectNumbers || []).includes(options.projectNumber)) &&
+          (!part || (workProject.parts || []).includes(part))
+        )
+      );
+    }
+
+    if (options.search) {
+      const search = options.search.toLowerCase();
+      plates = plates.filter(plate =>
+        [plate.plateNumber, plate.notes, plate.workHistory]
+          .some(value => String(value || '').toLowerCase().includes(search))
+      );
+    }
+
+    if (options.sort && options.sort.length > 0) {
+      plates = [...plates].sort((a, b) => {
+        for (const { field, direction } of options.sort) {
+          const result = this.compareValues(a[field], b[field]);
+          if (result !== 0) {
+            return result * direction;
+          }
+        }
+        return 0;
+      });
+    }
+
+    const total = plates.length;
+    const offset = options.offset || 0;
+    const end = options.limit !== undefined ? offset + options.limit : undefined;
+    let page = plates.slice(offset, end);
+
+    if (options.fields && options.fields.length > 0) {
+      const fields = ['id', ...options.fields.filter(field => field !== 'id')];
+      page = page.map(plate => {
+        const projected = {};
+        fields.forEach(field => {
+          if (plate[field] !== undefined) {
+            projected[field] = plate[field];
+          }
+        });
+        return projected;
+      });
+    }
+
+    return { total, plates: page };
+  }
+
+  /**
+   * Get soft-deleted plates (tombstones that can still be restored)
+   */
+  async getDeletedPlates() {
+    return Array.from(this.plates.values()).filter(plate => plate.deleted);
   }
 
   /**
@@ -88,22 +238,30 @@ class PlateService {
    */
   async createPlate(plateData) {
     try {
-      const plate = this.validatePlate({
-        id: plateData.id || this.generatePlateId(),
-        shelf: plateData.shelf,
-        health: plateData.health || 'new',
-        occupancy: plateData.occupancy || 'free',
-        notes: plateData.notes || '',
-        lastModifiedBy: plateData.modifiedBy || 'system',
-        lastModifiedDate: new Date(),
-        history: []
-      });
+      const plate = await this.enqueueOperation('createPlate', () => {
+        this.assertValidPayload(plateData, null);
+
+        if (plateData.id && this.plates.has(plateData.id)) {
+          throw ServiceError.conflict(`Plate ${plateData.id} already exists`);
+        }
+
+        const plate = this.validatePlate({
+          ...PlateSchema.pickWritable(plateData, 'create'),
+          id: plateData.id || this.generatePlateId(),
+          health: plateData.health || 'new',
+          occupancy: 'free',
+          notes: plateData.notes || '',
+          lastModifiedBy: plateData.modifiedBy || 'system',
+          lastModifiedDate: new Date(),
+          history: []
+        });
 
-      // Add creation history entry
-      this.addHistoryEntry(plate, 'created', plateData.modifiedBy || 'system', 'Plate created');
+        // Add creation history entry
+        this.addHistoryEntry(plate, 'created', plateData.modifiedBy || 'system', 'Plate created');
 
-      this.plates.set(plate.id, plate);
-      await this.savePlates();
+        this.commitPlate(plate);
+        return plate;
+      });
 
       logInfo('Plate created', { plateId: plate.id, shelf: plate.shelf });
       return plate;
@@ -116,154 +274,632 @@ class PlateService {
 
   /**
    * Update existing plate
+   * A revision sent back in the body acts like If-Match when no header is
+   * given, so a stale copy answers 412 rather than a read-only field error
    */
-  async updatePlate(plateId, updateData) {
+  async updatePlate(plateId, updateData, options = {}) {
     try {
-      const existingPlate = this.plates.get(plateId);
-      if (!existingPlate) {
-        throw new Error(`Plate ${plateId} not found`);
-      }
+      const validatedPlate = await this.enqueueOperation('updatePlate', () => {
+        const existingPlate = this.getExistingPlate(plateId);
+        const bodyRevision = Number.isInteger(updateData?.revision) ? updateData.revision : undefined;
+        this.checkRevision(existingPlate, options.expectedRevision ?? bodyRevision);
+        this.assertValidPayload(updateData, existingPlate);
+
+        const updatedPlate = {
+          ...existingPlate,
+          ...PlateSchema.pickWritable(updateData, 'update'),
+          id: plateId, // Ensure ID doesn't change
+          lastModifiedBy: updateData.modifiedBy || 'system',
+          lastModifiedDate: new Date()
+        };
+
+        // Validate the updated plate
+        const validatedPlate = this.validatePlate(updatedPlate);
+
+        // Add history entry for significant changes
+        if (this.hasSignificantChanges(existingPlate, validatedPlate)) {
+          this.addHistoryEntry(
+            validatedPlate, 
+            'updated', 
+            updateData.modifiedBy || 'system',
+            this.getChangeDescription(existingPlate, validatedPlate)
+          );
+        }
+
+        this.commitPlate(validatedPlate, existingPlate);
+        return validatedPlate;
+      });
 
-      const updatedPlate = {
-        ...existingPlate,
-        ...updateData,
-        id: plateId, // Ensure ID doesn't change
-        lastModifiedBy: updateData.modifiedBy || 'system',
-        lastModifiedDate: new Date()
-      };
+      logInfo('Plate updated', { plateId, changes: Object.keys(updateData) });
+      return validatedPlate;
 
-      // Validate the updated plate
-      const validatedPlate = this.validatePlate(updatedPlate);
+    } catch (error) {
+      logError('Failed to update plate', { error: error.message, plateId, updateData });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete plate
+   * Plates are soft-deleted: the record stays in storage as a tombstone
+   * with its history so an accidental delete can be undone with restorePlate
+   */
+  async deletePlate(plateId, deletedBy = 'system', options = {}) {
+    try {
+      const deletedPlate = await this.enqueueOperation('deletePlate', () => {
+        const plate = this.getExistingPlate(plateId);
+        this.checkRevision(plate, options.expectedRevision);
+
+        // Check if plate can be deleted (not in use)
+        if (plate.occupancy === 'in-use') {
+          throw ServiceError.conflict(`Cannot delete plate ${plateId} - currently in use`);
+        }
+
+        const deletedPlate = {
+          ...plate,
+          deleted: true,
+          deletedBy,
+          deletedDate: new Date(),
+          lastModifiedBy: deletedBy,
+          lastModifiedDate: new Date()
+        };
+
+        this.addHistoryEntry(deletedPlate, 'deleted', deletedBy, 'Plate deleted');
+
+        this.commitPlate(deletedPlate, plate);
+        return deletedPlate;
+      });
+
+      logInfo('Plate deleted', { plateId, deletedBy });
+      return deletedPlate;
+
+    } catch (error) {
+      logError('Failed to delete plate', { error: error.message, plateId });
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a soft-deleted plate
+   */
+  async restorePlate(plateId, restoredBy = 'system', options = {}) {
+    try {
+      const restoredPlate = await this.enqueueOperation('restorePlate', () => {
+        const plate = this.plates.get(plateId);
+        if (!plate) {
+          throw ServiceError.notFound(`Plate ${plateId} not found`);
+        }
+
+        if (!plate.deleted) {
+          throw ServiceError.conflict(`Plate ${plateId} is not deleted`);
+        }
+
+        this.checkRevision(plate, options.expectedRevision);
+
+        const { deletedBy, deletedDate } = plate;
+        const restoredPlate = {
+          ...plate,
+          lastModifiedBy: restoredBy,
+          lastModifiedDate: new Date()
+        };
+        delete restoredPlate.deleted;
+        delete restoredPlate.deletedBy;
+        delete restoredPlate.deletedDate;
 
-      // Add history entry for significant changes
-      if (this.hasSignificantChanges(existingPlate, validatedPlate)) {
         this.addHistoryEntry(
-          validatedPlate, 
-          'updated', 
-          updateData.modifiedBy || 'system',
-          this.getChangeDescription(existingPlate, validatedPlate)
+          restoredPlate,
+          'restored',
+          restoredBy,
+          `Plate restored (deleted by ${deletedBy} on ${new Date(deletedDate).toISOString()})`
         );
-      }
 
-      this.plates.set(plateId, validatedPlate);
-      await this.savePlates();
+        this.commitPlate(restoredPlate, plate);
+        return restoredPlate;
+      });
 
-      logInfo('Plate updated', { plateId, changes: Object.keys(updateData) });
-      return validatedPlate;
+      logInfo('Plate restored', { plateId, restoredBy });
+      return restoredPlate;
 
     } catch (error) {
-      logError('Failed to update plate', { error: error.message, plateId, updateData });
+      logError('Failed to restore plate', { error: error.message, plateId });
       throw error;
     }
   }
 
   /**
-   * Delete plate
+   * Merge plates parsed from Excel into the inventory, keyed on plateNumber
+   * Matched plates keep their id, history, occupancy, notes and reservation and
+   * only take the Excel-owned fields (health follows a changed isLocked, as
+   * start and reserve only look at health); unknown plate numbers are added and plates
+   * missing from Excel are flagged removedFromExcel rather than deleted.
+   * Added and updated plates are stamped with lastImportDate
+   * @param {Array} importedPlates - Parsed plates, unique by plateNumber
+   * @param {Object} options - { fields: Excel-owned fields, importedBy }
+   * @returns {Promise<{added: Array, updated: Array, flagged: Array, skipped: Array}>}
    */
-  async deletePlate(plateId, deletedBy = 'system') {
+  async mergeImportedPlates(importedPlates, options = {}) {
+    const { fields = [], importedBy = 'import' } = options;
+
     try {
-      const plate = this.plates.get(plateId);
-      if (!plate) {
-        throw new Error(`Plate ${plateId} not found`);
-      }
+      const result = await this.enqueueOperation('mergeImportedPlates', () => {
+        const now = new Date();
+        const result = { added: [], updated: [], flagged: [], skipped: [] };
+
+        // Deleted plates still own their plate number, but prefer a live plate
+        const byNumber = new Map();
+        for (const plate of this.plates.values()) {
+          const plateNumber = String(plate.plateNumber || '').trim();
+          if (plateNumber && (!byNumber.has(plateNumber) || byNumber.get(plateNumber).deleted)) {
+            byNumber.set(plateNumber, plate);
+          }
+        }
+
+        const seen = new Set();
+        for (const imported of importedPlates) {
+          const plateNumber = String(imported.plateNumber || '').trim();
+          seen.add(plateNumber);
+          const plate = byNumber.get(plateNumber);
+
+          if (!plate) {
+            try {
+              const newPlate = this.validatePlate({
+                ...imported,
+                id: this.generatePlateId(),
+                plateNumber,
+                occupancy: 'free',
+                notes: imported.notes || '',
+                modelRevisions: ModelRevisionStore.addRevisions([], imported.modelFiles, { user: importedBy, date: now }),
+                lastImportDate: now,
+                lastModifiedBy: importedBy,
+                lastModifiedDate: now,
+                history: []
+              });
+              this.addHistoryEntry(newPlate, 'imported', importedBy, 'Added from Excel import');
+              this.commitPlate(newPlate);
+              result.added.push({ id: newPlate.id, plateNumber });
+            } catch (error) {
+              result.skipped.push({ plateNumber, error: error.message });
+            }
+            continue;
+          }
+
+          const changes = PlateSchema.getFieldChanges(plate, imported, fields);
+          const lockChange = changes.find(change => change.field === 'isLocked');
+          if (lockChange) {
+            const health = this.getImportedLockHealth(plate, imported, Boolean(lockChange.to));
+            if (health !== plate.health) {
+              changes.push({ field: 'health', from: plate.health, to: health });
+            }
+          }
+          const returned = Boolean(plate.removedFromExcel);
+          const modelRevisions = ModelRevisionStore.addRevisions(
+            plate.modelRevisions,
+            changes.some(change => change.field === 'modelFiles') ? imported.modelFiles : plate.modelFiles,
+            { user: importedBy, date: now }
+          );
+          if (changes.length === 0 && !returned) {
+            // Model versions seen for the first time are still recorded
+            if (modelRevisions.length > (plate.modelRevisions || []).length) {
+              this.commitPlate({ ...plate, modelRevisions }, plate);
+            }
+            continue;
+          }
+
+          const updatedPlate = {
+            ...plate,
+            modelRevisions,
+            lastImportDate: now,
+            lastModifiedBy: importedBy,
+            lastModifiedDate: now
+          };
+          changes.forEach(change => { updatedPlate[change.field] = change.to; });
+          if (imported.excelSource) {
+            updatedPlate.excelSource = imported.excelSource;
+          }
+          delete updatedPlate.removedFromExcel;
+          delete updatedPlate.removedFromExcelDate;
+
+          const details = changes.map(change => this.describeImportChange(change));
+          if (returned) {
+            details.unshift('back in Excel master sheet');
+          }
+          this.addHistoryEntry(updatedPlate, 'imported', importedBy, `Updated from Excel: ${details.join(', ')}`);
+
+          this.commitPlate(updatedPlate, plate);
+          result.updated.push({ id: plate.id, plateNumber, changes, returned });
+        }
+
+        for (const [plateNumber, plate] of byNumber) {
+          if (seen.has(plateNumber) || plate.deleted || plate.removedFromExcel) {
+            continue;
+          }
+
+          const flaggedPlate = {
+            ...plate,
+            removedFromExcel: true,
+            removedFromExcelDate: now,
+            lastModifiedBy: importedBy,
+            lastModifiedDate: now
+          };
+          this.addHistoryEntry(flaggedPlate, 'imported', importedBy, 'Removed from Excel master sheet');
+
+          this.commitPlate(flaggedPlate, plate);
+          result.flagged.push({ id: plate.id, plateNumber, occupancy: plate.occupancy });
+        }
+
+        return result;
+      });
 
-      // Check if plate can be deleted (not in use)
-      if (plate.occupancy === 'in-use') {
-        throw new Error(`Cannot delete plate ${plateId} - currently in use`);
-      }
+      logInfo('Excel import merged', {
+        added: result.added.length,
+        updated: result.updated.length,
+        flagged: result.flagged.length,
+        skipped: result.skipped.length,
+        importedBy
+      });
+      return result;
+
+    } catch (error) {
+      logError('Failed to merge Excel import', { error: error.message });
+      throw error;
+    }
+  }
 
-      this.plates.delete(plateId);
-      await this.savePlates();
+  /**
+   * Replace a plate's model links after its model folder changed on disk
+   * Records a model_changed history entry; nothing is changed (and no entry
+   * added) when the links are the same as stored
+   * @param {string} plateId - Plate ID
+   * @param {Object} links - { modelFiles, currentModelFile, modelStatus } and optionally dimensions, boxSize
+   * New model versions are added to modelRevisions
+   * @param {string} [changedBy='model-watcher'] - User recorded in history
+   * @param {string} [details] - History text, described from the file changes when omitted
+   * @returns {Promise<{plate: Object, changes: Array}>}
+   */
+  async updateModelLinks(plateId, links, changedBy = 'model-watcher', details = null) {
+    try {
+      const result = await this.enqueueOperation('updateModelLinks', () => {
+        const plate = this.getExistingPlate(plateId);
+        const changes = PlateSchema.getFieldChanges(plate, links, Object.keys(links));
+        if (changes.length === 0) {
+          return { plate, changes };
+        }
+
+        const now = new Date();
+        const updatedPlate = {
+          ...plate,
+          ...links,
+          lastModifiedBy: changedBy,
+          lastModifiedDate: now
+        };
+        updatedPlate.modelRevisions = ModelRevisionStore.addRevisions(
+          plate.modelRevisions,
+          updatedPlate.modelFiles,
+          { user: changedBy, date: now }
+        );
+        this.addHistoryEntry(
+          updatedPlate,
+          'model_changed',
+          changedBy,
+          details || this.describeModelChange(plate.modelFiles || [], updatedPlate.modelFiles || [], updatedPlate.modelStatus)
+        );
 
-      logInfo('Plate deleted', { plateId, deletedBy });
-      return true;
+        this.commitPlate(updatedPlate, plate);
+        return { plate: updatedPlate, changes };
+      });
+
+      if (result.changes.length > 0) {
+        logInfo('Plate model links updated', { plateId, fields: result.changes.map(change => change.field) });
+      }
+      return result;
 
     } catch (error) {
-      logError('Failed to delete plate', { error: error.message, plateId });
+      logError('Failed to update plate model links', { error: error.message, plateId });
       throw error;
     }
   }
 
   /**
    * Start work on plate
+   * options.syncWorkOrder false is used by WorkOrderService when it drives the change
    */
-  async startWork(plateId, workOrderName, startedBy = 'system') {
+  async startWork(plateId, workOrderName, startedBy = 'system', options = {}) {
     try {
-      const plate = this.plates.get(plateId);
-      if (!plate) {
-        throw new Error(`Plate ${plateId} not found`);
-      }
+      const updatedPlate = await this.enqueueOperation('startWork', () => {
+        let plate = this.getExistingPlate(plateId);
+        this.checkRevision(plate, options.expectedRevision);
+
+        if (this.isReservationExpired(plate)) {
+          plate = this.commitExpiredReservation(plate);
+        }
+
+        if (plate.occupancy === 'reserved' && plate.reservation && plate.reservation.reservedBy !== startedBy) {
+          throw ServiceError.conflict(
+            `Plate ${plateId} is reserved by ${plate.reservation.reservedBy} for ${plate.reservation.workOrderName}`,
+            { reservation: plate.reservation }
+          );
+        }
+
+        if (plate.occupancy === 'in-use') {
+          throw ServiceError.conflict(`Plate ${plateId} is already in use`);
+        }
+
+        if (plate.health === 'locked') {
+          throw ServiceError.conflict(`Plate ${plateId} is locked and cannot be used`);
+        }
+
+        // Validate work order format
+        const workOrderPattern = config.plates?.workOrderPattern || /^[A-Z0-9-_]+$/i;
+        if (!workOrderPattern.test(workOrderName)) {
+          throw ServiceError.badRequest(`Invalid work order format: ${workOrderName}`);
+        }
+
+        const updatedPlate = {
+          ...plate,
+          occupancy: 'in-use',
+          lastWorkName: workOrderName,
+          lastModifiedBy: startedBy,
+          lastModifiedDate: new Date()
+        };
+        delete updatedPlate.reservation; // Reservation is consumed when work starts
+
+        this.addHistoryEntry(updatedPlate, 'work_started', startedBy, `Work started: ${workOrderName}`);
+
+        this.commitPlate(updatedPlate, plate);
+        return updatedPlate;
+      });
 
-      if (plate.occupancy === 'in-use') {
-        throw new Error(`Plate ${plateId} is already in use`);
+      logInfo('Work started on plate', { plateId, workOrderName, startedBy });
+      if (options.syncWorkOrder === false) {
+        return updatedPlate;
       }
+      await this.notifyWorkOrderService('recordPlateWorkStarted', workOrderName, plateId, startedBy);
+      return updatedPlate;
 
-      if (plate.health === 'locked') {
-        throw new Error(`Plate ${plateId} is locked and cannot be used`);
-      }
+    } catch (error) {
+      logError('Failed to start work on plate', { error: error.message, plateId, workOrderName });
+      throw error;
+    }
+  }
 
-      // Validate work order format
-      const workOrderPattern = config.plates?.workOrderPattern || /^[A-Z0-9-_]+$/i;
-      if (!workOrderPattern.test(workOrderName)) {
-        throw new Error(`Invalid work order format: ${workOrderName}`);
-      }
+  /**
+   * Reserve plate for a work order
+   * Only the reserving operator can start work on a reserved plate
+   * @param {string} plateId - Plate to reserve
+   * @param {Object} reservationData - Reservation details
+   * @param {string} reservationData.workOrderName - Work order the plate is held for
+   * @param {string} reservationData.reservedBy - Operator holding the reservation
+   * @param {string|Date} [reservationData.expiresAt] - Expiry time
+   * @param {number} [reservationData.durationMinutes] - Expiry relative to now (when expiresAt is not given)
+   */
+  async reservePlate(plateId, reservationData = {}, options = {}) {
+    const { workOrderName, reservedBy, expiresAt, durationMinutes } = reservationData;
 
-      const updatedPlate = {
-        ...plate,
-        occupancy: 'in-use',
-        lastWorkName: workOrderName,
-        lastModifiedBy: startedBy,
-        lastModifiedDate: new Date()
-      };
+    try {
+      const reservedPlate = await this.enqueueOperation('reservePlate', () => {
+        let plate = this.getExistingPlate(plateId);
+        this.checkRevision(plate, options.expectedRevision);
+
+        if (!workOrderName) {
+          throw ServiceError.badRequest('workOrderName is required');
+        }
+
+        if (!reservedBy) {
+          throw ServiceError.badRequest('reservedBy is required');
+        }
+
+        const workOrderPattern = config.plates?.workOrderPattern || /^[A-Z0-9-_]+$/i;
+        if (!workOrderPattern.test(workOrderName)) {
+          throw ServiceError.badRequest(`Invalid work order format: ${workOrderName}`);
+        }
+
+        const now = new Date();
+        let expiryDate;
+        if (expiresAt) {
+          expiryDate = new Date(expiresAt);
+          if (isNaN(expiryDate.getTime()) || expiryDate <= now) {
+            throw ServiceError.badRequest(`expiresAt must be a future date: ${expiresAt}`);
+          }
+        } else {
+          const minutes = durationMinutes || config.plates?.reservationMinutes || 240;
+          if (!(minutes > 0)) {
+            throw ServiceError.badRequest(`durationMinutes must be positive: ${durationMinutes}`);
+          }
+          expiryDate = new Date(now.getTime() + minutes * 60 * 1000);
+        }
+
+        if (this.isReservationExpired(plate, now)) {
+          plate = this.commitExpiredReservation(plate, now);
+        }
+
+        if (plate.occupancy === 'in-use') {
+          throw ServiceError.conflict(`Plate ${plateId} is already in use`);
+        }
+
+        if (plate.occupancy === 'reserved') {
+          throw ServiceError.conflict(
+            `Plate ${plateId} is already reserved${plate.reservation ? ` by ${plate.reservation.reservedBy}` : ''}`,
+            { reservation: plate.reservation }
+          );
+        }
+
+        if (plate.health === 'locked' || plate.health === 'damaged') {
+          throw ServiceError.conflict(`Plate ${plateId} is ${plate.health} and cannot be reserved`);
+        }
+
+        const reservedPlate = {
+          ...plate,
+          occupancy: 'reserved',
+          reservation: {
+            workOrderName,
+            reservedBy,
+            reservedDate: now,
+            expiresAt: expiryDate
+          },
+          lastModifiedBy: reservedBy,
+          lastModifiedDate: now
+        };
 
-      this.addHistoryEntry(updatedPlate, 'work_started', startedBy, `Work started: ${workOrderName}`);
+        this.addHistoryEntry(
+          reservedPlate,
+          'reserved',
+          reservedBy,
+          `Reserved for ${workOrderName} until ${expiryDate.toISOString()}`
+        );
 
-      this.plates.set(plateId, updatedPlate);
-      await this.savePlates();
+        this.commitPlate(reservedPlate, plate);
+        return reservedPlate;
+      });
 
-      logInfo('Work started on plate', { plateId, workOrderName, startedBy });
-      return updatedPlate;
+      logInfo('Plate reserved', { plateId, workOrderName, reservedBy, expiresAt: reservedPlate.reservation.expiresAt });
+      return reservedPlate;
 
     } catch (error) {
-      logError('Failed to start work on plate', { error: error.message, plateId, workOrderName });
+      logError('Failed to reserve plate', { error: error.message, plateId, workOrderName });
       throw error;
     }
   }
 
   /**
-   * Finish work on plate
+   * Release a plate reservation
+   * Only the operator holding the reservation can release it unless
+   * options.force is set (admin or system override)
    */
-  async finishWork(plateId, finishedBy = 'system', notes = '') {
+  async releasePlate(plateId, releasedBy = 'system', reason = '', options = {}) {
     try {
-      const plate = this.plates.get(plateId);
-      if (!plate) {
-        throw new Error(`Plate ${plateId} not found`);
-      }
+      let workOrderName = null;
+      const releasedPlate = await this.enqueueOperation('releasePlate', () => {
+        const plate = this.getExistingPlate(plateId);
+        this.checkRevision(plate, options.expectedRevision);
+
+        if (plate.occupancy !== 'reserved') {
+          throw ServiceError.conflict(`Plate ${plateId} is not reserved`);
+        }
+
+        if (plate.reservation && plate.reservation.reservedBy !== releasedBy && !options.force) {
+          throw ServiceError.conflict(
+            `Plate ${plateId} is reserved by ${plate.reservation.reservedBy} for ${plate.reservation.workOrderName}`,
+            { reservation: plate.reservation }
+          );
+        }
+
+        const releasedPlate = {
+          ...plate,
+          occupancy: 'free',
+          lastModifiedBy: releasedBy,
+          lastModifiedDate: new Date()
+        };
+        delete releasedPlate.reservation;
+        workOrderName = plate.reservation?.workOrderName || null;
 
-      if (plate.occupancy !== 'in-use') {
-        throw new Error(`Plate ${plateId} is not currently in use`);
-      }
+        this.addHistoryEntry(
+          releasedPlate,
+          'released',
+          releasedBy,
+          `Reservation${plate.reservation ? ` for ${plate.reservation.workOrderName}` : ''} released${reason ? ` - ${reason}` : ''}`
+        );
+
+        this.commitPlate(releasedPlate, plate);
+        return releasedPlate;
+      });
+
+      logInfo('Plate reservation released', { plateId, releasedBy, workOrder: workOrderName });
+      return releasedPlate;
+
+    } catch (error) {
+      logError('Failed to release plate', { error: error.message, plateId });
+      throw error;
+    }
+  }
+
+  /**
+   * Release every reservation whose expiry time has passed
+   * @returns {Promise<string[]>} IDs of released plates
+   */
+  async releaseExpiredReservations(now = new Date()) {
+    const hasExpired = Array.from(this.plates.values())
+      .some(plate => !plate.deleted && this.isReservationExpired(plate, now));
+    if (!hasExpired) {
+      return [];
+    }
+
+    const releasedIds = await this.enqueueOperation('releaseExpiredReservations', () => {
+      const ids = [];
+      this.plates.forEach((plate, plateId) => {
+        if (!plate.deleted && this.isReservationExpired(plate, now)) {
+          this.commitPlate(this.expireReservation(plate, now), plate);
+          ids.push(plateId);
+        }
+      });
+      return ids;
+    });
+
+    if (releasedIds.length > 0) {
+      logInfo('Released expired reservations', { plateIds: releasedIds });
+    }
+
+    return releasedIds;
+  }
 
-      const updatedPlate = {
-        ...plate,
-        occupancy: 'free',
-        health: 'used', // Mark as used after work completion
-        lastModifiedBy: finishedBy,
-        lastModifiedDate: new Date(),
-        notes: notes || plate.notes
-      };
-
-      this.addHistoryEntry(
-        updatedPlate, 
-        'work_finished', 
-        finishedBy, 
-        `Work finished: ${plate.lastWorkName}${notes ? ` - ${notes}` : ''}`
+  /**
+   * Finish work on plate
+   * options.stopped marks the linked work order cancelled instead of completed;
+   * options.syncWorkOrder false is used by WorkOrderService when it drives the change
+   */
+  async finishWork(plateId, finishedBy = 'system', notes = '', options = {}) {
+    if (options.syncWorkOrder !== false && this.workOrderService) {
+      return this.workOrderService.trackPlateFinish(plateId, () =>
+        this.finishPlateWork(plateId, finishedBy, notes, options)
       );
+    }
+    return this.finishPlateWork(plateId, finishedBy, notes, options);
+  }
 
-      this.plates.set(plateId, updatedPlate);
-      await this.savePlates();
+  /**
+   * Free the plate, then record the finish on its work order (see finishWork)
+   */
+  async finishPlateWork(plateId, finishedBy, notes, options) {
+    try {
+      const updatedPlate = await this.enqueueOperation('finishWork', () => {
+        const plate = this.getExistingPlate(plateId);
+        this.checkRevision(plate, options.expectedRevision);
+
+        if (plate.occupancy !== 'in-use') {
+          throw ServiceError.conflict(`Plate ${plateId} is not currently in use`);
+        }
+
+        const updatedPlate = {
+          ...plate,
+          occupancy: 'free',
+          health: plate.health === 'locked' ? 'locked' : 'used', // Mark as used after work completion unless locked meanwhile
+          lastModifiedBy: finishedBy,
+          lastModifiedDate: new Date(),
+          notes: notes || plate.notes
+        };
+
+        this.addHistoryEntry(
+          updatedPlate, 
+          'work_finished', 
+          finishedBy, 
+          `Work finished: ${plate.lastWorkName}${notes ? ` - ${notes}` : ''}`
+        );
 
-      logInfo('Work finished on plate', { plateId, finishedBy, workOrder: plate.lastWorkName });
+        this.commitPlate(updatedPlate, plate);
+        return updatedPlate;
+      });
+
+      logInfo('Work finished on plate', { plateId, finishedBy, workOrder: updatedPlate.lastWorkName });
+      if (options.syncWorkOrder === false) {
+        return updatedPlate;
+      }
+      await this.notifyWorkOrderService(
+        'recordPlateWorkFinished',
+        updatedPlate.lastWorkName,
+        plateId,
+        finishedBy,
+        notes,
+        { cancelled: Boolean(options.stopped) }
+      );
       return updatedPlate;
 
     } catch (error) {
@@ -272,18 +908,81 @@ class PlateService {
     }
   }
 
+  /**
+   * Put a plate back the way it was before an aborted work order start
+   * Occupancy, health, reservation and lastWorkName return to the snapshot, so
+   * a new plate stays new and a reservation held before the start is kept
+   * @param {string} plateId - Plate taken by the aborted start
+   * @param {Object} snapshot - { occupancy, health, reservation, lastWorkName } taken before the start
+   * @param {string} workOrderName - Work order the plate was taken for
+   * @param {string} revertedBy - User who started the work order
+   * @param {string} reason - Why the start was aborted
+   * @returns {Promise<Object>} The restored plate
+   * @throws {ServiceError} 409 when the plate is no longer held for the work order
+   */
+  async revertPlateStart(plateId, snapshot, workOrderName, revertedBy = 'system', reason = '') {
+    try {
+      const revertedPlate = await this.enqueueOperation('revertPlateStart', () => {
+        const plate = this.getExistingPlate(plateId);
+
+        const heldForWorkOrder = plate.occupancy === 'in-use'
+          ? plate.lastWorkName === workOrderName
+          : plate.occupancy === 'reserved' && plate.reservation?.workOrderName === workOrderName;
+        if (!heldForWorkOrder) {
+          throw ServiceError.conflict(`Plate ${plateId} is no longer held for ${workOrderName}`);
+        }
+
+        const revertedPlate = {
+          ...plate,
+          occupancy: snapshot.occupancy,
+          health: snapshot.health,
+          lastWorkName: snapshot.lastWorkName,
+          lastModifiedBy: revertedBy,
+          lastModifiedDate: new Date()
+        };
+        if (snapshot.reservation) {
+          revertedPlate.reservation = snapshot.reservation;
+        } else {
+          delete revertedPlate.reservation;
+        }
+
+        this.addHistoryEntry(
+          revertedPlate,
+          'start_reverted',
+          revertedBy,
+          `Start of ${workOrderName} reverted${reason ? ` - ${reason}` : ''}`
+        );
+
+        this.commitPlate(revertedPlate, plate);
+        return revertedPlate;
+      });
+
+      logInfo('Plate start reverted', { plateId, workOrderName, revertedBy });
+      return revertedPlate;
+
+    } catch (error) {
+      logError('Failed to revert plate start', { error: error.message, plateId, workOrderName });
+      throw error;
+    }
+  }
+
   /**
    * Get operational statistics
    */
   async getOperationalStats() {
     const stats = {
-      total: this.plates.size,
+      total: 0,
       byHealth: { new: 0, used: 0, locked: 0 },
-      byOccupancy: { free: 0, 'in-use': 0 },
+      byOccupancy: { free: 0, 'in-use': 0, reserved: 0 },
       activeWorkOrders: 0
     };
 
     this.plates.forEach(plate => {
+      if (plate.deleted) {
+        stats.deleted = (stats.deleted || 0) + 1;
+        return;
+      }
+      stats.total++;
       stats.byHealth[plate.health]++;
       stats.byOccupancy[plate.occupancy]++;
       if (plate.occupancy === 'in-use' && plate.lastWorkName) {
@@ -294,63 +993,180 @@ class PlateService {
     return stats;
   }
 
+  /**
+   * Queue a state mutation
+   * Mutations run one at a time in arrival order, so the check and the change
+   * inside an operation (e.g. "is the plate free?" → "mark it in-use") can't be
+   * interleaved with another request. The operation must update this.plates
+   * synchronously and must not save; the queue persists once per batch.
+   * @param {string} name - Operation name for logging
+   * @param {Function} execute - Mutation to run, its return value resolves the promise
+   * @returns {Promise<*>} Resolves after the change has been written to storage
+   */
+  enqueueOperation(name, execute) {
+    return new Promise((resolve, reject) => {
+      this.pendingOperations.push({ name, execute, resolve, reject });
+      this.processPendingOperations().catch(error => {
+        logError('Mutation queue failed', { error: error.message });
+      });
+    });
+  }
+
   /**
    * Process pending operations
+   * Drains the queue in batches: every operation queued while the previous
+   * batch was being saved is applied, then written with a single save
    */
   async processPendingOperations() {
-    if (this.pendingOperations.length === 0) {
+    if (this.processingOperations || this.pendingOperations.length === 0) {
       return;
     }
 
-    logInfo(`Processing ${this.pendingOperations.length} pending operations`);
+    this.processingOperations = true;
 
-    for (const operation of this.pendingOperations) {
-      try {
-        await this.executeOperation(operation);
-      } catch (error) {
-        logError('Failed to execute pending operation', { error: error.message, operation });
+    try {
+      while (this.pendingOperations.length > 0) {
+        // Let operations queued in the same event loop turn join this batch
+        await new Promise(resolve => setImmediate(resolve));
+
+        const batch = this.pendingOperations.splice(0);
+        const snapshot = new Map(this.plates);
+        const completed = [];
+
+        for (const operation of batch) {
+          try {
+            const result = await this.executeOperation(operation);
+            completed.push({ operation, result });
+          } catch (error) {
+            operation.reject(error);
+          }
+        }
+
+        // A refused operation may still have stored a change it found on the
+        // way (an expired reservation), so save whenever memory moved on
+        if (completed.length === 0 && !this.hasChangedSince(snapshot)) {
+          continue;
+        }
+
+        try {
+          await this.savePlates();
+          completed.forEach(({ operation, result }) => operation.resolve(result));
+        } catch (error) {
+          // Nothing from this batch reached disk - roll memory back to match it
+          this.plates = snapshot;
+          logError('Failed to persist queued operations, changes rolled back', {
+            error: error.message,
+            operations: completed.map(({ operation }) => operation.name)
+          });
+          completed.forEach(({ operation }) => operation.reject(error));
+        }
       }
+    } finally {
+      this.processingOperations = false;
     }
+  }
 
-    this.pendingOperations = [];
+  /**
+   * Whether any plate was stored since the snapshot was taken
+   * @param {Map} snapshot - Copy of this.plates
+   */
+  hasChangedSince(snapshot) {
+    return this.plates.size !== snapshot.size ||
+      Array.from(this.plates).some(([plateId, plate]) => snapshot.get(plateId) !== plate);
   }
 
   /**
    * Validate plate data
+   * Throws a 400 ServiceError listing every invalid field
    */
   validatePlate(plate) {
+    const fieldErrors = this.getValidationErrors(plate);
+    if (fieldErrors.length > 0) {
+      throw ServiceError.badRequest(
+        fieldErrors.map(fieldError => fieldError.message).join('; '),
+        { fields: fieldErrors }
+      );
+    }
+
+    // Ensure history array exists
+    if (!Array.isArray(plate.history)) {
+      plate.history = [];
+    }
+
+    // Limit history entries
+    const maxHistoryEntries = config.plates?.maxHistoryEntries || 50;
+    if (plate.history.length > maxHistoryEntries) {
+      plate.history = plate.history.slice(-maxHistoryEntries);
+    }
+
+    return plate;
+  }
+
+  /**
+   * Reject a create/update payload that breaks the plate schema
+   * @throws {ServiceError} 400 listing every violating field
+   */
+  assertValidPayload(payload, existingPlate) {
+    const fieldErrors = PlateSchema.validatePayload(payload, existingPlate);
+    if (fieldErrors.length > 0) {
+      throw ServiceError.badRequest(
+        fieldErrors.map(fieldError => fieldError.message).join('; '),
+        { fields: fieldErrors }
+      );
+    }
+  }
+
+  /**
+   * Collect field-level validation errors for a plate
+   * @returns {Array<{field: string, message: string}>}
+   */
+  getValidationErrors(plate) {
+    const fieldErrors = [];
+
     if (!plate.id) {
-      throw new Error('Plate ID is required');
+      fieldErrors.push({ field: 'id', message: 'Plate ID is required' });
     }
 
     if (!plate.shelf) {
-      throw new Error('Plate shelf location is required');
+      fieldErrors.push({ field: 'shelf', message: 'Plate shelf location is required' });
     }
 
     // Validate health state with safe fallback
     const validHealthStates = config.plates?.healthStates || ['new', 'used', 'locked', 'damaged'];
     if (!validHealthStates.includes(plate.health)) {
-      throw new Error(`Invalid health state: ${plate.health}`);
+      fieldErrors.push({ field: 'health', message: `Invalid health state: ${plate.health}` });
     }
 
     // Validate occupancy state with safe fallback
     const validOccupancyStates = config.plates?.occupancyStates || ['free', 'in-use', 'reserved'];
     if (!validOccupancyStates.includes(plate.occupancy)) {
-      throw new Error(`Invalid occupancy state: ${plate.occupancy}`);
+      fieldErrors.push({ field: 'occupancy', message: `Invalid occupancy state: ${plate.occupancy}` });
     }
 
-    // Ensure history array exists
-    if (!Array.isArray(plate.history)) {
-      plate.history = [];
-    }
+    // Fields produced by the Excel import (convert_excel_to_json)
+    ['plateNumber', 'shelfNumber', 'boxSize'].forEach(field => {
+      const message = PlateSchema.checkFieldValue(field, plate[field]);
+      if (message) {
+        fieldErrors.push({ field, message });
+      }
+    });
 
-    // Limit history entries
-    const maxHistoryEntries = config.plates?.maxHistoryEntries || 50;
-    if (plate.history.length > maxHistoryEntries) {
-      plate.history = plate.history.slice(-maxHistoryEntries);
+    if (plate.modelFiles !== undefined) {
+      if (!Array.isArray(plate.modelFiles)) {
+        fieldErrors.push({ field: 'modelFiles', message: 'modelFiles must be of type array' });
+      } else {
+        plate.modelFiles.forEach((modelFile, index) => {
+          if (!modelFile || typeof modelFile.fileName !== 'string' || typeof modelFile.relativePath !== 'string') {
+            fieldErrors.push({
+              field: `modelFiles[${index}]`,
+              message: `modelFiles[${index}] must have fileName and relativePath strings`
+            });
+          }
+        });
+      }
     }
 
-    return plate;
+    return fieldErrors;
   }
 
   /**
@@ -365,7 +1181,8 @@ class PlateService {
       details
     };
 
-    plate.history.push(entry);
+    // Copy rather than push so plate objects held by a queue snapshot stay untouched
+    plate.history = [...(plate.history || []), entry];
 
     // Limit history size
     const maxHistoryEntries = config.plates?.maxHistoryEntries || 50;
@@ -401,6 +1218,204 @@ class PlateService {
     return changes.join(', ');
   }
 
+  /**
+   * Describe an imported field change for the plate history
+   */
+  describeImportChange(change) {
+    const isScalar = value => value === null || typeof value !== 'object';
+    if (isScalar(change.from) && isScalar(change.to)) {
+      return `${change.field}: ${change.from ?? '-'} → ${change.to ?? '-'}`;
+    }
+    return `${change.field} updated`;
+  }
+
+  /**
+   * Health of a plate whose Excel lock changed
+   * Locking wins over any health; unlocking a locked plate makes it used when
+   * Excel or the plate history shows work on it, new otherwise
+   */
+  getImportedLockHealth(plate, imported, isLocked) {
+    if (isLocked) {
+      return 'locked';
+    }
+    if (plate.health !== 'locked') {
+      return plate.health;
+    }
+
+    const worked = imported.health === 'used' ||
+      (plate.history || []).some(entry => entry.action === 'work_finished');
+    return worked ? 'used' : 'new';
+  }
+
+  /**
+   * History text for a model folder change, e.g.
+   * "Model files changed: added plate_12_v2.x_t; modified plate_12.step"
+   */
+  describeModelChange(previousFiles, nextFiles, modelStatus) {
+    const previousByName = new Map(previousFiles.map(file => [file.fileName, file]));
+    const nextNames = new Set(nextFiles.map(file => file.fileName));
+    const parts = [];
+
+    const added = nextFiles.filter(file => !previousByName.has(file.fileName));
+    const modified = nextFiles.filter(file => {
+      const previous = previousByName.get(file.fileName);
+      return previous && (previous.sha256 !== file.sha256 || previous.size !== file.size);
+    });
+    const removed = previousFiles.filter(file => !nextNames.has(file.fileName));
+
+    if (added.length > 0) {
+      parts.push(`added ${added.map(file => file.fileName).join(', ')}`);
+    }
+    if (modified.length > 0) {
+      parts.push(`modified ${modified.map(file => file.fileName).join(', ')}`);
+    }
+    if (removed.length > 0) {
+      parts.push(`removed ${removed.map(file => file.fileName).join(', ')}`);
+    }
+
+    const details = parts.length > 0 ? `Model files changed: ${parts.join('; ')}` : 'Model links updated';
+    return modelStatus ? `${details} (${modelStatus})` : details;
+  }
+
+  /**
+   * Check whether a plate holds a reservation that has run out
+   */
+  isReservationExpired(plate, now = new Date()) {
+    return plate.occupancy === 'reserved' &&
+      Boolean(plate.reservation) &&
+      new Date(plate.reservation.expiresAt) <= now;
+  }
+
+  /**
+   * Build a copy of the plate with its expired reservation released
+   */
+  expireReservation(plate, now = new Date()) {
+    const releasedPlate = {
+      ...plate,
+      occupancy: 'free',
+      lastModifiedBy: 'system',
+      lastModifiedDate: now
+    };
+    delete releasedPlate.reservation;
+
+    this.addHistoryEntry(
+      releasedPlate,
+      'reservation_expired',
+      'system',
+      `Reservation for ${plate.reservation.workOrderName} by ${plate.reservation.reservedBy} expired`
+    );
+
+    return releasedPlate;
+  }
+
+  /**
+   * Release an expired reservation as its own change
+   * Stored right away so the expiry is kept even when the operation that
+   * found it is refused afterwards
+   * @returns {Object} The released plate
+   */
+  commitExpiredReservation(plate, now = new Date()) {
+    const releasedPlate = this.expireReservation(plate, now);
+    this.commitPlate(releasedPlate, plate);
+    return releasedPlate;
+  }
+
+  /**
+   * Structured work history of a plate
+   * Plates imported before the work history grammar are parsed on the fly
+   */
+  getWorkProjects(plate) {
+    const workProjects = plate.workProjects || [];
+    if (workProjects.length > 0 && workProjects.every(workProject => Array.isArray(workProject.projectNumbers))) {
+      return workProjects;
+    }
+    return WorkHistoryParser.parseWorkHistory(plate.workHistory).entries;
+  }
+
+  /**
+   * Check whether a plate has a linked model file
+   */
+  hasModel(plate) {
+    return Boolean(plate.currentModelFile || plate.modelFile) ||
+      (Array.isArray(plate.modelFiles) && plate.modelFiles.length > 0);
+  }
+
+  /**
+   * Compare two field values for sorting
+   * Numeric-aware so plate numbers sort 1, 2, 10 rather than 1, 10, 2
+   */
+  compareValues(a, b) {
+    if (a === b) {
+      return 0;
+    }
+    if (a === undefined || a === null) {
+      return 1;
+    }
+    if (b === undefined || b === null) {
+      return -1;
+    }
+    if (typeof a === 'number' && typeof b === 'number') {
+      return a - b;
+    }
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+  }
+
+  /**
+   * Store a changed plate with the next revision number
+   * @param {Object} plate - New plate state
+   * @param {Object} [previousPlate] - State being replaced (omit for new plates)
+   */
+  commitPlate(plate, previousPlate = null) {
+    plate.revision = previousPlate ? (previousPlate.revision || 0) + 1 : 1;
+    this.plates.set(plate.id, plate);
+  }
+
+  /**
+   * Reject a change made against an outdated revision (optimistic concurrency)
+   * @throws {ServiceError} 412 with the current plate when the revisions differ
+   */
+  checkRevision(plate, expectedRevision) {
+    if (expectedRevision === undefined || expectedRevision === null) {
+      return;
+    }
+
+    if (plate.revision !== expectedRevision) {
+      throw ServiceError.preconditionFailed(
+        `Plate ${plate.id} has been modified (revision ${plate.revision}, expected ${expectedRevision})`,
+        { currentRevision: plate.revision, current: plate }
+      );
+    }
+  }
+
+  /**
+   * Forward a committed plate work action to the work order service
+   * The plate change is already saved, so work order failures are only logged
+   * and left for reconciliation
+   */
+  async notifyWorkOrderService(method, ...args) {
+    if (!this.workOrderService) {
+      return;
+    }
+
+    try {
+      await this.workOrderService[method](...args);
+    } catch (error) {
+      logWarn('Failed to update work order for plate action', { method, error: error.message });
+    }
+  }
+
+  /**
+   * Get a plate that exists and is not soft-deleted
+   * @throws {ServiceError} 404 when the plate is missing or deleted
+   */
+  getExistingPlate(plateId) {
+    const plate = this.plates.get(plateId);
+    if (!plate || plate.deleted) {
+      throw ServiceError.notFound(`Plate ${plateId} not found`);
+    }
+    return plate;
+  }
+
   /**
    * Save plates to storage
    */
@@ -427,8 +1442,7 @@ class PlateService {
    * Execute pending operation
    */
   async executeOperation(operation) {
-    // Implementation for pending operations
-    logInfo('Executing pending operation', { operation });
+    return operation.execute();
   }
 }
 
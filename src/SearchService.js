@@ -0,0 +1,132 @@
+// src/SearchService.js
+/**
+ * Plate search across work history
+ * Finds every plate used for a project / part, from the Excel work history
+ * and from work started on the plate since the import
+ */
+
+const ServiceError = require('../utils/ServiceError');
+const WorkHistoryParser = require('../utils/WorkHistoryParser');
+
+const WORK_STARTED_PREFIX = 'Work started: ';
+
+class SearchService {
+  constructor(plateService) {
+    this.plateService = plateService;
+  }
+
+  /**
+   * Find plates used for a project and/or part number
+   * Plates with recorded work come first, most recent first; plates only
+   * known from Excel follow by plate number, as the sheet's position letters
+   * are per-plate slots and say nothing about when the work was done
+   * @param {Object} query
+   * @param {string} [query.project] - 4-digit project number
+   * @param {string} [query.part] - Part number, e.g. "072"
+   * @returns {Promise<{query: Object, total: number, results: Array}>}
+   * @throws {ServiceError} 400 when neither project nor part is valid
+   */
+  async searchPlates(query = {}) {
+    const project = query.project ? String(query.project).trim() : null;
+    const part = query.part ? String(query.part).trim() : null;
+
+    if (!project && !part) {
+      throw ServiceError.badRequest('project or part is required');
+    }
+    if (project && !/^\d{4}$/.test(project)) {
+      throw ServiceError.badRequest('project must be a 4-digit project number');
+    }
+    if (part && !/^\d{1,3}$/.test(part)) {
+      throw ServiceError.badRequest('part must be a part number of up to 3 digits');
+    }
+
+    const criteria = { project, part: part ? WorkHistoryParser.normalizePart(part) : null };
+    const results = [];
+
+    for (const plate of await this.plateService.getAllPlates()) {
+      const matches = [
+        ...this.findHistoryMatches(plate, criteria),
+        ...this.findExcelMatches(plate, criteria)
+      ];
+      if (matches.length === 0) {
+        continue;
+      }
+
+      const dates = matches.filter(match => match.date).map(match => new Date(match.date).getTime());
+      results.push({
+        plateId: plate.id,
+        plateNumber: plate.plateNumber,
+        shelf: plate.shelf,
+        health: plate.health,
+        occupancy: plate.occupancy,
+        lastUsedDate: dates.length > 0 ? new Date(Math.max(...dates)).toISOString() : null,
+        matches
+      });
+    }
+
+    results.sort((a, b) => this.compareRecency(a, b));
+
+    return {
+      query: { project, part: criteria.part },
+      total: results.length,
+      results
+    };
+  }
+
+  /**
+   * Work started on the plate whose work order name matches
+   */
+  findHistoryMatches(plate, criteria) {
+    const matches = [];
+    for (const entry of plate.history || []) {
+      if (entry.action !== 'work_started' || !String(entry.details || '').startsWith(WORK_STARTED_PREFIX)) {
+        continue;
+      }
+
+      const workOrder = entry.details.slice(WORK_STARTED_PREFIX.length).trim();
+      const order = WorkHistoryParser.parseOrder(workOrder);
+      if (this.matchesOrder(order, criteria)) {
+        matches.push({
+          source: 'history',
+          workOrder,
+          user: entry.user,
+          date: entry.date || entry.timestamp || null
+        });
+      }
+    }
+    return matches.reverse();
+  }
+
+  /**
+   * Excel work history entries of the plate that match
+   */
+  findExcelMatches(plate, criteria) {
+    return this.plateService.getWorkProjects(plate)
+      .filter(workProject => this.matchesOrder(workProject, criteria))
+      .map(workProject => ({
+        source: 'excel',
+        projectCode: workProject.projectCode,
+        workOrder: workProject.workOrder,
+        fullEntry: workProject.fullEntry,
+        date: null
+      }));
+  }
+
+  matchesOrder(order, criteria) {
+    return (!criteria.project || (order.projectNumbers || []).includes(criteria.project)) &&
+      (!criteria.part || (order.parts || []).includes(criteria.part));
+  }
+
+  /**
+   * Most recently used first; Excel-only plates have no dates, so they
+   * follow in plate number order
+   */
+  compareRecency(a, b) {
+    if (a.lastUsedDate || b.lastUsedDate) {
+      return new Date(b.lastUsedDate || 0) - new Date(a.lastUsedDate || 0);
+    }
+    return String(a.plateNumber).localeCompare(String(b.plateNumber), undefined, { numeric: true });
+  }
+}
+
+module.exports = SearchService;
@@ -8,28 +8,67 @@ const http = require('http');
 const url = require('url');
 const config = require('../config');
 const { logInfo, logError, logWarn } = require('../utils/Logger');
+const ServiceError = require('../utils/ServiceError');
+const ExcelProcessor = require('../utils/ExcelProcessor');
+const ExcelExporter = require('../utils/ExcelExporter');
 const DataManager = require('./DataManager');
 const PlateService = require('./PlateService');
 const WorkOrderService = require('./WorkOrderService');
+const ImportService = require('./ImportService');
+const SearchService = require('./SearchService');
+const FitService = require('./FitService');
+const ModelService = require('./ModelService');
+const ModelWatcher = require('./ModelWatcher');
 
 class WebService {
   constructor() {
     this.dataManager = new DataManager();
     this.plateService = new PlateService(this.dataManager);
     this.workOrderService = new WorkOrderService(this.dataManager);
+    this.plateService.setWorkOrderService(this.workOrderService);
+    this.workOrderService.setPlateService(this.plateService);
+    this.importService = new ImportService(this.plateService);
+    this.searchService = new SearchService(this.plateService);
+    this.fitService = new FitService(this.plateService);
+    this.modelService = new ModelService(this.plateService);
     this.server = null;
+    this.reservationTimer = null;
+    this.reconcileTimer = null;
+    this.modelWatcher = null;
   }
 
   /**
    * Start the web service
+   * @param {Object} [options]
+   * @param {boolean} [options.watchModels] - Keep plate model links in step with the models folder
    */
-  async start() {
+  async start(options = {}) {
     try {
       // Initialize services
       await this.dataManager.initialize();
       await this.plateService.initialize();
       await this.workOrderService.initialize();
 
+      // Release expired plate reservations periodically
+      await this.plateService.releaseExpiredReservations();
+      const reservationCheckInterval = config.plates?.reservationCheckIntervalMs || 60000;
+      this.reservationTimer = setInterval(() => {
+        this.plateService.releaseExpiredReservations().catch(error => {
+          logError('Failed to release expired reservations', { error: error.message });
+        });
+      }, reservationCheckInterval);
+      this.reservationTimer.unref();
+
+      // Keep work orders and plate occupancy in step
+      await this.reconcileWorkOrders();
+      const reconcileInterval = config.plates?.reconcileIntervalMs || 300000;
+      this.reconcileTimer = setInterval(() => this.reconcileWorkOrders(), reconcileInterval);
+      this.reconcileTimer.unref();
+
+      if (options.watchModels || config.plates?.watchModels) {
+        this.startModelWatcher();
+      }
+
       // Create HTTP server
       this.server = http.createServer((req, res) => {
         this.handleRequest(req, res);
@@ -40,11 +79,31 @@ class WebService {
         logInfo(`ClampingPlateManager API server listening on port ${config.webService.port}`);
         console.log(`🌐 API server running at http://localhost:${config.webService.port}`);
         console.log(`📚 API endpoints:`);
-        console.log(`   GET  /api/plates          - Get all plates`);
+        console.log(`   GET  /api/plates          - Get plates (filter, sort, limit/offset, fields)`);
+        console.log(`   POST /api/plates          - Create plate`);
         console.log(`   GET  /api/plates/:id      - Get specific plate`);
         console.log(`   POST /api/plates/:id      - Update plate`);
-        console.log(`   GET  /api/work-orders     - Get work orders`);
+        console.log(`   DEL  /api/plates/:id      - Delete plate (soft delete)`);
+        console.log(`   POST /api/plates/:id/restore - Restore deleted plate`);
+        console.log(`   POST /api/plates/:id/reserve - Reserve plate for a work order`);
+        console.log(`   POST /api/plates/:id/release - Release plate reservation`);
+        console.log(`   GET  /api/work-orders     - Get work orders (status, plateId, project, from, to)`);
         console.log(`   POST /api/work-orders     - Create work order`);
+        console.log(`   POST /api/work-orders/reconcile - Report/fix work order drift`);
+        console.log(`   GET  /api/work-orders/:id - Get specific work order`);
+        console.log(`   PATCH /api/work-orders/:id - Update/reassign work order`);
+        console.log(`   POST /api/work-orders/:id/start|complete|cancel - Work order actions`);
+        console.log(`   POST /api/work-orders/:id/plates/:plateId/finish - Finish one plate`);
+        console.log(`   POST /api/import/preview  - Dry-run Excel import diff`);
+        console.log(`   POST /api/import/merge    - Merge Excel into existing plates`);
+        console.log(`   GET  /api/export/xlsx     - Export inventory as Excel workbook`);
+        console.log(`   GET  /api/search          - Find plates by project / part number`);
+        console.log(`   GET  /api/plates/fit      - Find free plates for a part envelope (x, y, z mm)`);
+        console.log(`   GET  /api/plates/:id/models - List a plate's model files`);
+        console.log(`   GET  /api/plates/:id/models/revisions - List archived model revisions`);
+        console.log(`   GET  /api/plates/:id/models/revisions/:n - Download a model revision`);
+        console.log(`   POST /api/plates/:id/models/revisions/:n/restore - Restore a model revision`);
+        console.log(`   GET  /api/models/:path    - Download a model file (Range supported)`);
         console.log(`   GET  /api/stats           - Get operational stats`);
         console.log(`   GET  /api/previews/:file  - Get preview image`);
         console.log(`   GET  /api/health          - Health check`);
@@ -100,14 +159,46 @@ class WebService {
         await this.handleConfig(req, res);
       } else if (path === '/api/plates') {
         await this.handlePlates(req, res);
+      } else if (path === '/api/plates/fit') {
+        await this.handlePlateFit(req, res);
       } else if (path.match(/^\/api\/plates\/[^\/]+\/work\/(start|finish|stop)$/)) {
         await this.handlePlateWorkAction(req, res);
+      } else if (path.match(/^\/api\/plates\/[^/]+\/(reserve|release)$/)) {
+        await this.handlePlateReservation(req, res);
+      } else if (path.match(/^\/api\/plates\/[^/]+\/restore$/)) {
+        await this.handlePlateRestore(req, res);
+      } else if (path.match(/^\/api\/plates\/[^/]+\/models$/)) {
+        await this.handlePlateModels(req, res);
+      } else if (path.match(/^\/api\/plates\/[^/]+\/models\/revisions$/)) {
+        await this.handleModelRevisions(req, res);
+      } else if (path.match(/^\/api\/plates\/[^/]+\/models\/revisions\/\d+$/)) {
+        await this.handleModelRevisionFile(req, res);
+      } else if (path.match(/^\/api\/plates\/[^/]+\/models\/revisions\/\d+\/restore$/)) {
+        await this.handleModelRevisionRestore(req, res);
       } else if (path.startsWith('/api/plates/')) {
         await this.handlePlateById(req, res);
       } else if (path === '/api/work-orders') {
         await this.handleWorkOrders(req, res);
+      } else if (path === '/api/work-orders/reconcile') {
+        await this.handleWorkOrderReconcile(req, res);
+      } else if (path.match(/^\/api\/work-orders\/[^/]+\/plates\/[^/]+\/finish$/)) {
+        await this.handleWorkOrderPlateFinish(req, res);
+      } else if (path.match(/^\/api\/work-orders\/[^/]+\/(start|complete|cancel)$/)) {
+        await this.handleWorkOrderAction(req, res);
+      } else if (path.match(/^\/api\/work-orders\/[^/]+$/)) {
+        await this.handleWorkOrderById(req, res);
+      } else if (path === '/api/import/preview') {
+        await this.handleImportPreview(req, res);
+      } else if (path === '/api/import/merge') {
+        await this.handleImportMerge(req, res);
+      } else if (path === '/api/export/xlsx') {
+        await this.handleExcelExport(req, res);
+      } else if (path === '/api/search') {
+        await this.handleSearch(req, res);
       } else if (path === '/api/stats') {
         await this.handleStats(req, res);
+      } else if (path.startsWith('/api/models/')) {
+        await this.handleModelFile(req, res);
       } else if (path.startsWith('/api/previews/')) {
         await this.handlePreviewImage(req, res);
       } else {
@@ -115,6 +206,10 @@ class WebService {
       }
 
     } catch (error) {
+      if (error instanceof ServiceError) {
+        this.sendServiceError(res, error, 'Request handling failed', { url: req.url, method: req.method });
+        return;
+      }
       logError('Request handling failed', { 
         error: error.message, 
         url: req.url, 
@@ -128,23 +223,35 @@ class WebService {
    * Handle health check endpoint
    */
   async handleHealth(req, res) {
+    const storage = this.dataManager.getStorageHealth();
     const health = {
-      status: 'healthy',
+      status: storage.status === 'ok' ? 'healthy' : 'degraded',
       timestamp: new Date().toISOString(),
       version: '1.0.0',
-      mode: config.app.testMode ? 'test' : 'production'
+      mode: config.app.testMode ? 'test' : 'production',
+      storage
     };
+
+    const warnings = [
+      storage.recovery && `plates.json was corrupt and has been restored from ${storage.recovery.restoredFrom} at ${storage.recovery.recoveredAt}`,
+      storage.workOrdersRecovery && `work_orders.json was corrupt and has been restored from ${storage.workOrdersRecovery.restoredFrom} at ${storage.workOrdersRecovery.recoveredAt}`
+    ].filter(Boolean);
+    if (warnings.length > 0) {
+      health.warning = warnings.join('; ');
+    }
     
     this.sendJson(res, health);
   }
 
   /**
    * Handle config endpoint - receive configuration from Dashboard
+   * An initialization stopped by invalid model folders answers 422 with the
+   * validation report; skipInvalidFolders continues without those folders
    */
   async handleConfig(req, res) {
     try {
       const body = await this.readRequestBody(req);
-      const { testMode, platesPath, workingFolder, autoRun = false, plateInfoFile } = body;
+      const { testMode, platesPath, workingFolder, autoRun = false, plateInfoFile, dryRun = false, merge = false, skipInvalidFolders = false } = body;
 
       if (typeof testMode !== 'boolean') {
         this.sendError(res, 400, 'testMode (boolean) is required');
@@ -170,42 +277,65 @@ class WebService {
         platesPath,
       });
 
+      // A dry run only reports what the import would change
+      if (autoRun && dryRun && plateInfoFile && platesPath) {
+        const report = await this.importService.previewImport(plateInfoFile, platesPath, { skipInvalidFolders });
+        this.sendJson(res, { success: true, dryRun: true, report, timestamp: new Date().toISOString() });
+        return;
+      }
+
+      // A merge keeps existing plates and their runtime state instead of replacing plates.json
+      if (autoRun && merge && plateInfoFile && platesPath) {
+        const report = await this.importService.mergeImport(plateInfoFile, platesPath, {
+          importedBy: 'dashboard',
+          skipInvalidFolders
+        });
+        this.sendJson(res, { success: true, merged: true, report, timestamp: new Date().toISOString() });
+        return;
+      }
+
       // If autoRun is true AND we have plateInfoFile, trigger initialization
       let initResult = null;
       if (autoRun && plateInfoFile && platesPath) {
         logInfo('Auto-run enabled - triggering initialization', { plateInfoFile, platesPath });
         try {
           const convertExcelToJson = require('./convert_excel_to_json');
-          initResult = await convertExcelToJson(plateInfoFile, platesPath);
+          initResult = await convertExcelToJson(plateInfoFile, platesPath, { skipInvalidFolders });
           
-          // Copy timestamped inventory to plates.json
-          const fs = require('fs').promises;
-          const path = require('path');
-          const platesJsonPath = config.getPlatesDataPath();
-          await fs.copyFile(initResult.outputPath, platesJsonPath);
-          logInfo('Copied inventory to plates.json', { from: initResult.outputPath, to: platesJsonPath });
+          // Install the timestamped inventory as plates.json
+          await this.dataManager.installPlatesFile(initResult.outputPath);
           
           // Reload plates in service
           await this.plateService.initialize();
         } catch (initError) {
-          logError('Initialization failed', { error: initError.message });
-          this.sendError(res, 500, `Initialization failed: ${initError.message}`);
+          if (initError instanceof ServiceError) {
+            this.sendServiceError(res, initError, 'Initialization failed');
+          } else {
+            logError('Initialization failed', { error: initError.message });
+            this.sendError(res, 500, `Initialization failed: ${initError.message}`);
+          }
           return;
         }
       }
 
       this.sendJson(res, {
         success: true,
-        message: initResult ? `Configuration applied and ${initResult.metadata.totalPlates} plates initialized` : 'Configuration applied successfully',
+        message: initResult ? `Configuration applied and ${initResult.platesProcessed} plates initialized` : 'Configuration applied successfully',
         config: {
           testMode: config.app.testMode,
           autoMode: config.app.autoMode,
         },
         initialized: !!initResult,
-        plateCount: initResult?.metadata?.totalPlates || 0,
+        plateCount: initResult?.platesProcessed || 0,
+        validationReport: initResult?.validationReport || null,
+        validationReportPath: initResult?.reportPath || null,
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
+      if (error instanceof ServiceError) {
+        this.sendServiceError(res, error, 'Failed to apply configuration');
+        return;
+      }
       logError('Failed to apply configuration', { error: error.message });
       this.sendError(res, 500, 'Failed to apply configuration');
     }
@@ -216,47 +346,225 @@ class WebService {
    */
   async handlePlates(req, res) {
     if (req.method === 'GET') {
-      const plates = await this.plateService.getAllPlates();
+      let options;
+      try {
+        options = this.parsePlateQuery(url.parse(req.url, true).query);
+      } catch (error) {
+        this.sendServiceError(res, error, 'Invalid plate query');
+        return;
+      }
+
+      const { total, plates } = await this.plateService.queryPlates(options);
       
       // Return in Dashboard-compatible format
       const response = {
         metadata: {
           generatedDate: new Date().toISOString(),
-          totalPlates: plates.length
+          totalPlates: total, // Matching plates before pagination
+          returned: plates.length,
+          offset: options.offset || 0,
+          limit: options.limit !== undefined ? options.limit : null
         },
         plates: plates
       };
       
       this.sendJson(res, response);
+    } else if (req.method === 'POST') {
+      try {
+        const body = await this.readRequestBody(req);
+        const plate = await this.plateService.createPlate(body);
+        this.sendPlate(res, plate, 201);
+      } catch (error) {
+        this.sendServiceError(res, error, 'Failed to create plate');
+      }
     } else {
       this.sendError(res, 405, 'Method Not Allowed');
     }
   }
 
+  /**
+   * Parse GET /api/plates query parameters into PlateService.queryPlates options
+   * Supports: health, occupancy (comma separated), shelf, isLocked, hasModel,
+   * project, projectNumber, part, q, sort (e.g. "-lastModifiedDate,plateNumber"), limit, offset, fields
+   */
+  parsePlateQuery(query) {
+    const options = {};
+    const list = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+    const bool = (name) => {
+      const value = String(query[name]).toLowerCase();
+      if (value !== 'true' && value !== 'false') {
+        throw ServiceError.badRequest(`${name} must be true or false`);
+      }
+      return value === 'true';
+    };
+    const integer = (name) => {
+      const value = Number(query[name]);
+      if (!Number.isInteger(value) || value < 0) {
+        throw ServiceError.badRequest(`${name} must be a non-negative integer`);
+      }
+      return value;
+    };
+
+    if (query.health) {
+      options.health = list(query.health);
+    }
+    if (query.occupancy) {
+      options.occupancy = list(query.occupancy);
+    }
+    if (query.shelf) {
+      options.shelf = String(query.shelf);
+    }
+    if (query.isLocked !== undefined) {
+      options.isLocked = bool('isLocked');
+    }
+    if (query.hasModel !== undefined) {
+      options.hasModel = bool('hasModel');
+    }
+    if (query.project) {
+      options.project = String(query.project);
+    }
+    if (query.projectNumber) {
+      if (!/^\d{4}$/.test(query.projectNumber)) {
+        throw ServiceError.badRequest('projectNumber must be a 4-digit project number');
+      }
+      options.projectNumber = String(query.projectNumber);
+    }
+    if (query.part) {
+      if (!/^\d{1,3}$/.test(query.part)) {
+        throw ServiceError.badRequest('part must be a part number of up to 3 digits');
+      }
+      options.part = String(query.part);
+    }
+    if (query.q) {
+      options.search = String(query.q);
+    }
+    if (query.sort) {
+      options.sort = list(query.sort).map(key => (
+        key.startsWith('-')
+          ? { field: key.slice(1), direction: -1 }
+          : { field: key, direction: 1 }
+      ));
+    }
+    if (query.limit !== undefined) {
+      options.limit = integer('limit');
+    }
+    if (query.offset !== undefined) {
+      options.offset = integer('offset');
+    }
+    if (query.fields) {
+      options.fields = list(query.fields);
+    }
+
+    return options;
+  }
+
   /**
    * Handle individual plate endpoints
    */
   async handlePlateById(req, res) {
+    const plateId = this.getPathSegment(req, 3);
+
     try {
-      const plateId = req.url.split('/')[3];
-      
       if (req.method === 'GET') {
         const plate = await this.plateService.getPlateById(plateId);
-        if (plate) {
-          this.sendJson(res, plate);
-        } else {
+        if (!plate) {
           this.sendError(res, 404, 'Plate not found');
+        } else if (req.headers['if-none-match'] === this.getPlateETag(plate)) {
+          res.setHeader('ETag', this.getPlateETag(plate));
+          res.writeHead(304);
+          res.end();
+        } else {
+          this.sendPlate(res, plate);
         }
       } else if (req.method === 'POST' || req.method === 'PUT') {
         const body = await this.readRequestBody(req);
-        const updatedPlate = await this.plateService.updatePlate(plateId, body);
-        this.sendJson(res, updatedPlate);
+        const updatedPlate = await this.plateService.updatePlate(plateId, body, this.getRevisionOptions(req));
+        this.sendPlate(res, updatedPlate);
+      } else if (req.method === 'DELETE') {
+        const body = await this.readRequestBody(req);
+        const deletedPlate = await this.plateService.deletePlate(
+          plateId,
+          body.operator || 'system',
+          this.getRevisionOptions(req)
+        );
+        this.sendPlate(res, deletedPlate);
       } else {
         this.sendError(res, 405, 'Method Not Allowed');
       }
     } catch (error) {
-      logError('Failed to handle plate request', { error: error.message, plateId: req.url.split('/')[3] });
-      this.sendError(res, 500, error.message);
+      this.sendServiceError(res, error, 'Failed to handle plate request', { plateId });
+    }
+  }
+
+  /**
+   * Handle restoring a soft-deleted plate
+   */
+  async handlePlateRestore(req, res) {
+    if (req.method !== 'POST') {
+      this.sendError(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    const plateId = this.getPathSegment(req, 3);
+
+    try {
+      const body = await this.readRequestBody(req);
+      const plate = await this.plateService.restorePlate(
+        plateId,
+        body.operator || 'system',
+        this.getRevisionOptions(req)
+      );
+      this.sendPlate(res, plate);
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to restore plate', { plateId });
+    }
+  }
+
+  /**
+   * Handle plate reservation endpoints (reserve, release)
+   * Release body { operator, reason, force }; force releases a reservation
+   * held by another operator
+   */
+  async handlePlateReservation(req, res) {
+    if (req.method !== 'POST') {
+      this.sendError(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    const plateId = this.getPathSegment(req, 3);
+    const action = this.getPathSegment(req, 4);
+
+    try {
+      const body = await this.readRequestBody(req);
+      let result;
+
+      if (action === 'reserve') {
+        if (!body.workName) {
+          this.sendError(res, 400, 'workName is required');
+          return;
+        }
+        if (!body.operator) {
+          this.sendError(res, 400, 'operator is required');
+          return;
+        }
+        result = await this.plateService.reservePlate(plateId, {
+          workOrderName: body.workName,
+          reservedBy: body.operator,
+          expiresAt: body.expiresAt,
+          durationMinutes: body.durationMinutes
+        }, this.getRevisionOptions(req));
+      } else {
+        result = await this.plateService.releasePlate(
+          plateId,
+          body.operator || 'system',
+          body.reason || '',
+          { ...this.getRevisionOptions(req), force: body.force === true }
+        );
+      }
+
+      this.sendPlate(res, result);
+    } catch (error) {
+      this.sendServiceError(res, error, `Failed to ${action} plate`, { plateId });
     }
   }
 
@@ -265,9 +573,8 @@ class WebService {
    */
   async handlePlateWorkAction(req, res) {
     try {
-      const pathParts = req.url.split('/');
-      const plateId = pathParts[3];
-      const action = pathParts[5]; // start, finish, or stop
+      const plateId = this.getPathSegment(req, 3);
+      const action = this.getPathSegment(req, 5); // start, finish, or stop
       
       if (req.method !== 'POST') {
         this.sendError(res, 405, 'Method Not Allowed');
@@ -286,7 +593,8 @@ class WebService {
           result = await this.plateService.startWork(
             plateId,
             body.workName,
-            body.operator || 'system'
+            body.operator || 'system',
+            this.getRevisionOptions(req)
           );
           break;
 
@@ -294,7 +602,8 @@ class WebService {
           result = await this.plateService.finishWork(
             plateId,
             body.operator || 'system',
-            body.notes || ''
+            body.notes || '',
+            this.getRevisionOptions(req)
           );
           break;
 
@@ -302,7 +611,8 @@ class WebService {
           result = await this.plateService.finishWork(
             plateId,
             body.operator || 'system',
-            body.reason || 'Work stopped'
+            body.reason || 'Work stopped',
+            { ...this.getRevisionOptions(req), stopped: true }
           );
           break;
 
@@ -311,10 +621,9 @@ class WebService {
           return;
       }
 
-      this.sendJson(res, result);
+      this.sendPlate(res, result);
     } catch (error) {
-      logError('Failed to handle work action', { error: error.message });
-      this.sendError(res, 500, error.message);
+      this.sendServiceError(res, error, 'Failed to handle work action');
     }
   }
 
@@ -323,17 +632,469 @@ class WebService {
    */
   async handleWorkOrders(req, res) {
     if (req.method === 'GET') {
-      const workOrders = await this.workOrderService.getAllWorkOrders();
-      this.sendJson(res, workOrders);
+      try {
+        const options = this.parseWorkOrderQuery(url.parse(req.url, true).query);
+        const workOrders = await this.workOrderService.queryWorkOrders(options);
+        this.sendJson(res, workOrders);
+      } catch (error) {
+        this.sendServiceError(res, error, 'Invalid work order query');
+      }
     } else if (req.method === 'POST') {
+      try {
+        const body = await this.readRequestBody(req);
+        const workOrder = await this.workOrderService.createWorkOrder(body);
+        this.sendJson(res, workOrder, 201);
+      } catch (error) {
+        this.sendServiceError(res, error, 'Failed to create work order');
+      }
+    } else {
+      this.sendError(res, 405, 'Method Not Allowed');
+    }
+  }
+
+  /**
+   * Parse GET /api/work-orders query parameters into WorkOrderService.queryWorkOrders options
+   * Supports: status (comma separated), plateId, project, from, to (ISO dates)
+   */
+  parseWorkOrderQuery(query) {
+    const options = {};
+    const date = (name) => {
+      const value = new Date(String(query[name]));
+      if (isNaN(value.getTime())) {
+        throw ServiceError.badRequest(`${name} must be a valid date`);
+      }
+      return value;
+    };
+
+    if (query.status) {
+      options.status = String(query.status).split(',').map(item => item.trim()).filter(Boolean);
+    }
+    if (query.plateId) {
+      options.plateId = String(query.plateId);
+    }
+    if (query.project) {
+      options.project = String(query.project);
+    }
+    if (query.from) {
+      options.from = date('from');
+    }
+    if (query.to) {
+      options.to = date('to');
+    }
+
+    return options;
+  }
+
+  /**
+   * Handle individual work order endpoints
+   */
+  async handleWorkOrderById(req, res) {
+    const workOrderId = this.getPathSegment(req, 3);
+
+    try {
+      if (req.method === 'GET') {
+        const workOrder = await this.workOrderService.getWorkOrderById(workOrderId);
+        if (!workOrder) {
+          this.sendError(res, 404, 'Work order not found');
+          return;
+        }
+        this.sendJson(res, workOrder);
+      } else if (req.method === 'PATCH') {
+        const body = await this.readRequestBody(req);
+        const workOrder = await this.workOrderService.updateWorkOrder(workOrderId, body);
+        this.sendJson(res, workOrder);
+      } else {
+        this.sendError(res, 405, 'Method Not Allowed');
+      }
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to handle work order request', { workOrderId });
+    }
+  }
+
+  /**
+   * Handle work order action endpoints (start, complete, cancel)
+   */
+  async handleWorkOrderAction(req, res) {
+    if (req.method !== 'POST') {
+      this.sendError(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    const workOrderId = this.getPathSegment(req, 3);
+    const action = this.getPathSegment(req, 4);
+
+    try {
       const body = await this.readRequestBody(req);
-      const workOrder = await this.workOrderService.createWorkOrder(body);
+      const operator = body.operator || 'system';
+      let workOrder;
+
+      if (action === 'start') {
+        workOrder = await this.workOrderService.startWorkOrder(workOrderId, body.plateId, operator);
+      } else if (action === 'complete') {
+        workOrder = await this.workOrderService.completeWorkOrder(workOrderId, operator, body.notes || '');
+      } else {
+        workOrder = await this.workOrderService.cancelWorkOrder(workOrderId, operator, body.reason || '');
+      }
+
       this.sendJson(res, workOrder);
-    } else {
+    } catch (error) {
+      this.sendServiceError(res, error, `Failed to ${action} work order`, { workOrderId });
+    }
+  }
+
+  /**
+   * Handle finishing a single plate of a multi-plate work order
+   */
+  async handleWorkOrderPlateFinish(req, res) {
+    if (req.method !== 'POST') {
+      this.sendError(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    const workOrderId = this.getPathSegment(req, 3);
+    const plateId = this.getPathSegment(req, 5);
+
+    try {
+      const body = await this.readRequestBody(req);
+      const workOrder = await this.workOrderService.finishWorkOrderPlate(
+        workOrderId,
+        plateId,
+        body.operator || 'system',
+        body.notes || ''
+      );
+      this.sendJson(res, workOrder);
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to finish work order plate', { workOrderId, plateId });
+    }
+  }
+
+  /**
+   * Handle work order reconciliation endpoint
+   * Body { fix: false } only reports drift
+   */
+  async handleWorkOrderReconcile(req, res) {
+    if (req.method !== 'POST') {
+      this.sendError(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    try {
+      const body = await this.readRequestBody(req);
+      const report = await this.workOrderService.reconcile({ fix: body.fix !== false });
+      this.sendJson(res, report);
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to reconcile work orders');
+    }
+  }
+
+  /**
+   * Run work order reconciliation, logging instead of throwing
+   * Reconcile waits its turn in the work order queue, so the timer never
+   * "fixes" an order whose start or finish is still in progress
+   */
+  async reconcileWorkOrders() {
+    try {
+      return await this.workOrderService.reconcile();
+    } catch (error) {
+      logError('Failed to reconcile work orders', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Handle import preview endpoint
+   * Body { excelPath, modelsPath, skipInvalidFolders }; reports added/removed/changed plates
+   * against the live inventory without writing anything
+   */
+  async handleImportPreview(req, res) {
+    if (req.method !== 'POST') {
       this.sendError(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    try {
+      const body = await this.readRequestBody(req);
+      if (!body.excelPath) {
+        throw ServiceError.badRequest('excelPath is required');
+      }
+      const report = await this.importService.previewImport(body.excelPath, body.modelsPath || null, {
+        skipInvalidFolders: body.skipInvalidFolders === true
+      });
+      this.sendJson(res, report);
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to preview import');
+    }
+  }
+
+  /**
+   * Handle merge import endpoint
+   * Body { excelPath, modelsPath, operator, skipInvalidFolders }; updates
+   * Excel-owned fields of existing plates, adds new ones and flags plates
+   * missing from the workbook. Invalid model folders answer 422 with the
+   * validation report unless skipInvalidFolders is true
+   */
+  async handleImportMerge(req, res) {
+    if (req.method !== 'POST') {
+      this.sendError(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    try {
+      const body = await this.readRequestBody(req);
+      if (!body.excelPath) {
+        throw ServiceError.badRequest('excelPath is required');
+      }
+      const report = await this.importService.mergeImport(body.excelPath, body.modelsPath || null, {
+        importedBy: body.operator || 'api',
+        skipInvalidFolders: body.skipInvalidFolders === true
+      });
+      this.sendJson(res, report);
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to merge import');
+    }
+  }
+
+  /**
+   * Handle Excel export endpoint
+   * Streams the inventory in the Készülékek.xlsx layout the importer reads
+   */
+  async handleExcelExport(req, res) {
+    if (req.method !== 'GET') {
+      this.sendError(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    try {
+      const mapping = await ExcelProcessor.loadColumnMapping(config.getConfigDataPath());
+      const exporter = new ExcelExporter({ mapping, previewsDir: config.getPreviewsDir() });
+      const { buffer } = await exporter.writeBuffer(await this.plateService.getAllPlates());
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="plates.xlsx"; filename*=UTF-8''${encodeURIComponent('Készülékek.xlsx')}`
+      );
+      res.writeHead(200);
+      res.end(buffer);
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to export inventory to Excel');
+    }
+  }
+
+  /**
+   * Handle search endpoint
+   * Query ?project=4969&part=072 - plates used for the project / part,
+   * most recently used first
+   */
+  async handleSearch(req, res) {
+    if (req.method !== 'GET') {
+      this.sendError(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    try {
+      const query = url.parse(req.url, true).query;
+      const result = await this.searchService.searchPlates({ project: query.project, part: query.part });
+      this.sendJson(res, result);
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to search plates');
     }
   }
 
+  /**
+   * Handle plate fit endpoint
+   * Query ?x=180&y=120&z=40 - free plates that can take the part envelope (mm),
+   * smallest first, with the near-misses and why they were excluded
+   */
+  async handlePlateFit(req, res) {
+    if (req.method !== 'GET') {
+      this.sendError(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    try {
+      const query = url.parse(req.url, true).query;
+      const result = await this.fitService.findFittingPlates({ x: query.x, y: query.y, z: query.z });
+      this.sendJson(res, result);
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to find fitting plates');
+    }
+  }
+
+  /**
+   * Handle plate models endpoint
+   */
+  async handlePlateModels(req, res) {
+    if (req.method !== 'GET') {
+      this.sendError(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    try {
+      this.sendJson(res, await this.modelService.getPlateModels(this.getPathSegment(req, 3)));
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to list plate models');
+    }
+  }
+
+  /**
+   * Handle model download endpoint
+   * Streams /api/models/<path relative to the models folder>, honouring a
+   * single "Range: bytes=" range so large files can be resumed
+   */
+  async handleModelFile(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      this.sendError(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    let model;
+    try {
+      let relativePath;
+      try {
+        relativePath = decodeURIComponent(url.parse(req.url).pathname.slice('/api/models/'.length));
+      } catch (error) {
+        throw ServiceError.badRequest('Invalid model path');
+      }
+      model = await this.modelService.getModelFile(relativePath);
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to serve model file');
+      return;
+    }
+
+    this.sendModelFile(req, res, model);
+  }
+
+  /**
+   * Handle plate model revisions endpoint
+   */
+  async handleModelRevisions(req, res) {
+    if (req.method !== 'GET') {
+      this.sendError(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    try {
+      this.sendJson(res, await this.modelService.getModelRevisions(this.getPathSegment(req, 3)));
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to list model revisions');
+    }
+  }
+
+  /**
+   * Handle model revision download (GET/HEAD, Range supported)
+   */
+  async handleModelRevisionFile(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      this.sendError(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    let model;
+    try {
+      model = await this.modelService.getRevisionFile(this.getPathSegment(req, 3), this.getPathSegment(req, 6));
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to serve model revision');
+      return;
+    }
+
+    this.sendModelFile(req, res, model);
+  }
+
+  /**
+   * Handle model revision restore
+   * Body: { operator }
+   */
+  async handleModelRevisionRestore(req, res) {
+    if (req.method !== 'POST') {
+      this.sendError(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    const plateId = this.getPathSegment(req, 3);
+
+    try {
+      const body = await this.readRequestBody(req);
+      const plate = await this.modelService.restoreModelRevision(
+        plateId,
+        this.getPathSegment(req, 6),
+        body.operator || 'system'
+      );
+      this.sendPlate(res, plate);
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to restore model revision', { plateId });
+    }
+  }
+
+  /**
+   * Stream a resolved model file, honouring a single-range Range header
+   * @param {Object} model - { filePath, fileName, size, modifiedDate, contentType }
+   */
+  sendModelFile(req, res, model) {
+    const range = this.parseRange(req.headers.range, model.size);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Last-Modified', model.modifiedDate.toUTCString());
+
+    if (range === false) {
+      res.setHeader('Content-Range', `bytes */${model.size}`);
+      this.sendError(res, 416, 'Range Not Satisfiable');
+      return;
+    }
+
+    const { start, end } = range || { start: 0, end: model.size - 1 };
+    res.setHeader('Content-Type', model.contentType);
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${model.fileName.replace(/[^\x20-\x7e]|"/g, '_')}"; filename*=UTF-8''${encodeURIComponent(model.fileName)}`
+    );
+    res.setHeader('Content-Length', Math.max(end - start + 1, 0));
+    if (range) {
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${model.size}`);
+    }
+    res.writeHead(range ? 206 : 200);
+
+    if (req.method === 'HEAD' || model.size === 0) {
+      res.end();
+      return;
+    }
+
+    const fs = require('fs');
+    fs.createReadStream(model.filePath, { start, end })
+      .on('error', (error) => {
+        logError('Model file stream failed', { error: error.message, filePath: model.filePath });
+        res.destroy(error);
+      })
+      .pipe(res);
+  }
+
+  /**
+   * Parse a single-range "bytes=" Range header
+   * @returns {{start: number, end: number}|null|false} The range, null to send
+   *   the whole file (no or unsupported header), false when unsatisfiable
+   */
+  parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+      return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+      // Suffix range: the last N bytes
+      start = Math.max(size - Number(match[2]), 0);
+      end = size - 1;
+    } else {
+      start = Number(match[1]);
+      end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+
+    if (start >= size || start > end) {
+      return false;
+    }
+    return { start, end };
+  }
+
   /**
    * Handle stats endpoint
    */
@@ -398,27 +1159,95 @@ class WebService {
   setCorsHeaders(res) {
     if (config.webService.enableCors) {
       res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-Match, If-None-Match');
+      res.setHeader('Access-Control-Expose-Headers', 'ETag');
     }
   }
 
   /**
    * Send JSON response
    */
-  sendJson(res, data) {
+  sendJson(res, data, status = 200) {
     res.setHeader('Content-Type', 'application/json');
-    res.writeHead(200);
+    res.writeHead(status);
     res.end(JSON.stringify(data, null, 2));
   }
 
+  /**
+   * Send a plate with its revision as ETag
+   */
+  sendPlate(res, plate, status = 200) {
+    res.setHeader('ETag', this.getPlateETag(plate));
+    this.sendJson(res, plate, status);
+  }
+
+  /**
+   * Build the ETag for a plate revision
+   */
+  getPlateETag(plate) {
+    return `"${plate.revision}"`;
+  }
+
+  /**
+   * Read the expected plate revision from the If-Match header
+   * Accepts "3", W/"3" or a bare 3; "*" or no header means no precondition
+   */
+  getRevisionOptions(req) {
+    const ifMatch = req.headers['if-match'];
+    if (!ifMatch || ifMatch.trim() === '*') {
+      return {};
+    }
+
+    const match = ifMatch.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+    if (!match) {
+      throw ServiceError.badRequest(`Invalid If-Match header: ${ifMatch}`);
+    }
+
+    return { expectedRevision: Number(match[1]) };
+  }
+
   /**
    * Send error response
    */
-  sendError(res, status, message) {
+  sendError(res, status, message, details = null) {
     res.setHeader('Content-Type', 'application/json');
     res.writeHead(status);
-    res.end(JSON.stringify({ error: message, status }));
+    res.end(JSON.stringify({ error: message, status, ...(details || {}) }));
+  }
+
+  /**
+   * Send error response for a failed service call
+   * ServiceErrors keep their status and details, anything else is a 500;
+   * a 412 carries the current revision as ETag to retry with
+   */
+  sendServiceError(res, error, logMessage, context = {}) {
+    const status = error.status || 500;
+    if (status >= 500) {
+      logError(logMessage, { error: error.message, ...context });
+    } else {
+      logWarn(logMessage, { error: error.message, status, ...context });
+    }
+    if (status === 412 && error.details && error.details.currentRevision !== undefined) {
+      res.setHeader('ETag', this.getPlateETag({ revision: error.details.currentRevision }));
+    }
+    this.sendError(res, status, error.message, error.details);
+  }
+
+  /**
+   * Get a path segment from the request URL, ignoring the query string
+   * @throws {ServiceError} 400 when the segment is not valid percent-encoding
+   */
+  getPathSegment(req, index) {
+    const segment = url.parse(req.url).pathname.split('/')[index];
+    if (!segment) {
+      return segment;
+    }
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      throw ServiceError.badRequest(`Invalid path segment: ${segment}`);
+    }
   }
 
   /**
@@ -434,16 +1263,41 @@ class WebService {
         try {
           resolve(body ? JSON.parse(body) : {});
         } catch (error) {
-          reject(new Error('Invalid JSON'));
+          reject(ServiceError.badRequest('Invalid JSON'));
         }
       });
     });
   }
 
+  /**
+   * Watch the models folder; a folder that cannot be watched only disables the
+   * watcher (ModelWatcher logs why)
+   */
+  startModelWatcher() {
+    try {
+      this.modelWatcher = new ModelWatcher(this.modelService);
+      this.modelWatcher.start();
+    } catch (error) {
+      this.modelWatcher = null;
+    }
+  }
+
   /**
    * Stop the web service
    */
   stop() {
+    if (this.reservationTimer) {
+      clearInterval(this.reservationTimer);
+      this.reservationTimer = null;
+    }
+    if (this.reconcileTimer) {
+      clearInterval(this.reconcileTimer);
+      this.reconcileTimer = null;
+    }
+    if (this.modelWatcher) {
+      this.modelWatcher.stop();
+      this.modelWatcher = null;
+    }
     if (this.server) {
       this.server.close();
       logInfo('Web service stopped');
@@ -6,11 +6,23 @@
 
 const config = require('../config');
 const { logInfo, logError, logWarn } = require('../utils/Logger');
+const ServiceError = require('../utils/ServiceError');
 
 class WorkOrderService {
   constructor(dataManager) {
     this.dataManager = dataManager;
     this.workOrders = new Map();
+    this.plateService = null;
+    this.saveChain = Promise.resolve();
+    this.operationChain = Promise.resolve();
+    this.platesFinishing = new Map();
+  }
+
+  /**
+   * Link the plate service so completing a work order frees its plate
+   */
+  setPlateService(plateService) {
+    this.plateService = plateService;
   }
 
   /**
@@ -33,30 +45,309 @@ class WorkOrderService {
 
   /**
    * Load work orders from storage
+   * The first run without a work order store backfills it from plate history
    */
   async loadWorkOrders() {
-    try {
-      // For now, we derive work orders from plate data
-      // In future, this could be a separate collection
-      const plates = await this.dataManager.loadPlates();
-      
-      this.workOrders.clear();
-      
-      plates.forEach(plate => {
-        if (plate.occupancy === 'in-use' && plate.lastWorkName) {
-          this.workOrders.set(plate.lastWorkName, {
-            id: plate.lastWorkName,
-            plateId: plate.id,
-            status: 'active',
-            startDate: this.findWorkStartDate(plate),
-            lastModified: plate.lastModifiedDate
+    const storedWorkOrders = await this.dataManager.loadWorkOrders();
+
+    this.workOrders.clear();
+
+    if (storedWorkOrders) {
+      storedWorkOrders.forEach(workOrder => {
+        this.workOrders.set(workOrder.id, this.normalizeWorkOrder(workOrder));
+      });
+      return;
+    }
+
+    const plates = await this.dataManager.loadPlates() || [];
+    this.backfillFromPlates(plates);
+
+    logInfo(`Backfilled ${this.workOrders.size} work orders from plate history`);
+    await this.saveWorkOrders();
+  }
+
+  /**
+   * Rebuild work orders from plate history work_started/work_finished pairs
+   */
+  backfillFromPlates(plates) {
+    plates.forEach(plate => {
+      const history = [...(plate.history || [])]
+        .sort((a, b) => new Date(a.date || a.timestamp) - new Date(b.date || b.timestamp));
+      let openWorkOrder = null;
+
+      history.forEach(entry => {
+        const entryDate = entry.date || entry.timestamp || null;
+
+        if (entry.action === 'work_started') {
+          if (openWorkOrder) {
+            this.closeBackfilledWorkOrder(openWorkOrder, null);
+          }
+          const name = this.parseWorkNameFromDetails(entry.details, 'Work started: ') || plate.lastWorkName;
+          openWorkOrder = this.addActiveWorkOrder(name || `${plate.id}-work`, plate.id, {
+            startDate: entryDate,
+            startedBy: entry.user || 'system',
+            source: 'backfill'
+          });
+        } else if (entry.action === 'work_finished' && openWorkOrder) {
+          const details = entry.details || '';
+          const separator = details.indexOf(' - ');
+          this.closeBackfilledWorkOrder(openWorkOrder, entryDate, {
+            completedBy: entry.user || 'system',
+            notes: separator >= 0 ? details.slice(separator + 3) : ''
           });
+          openWorkOrder = null;
         }
       });
-      
+
+      const stillInUse = plate.occupancy === 'in-use' && plate.lastWorkName;
+      if (openWorkOrder && !stillInUse) {
+        this.closeBackfilledWorkOrder(openWorkOrder, plate.lastModifiedDate || null);
+      } else if (!openWorkOrder && stillInUse) {
+        // Start entry fell out of the capped history; keep the active order anyway
+        this.addActiveWorkOrder(plate.lastWorkName, plate.id, {
+          startDate: null,
+          startedBy: plate.lastModifiedBy || 'system',
+          source: 'backfill'
+        });
+      }
+    });
+  }
+
+  /**
+   * Add an active work order for work already running on a plate
+   * The id gets a numeric suffix when the work order name was used before
+   */
+  addActiveWorkOrder(name, plateId, { startDate, startedBy, source }) {
+    let id = name;
+    for (let suffix = 2; this.workOrders.has(id); suffix++) {
+      id = `${name}_${suffix}`;
+    }
+
+    const workOrder = {
+      id,
+      name,
+      plateId,
+      plates: [this.createPlateEntry(plateId, 'primary', { status: 'active', startDate })],
+      status: 'active',
+      createdDate: startDate,
+      createdBy: startedBy,
+      startDate,
+      startedBy,
+      endDate: null,
+      completedBy: null,
+      notes: '',
+      source,
+      lastModified: startDate
+    };
+
+    this.workOrders.set(id, workOrder);
+    return workOrder;
+  }
+
+  /**
+   * Close a backfilled order at its work_finished entry, or without one when
+   * the plate was freed (or restarted) with no finish recorded
+   */
+  closeBackfilledWorkOrder(workOrder, endDate, {
+    completedBy = null,
+    notes = 'Backfilled without a work_finished entry'
+  } = {}) {
+    workOrder.status = 'completed';
+    workOrder.endDate = endDate;
+    workOrder.completedBy = completedBy;
+    workOrder.notes = notes;
+    workOrder.lastModified = endDate || workOrder.lastModified;
+    workOrder.plates.forEach(entry => {
+      entry.status = 'finished';
+      entry.endDate = endDate;
+      entry.finishedBy = completedBy;
+    });
+  }
+
+  /**
+   * Bring a stored work order to the multi-plate shape
+   * Orders saved before plate sets existed only carry plateId
+   */
+  normalizeWorkOrder(workOrder) {
+    if (Array.isArray(workOrder.plates)) {
+      return workOrder;
+    }
+
+    const entryStatus = {
+      pending: 'pending',
+      active: 'active',
+      completed: 'finished',
+      cancelled: 'cancelled'
+    };
+
+    workOrder.plates = workOrder.plateId
+      ? [this.createPlateEntry(workOrder.plateId, 'primary', {
+        status: entryStatus[workOrder.status] || 'pending',
+        startDate: workOrder.startDate || null,
+        endDate: workOrder.endDate || null,
+        finishedBy: workOrder.completedBy || null
+      })]
+      : [];
+    return workOrder;
+  }
+
+  /**
+   * Get the plate entries of a work order
+   */
+  getPlateEntries(workOrder) {
+    return this.normalizeWorkOrder(workOrder).plates;
+  }
+
+  createPlateEntry(plateId, role, { status = 'pending', startDate = null, endDate = null, finishedBy = null } = {}) {
+    return { plateId, role, status, startDate, endDate, finishedBy };
+  }
+
+  /**
+   * Build a validated plate set from { plates } or a single { plateId }
+   * The first plate becomes primary when no role is given; a non-empty set
+   * must have exactly one primary plate and no plate twice
+   * @throws {ServiceError} 400 with field details
+   */
+  buildPlateSet(data) {
+    let items;
+    if (data.plates !== undefined) {
+      if (!Array.isArray(data.plates)) {
+        throw ServiceError.badRequest('Invalid work order plates', {
+          fields: [{ field: 'plates', message: 'plates must be an array' }]
+        });
+      }
+      items = data.plates;
+    } else {
+      items = data.plateId ? [{ plateId: data.plateId, role: 'primary' }] : [];
+    }
+
+    const errors = [];
+    const seen = new Set();
+    const hasPrimary = items.some(item => item && item.role === 'primary');
+
+    const plates = items.map((item, index) => {
+      const plateId = typeof item === 'string' ? item : item && item.plateId;
+      const role = (item && item.role) || (!hasPrimary && index === 0 ? 'primary' : 'secondary');
+
+      if (typeof plateId !== 'string' || plateId.trim() === '') {
+        errors.push({ field: `plates[${index}].plateId`, message: 'plateId is required' });
+      } else if (seen.has(plateId)) {
+        errors.push({ field: `plates[${index}].plateId`, message: `Plate ${plateId} is listed twice` });
+      }
+      seen.add(plateId);
+
+      if (!WorkOrderService.PLATE_ROLES.includes(role)) {
+        errors.push({
+          field: `plates[${index}].role`,
+          message: `role must be one of: ${WorkOrderService.PLATE_ROLES.join(', ')}`
+        });
+      }
+
+      return this.createPlateEntry(plateId, role);
+    });
+
+    if (plates.length > 0 && plates.filter(entry => entry.role === 'primary').length !== 1) {
+      errors.push({ field: 'plates', message: 'Exactly one plate must be primary' });
+    }
+
+    if (errors.length > 0) {
+      throw ServiceError.badRequest('Invalid work order plates', { fields: errors });
+    }
+
+    return plates;
+  }
+
+  /**
+   * Check that every plate of a set is in the inventory
+   * Skipped when no plate service is linked
+   * @throws {ServiceError} 404 for the first unknown plate
+   */
+  async assertPlatesExist(plates) {
+    if (!this.plateService) {
+      return;
+    }
+
+    for (const entry of plates) {
+      if (!(await this.plateService.getPlateById(entry.plateId))) {
+        throw ServiceError.notFound(`Plate ${entry.plateId} not found`);
+      }
+    }
+  }
+
+  /**
+   * Keep the top-level plateId pointing at the primary plate
+   */
+  syncPrimaryPlateId(workOrder) {
+    const primary = this.getPlateEntries(workOrder).find(entry => entry.role === 'primary');
+    workOrder.plateId = primary ? primary.plateId : null;
+  }
+
+  parseWorkNameFromDetails(details, prefix) {
+    if (typeof details !== 'string' || !details.startsWith(prefix)) {
+      return null;
+    }
+    return details.slice(prefix.length).split(' - ')[0].trim() || null;
+  }
+
+  /**
+   * Persist all work orders
+   * Saves are chained so a slower earlier write can never land after a later one
+   */
+  saveWorkOrders() {
+    const save = this.saveChain.then(() =>
+      this.dataManager.saveWorkOrders(Array.from(this.workOrders.values()))
+    );
+    this.saveChain = save.catch(() => {});
+    return save;
+  }
+
+  /**
+   * Queue a work order mutation
+   * Mutations run one at a time in arrival order, plate calls included, so two
+   * requests can't both pass a status check (e.g. completing and cancelling the
+   * same active order). The operation changes this.workOrders and must not
+   * save; the queue saves after it. When the operation or the save fails,
+   * this.workOrders is put back as it was so memory never runs ahead of disk
+   * @param {string} name - Operation name for logging
+   * @param {Function} execute - Mutation to run (may be async), its return value resolves the promise
+   * @param {Object} [options]
+   * @param {Function} [options.saveWhen] - Given the result, whether anything needs saving
+   * @returns {Promise<*>} Resolves after the change has been written to storage
+   */
+  enqueueOperation(name, execute, { saveWhen = () => true } = {}) {
+    const operation = this.operationChain.then(() => this.executeOperation(name, execute, saveWhen));
+    this.operationChain = operation.catch(() => {});
+    return operation;
+  }
+
+  /**
+   * Run one queued operation against a snapshot it can be rolled back to
+   * The snapshot is a JSON copy, the form work orders are stored in
+   */
+  async executeOperation(name, execute, saveWhen) {
+    const snapshot = new Map(
+      Array.from(this.workOrders, ([id, workOrder]) => [id, JSON.parse(JSON.stringify(workOrder))])
+    );
+
+    let result;
+    try {
+      result = await execute();
+    } catch (error) {
+      this.workOrders = snapshot;
+      throw error;
+    }
+
+    if (!saveWhen(result)) {
+      return result;
+    }
+
+    try {
+      await this.saveWorkOrders();
+      return result;
     } catch (error) {
-      logWarn('Could not load work orders, starting fresh', { error: error.message });
-      this.workOrders.clear();
+      this.workOrders = snapshot;
+      logError('Failed to persist work order changes, changes rolled back', { error: error.message, operation: name });
+      throw error;
     }
   }
 
@@ -67,30 +358,122 @@ class WorkOrderService {
     return Array.from(this.workOrders.values());
   }
 
+  /**
+   * Get work order by ID
+   */
+  async getWorkOrderById(workOrderId) {
+    return this.workOrders.get(workOrderId) || null;
+  }
+
+  /**
+   * Query work orders
+   * @param {Object} options - Parsed query options
+   * @param {string[]} [options.status] - Allowed statuses
+   * @param {string} [options.plateId] - Plate the order runs on
+   * @param {string} [options.project] - Project code, or text in the order name
+   * @param {Date} [options.from] - Earliest start (or creation) date
+   * @param {Date} [options.to] - Latest start (or creation) date
+   */
+  async queryWorkOrders(options = {}) {
+    let workOrders = await this.getAllWorkOrders();
+
+    if (options.status) {
+      workOrders = workOrders.filter(workOrder => options.status.includes(workOrder.status));
+    }
+
+    if (options.plateId) {
+      workOrders = workOrders.filter(workOrder =>
+        this.getPlateEntries(workOrder).some(entry => entry.plateId === options.plateId)
+      );
+    }
+
+    if (options.project) {
+      const project = options.project.toLowerCase();
+      workOrders = workOrders.filter(workOrder =>
+        String(workOrder.projectCode || '').toLowerCase() === project ||
+        String(workOrder.name || workOrder.id).toLowerCase().includes(project)
+      );
+    }
+
+    if (options.from || options.to) {
+      workOrders = workOrders.filter(workOrder => {
+        const referenceDate = workOrder.startDate || workOrder.createdDate;
+        if (!referenceDate) {
+          return false;
+        }
+        const date = new Date(referenceDate);
+        return (!options.from || date >= options.from) && (!options.to || date <= options.to);
+      });
+    }
+
+    return workOrders;
+  }
+
   /**
    * Create new work order
    */
   async createWorkOrder(workOrderData) {
     try {
-      // Validate work order format
-      const workOrderPattern = config.plates?.workOrderPattern || /^[A-Z0-9-_]+$/i;
-      if (!workOrderPattern.test(workOrderData.id)) {
-        throw new Error(`Invalid work order ID format: ${workOrderData.id}`);
-      }
+      const workOrder = await this.enqueueOperation('createWorkOrder', async () => {
+        if (typeof workOrderData.id !== 'string' || workOrderData.id.trim() === '') {
+          throw ServiceError.badRequest('Work order ID is required', {
+            fields: [{ field: 'id', message: 'id must be a non-empty string' }]
+          });
+        }
+
+        // Validate work order format
+        const workOrderPattern = config.plates?.workOrderPattern || /^[A-Z0-9-_]+$/i;
+        if (!workOrderPattern.test(workOrderData.id)) {
+          throw ServiceError.badRequest(`Invalid work order ID format: ${workOrderData.id}`);
+        }
+
+        if (this.workOrders.has(workOrderData.id)) {
+          throw ServiceError.conflict(`Work order ${workOrderData.id} already exists`);
+        }
+
+        // Plates are held and started under the name, so it must be a valid
+        // work name and belong to one open order only
+        const name = workOrderData.name || workOrderData.id;
+        if (typeof name !== 'string' || !workOrderPattern.test(name)) {
+          throw ServiceError.badRequest(`Invalid work order name format: ${name}`, {
+            fields: [{ field: 'name', message: 'name must be a valid work name (letters, digits, - and _)' }]
+          });
+        }
 
-      const workOrder = {
-        id: workOrderData.id,
-        plateId: workOrderData.plateId,
-        status: 'pending',
-        createdDate: new Date(),
-        startDate: null,
-        endDate: null,
-        createdBy: workOrderData.createdBy || 'system'
-      };
+        const namesake = this.findOpenWorkOrderByName(name);
+        if (namesake) {
+          throw ServiceError.conflict(`Work order ${namesake.id} is already open under the name ${name}`);
+        }
+
+        const plates = this.buildPlateSet(workOrderData);
+        await this.assertPlatesExist(plates);
+
+        const now = new Date().toISOString();
+        const workOrder = {
+          id: workOrderData.id,
+          name,
+          plateId: null,
+          plates,
+          status: 'pending',
+          createdDate: now,
+          createdBy: workOrderData.createdBy || 'system',
+          startDate: null,
+          startedBy: null,
+          endDate: null,
+          completedBy: null,
+          notes: workOrderData.notes || '',
+          projectCode: workOrderData.projectCode || null,
+          assignedTo: workOrderData.assignedTo || null,
+          source: 'api',
+          lastModified: now
+        };
 
-      this.workOrders.set(workOrder.id, workOrder);
+        this.syncPrimaryPlateId(workOrder);
+        this.workOrders.set(workOrder.id, workOrder);
+        return workOrder;
+      });
 
-      logInfo('Work order created', { workOrderId: workOrder.id, plateId: workOrder.plateId });
+      logInfo('Work order created', { workOrderId: workOrder.id, plates: workOrder.plates.map(entry => entry.plateId) });
       return workOrder;
 
     } catch (error) {
@@ -100,26 +483,50 @@ class WorkOrderService {
   }
 
   /**
-   * Start work order
+   * Start work order on every plate in its set
+   * All-or-nothing: every plate is reserved first, and if any plate cannot be
+   * reserved or started the plates already taken are given back
+   * @param {string} workOrderId
+   * @param {string} [plateId] - Plate to use when the order has no plates yet
+   * @param {string} startedBy
    */
-  async startWorkOrder(workOrderId, plateId) {
+  async startWorkOrder(workOrderId, plateId, startedBy = 'system') {
     try {
-      const workOrder = this.workOrders.get(workOrderId);
-      if (!workOrder) {
-        throw new Error(`Work order ${workOrderId} not found`);
-      }
+      const workOrder = await this.enqueueOperation('startWorkOrder', async () => {
+        const workOrder = this.workOrders.get(workOrderId);
+        if (!workOrder) {
+          throw ServiceError.notFound(`Work order ${workOrderId} not found`);
+        }
 
-      if (workOrder.status !== 'pending') {
-        throw new Error(`Work order ${workOrderId} is not in pending status`);
-      }
+        if (workOrder.status !== 'pending') {
+          throw ServiceError.conflict(`Work order ${workOrderId} is not in pending status`);
+        }
 
-      workOrder.status = 'active';
-      workOrder.startDate = new Date();
-      workOrder.plateId = plateId;
+        const entries = this.getPlateEntries(workOrder);
+        if (entries.length === 0 && plateId) {
+          entries.push(this.createPlateEntry(plateId, 'primary'));
+        }
+
+        if (entries.length === 0) {
+          throw ServiceError.badRequest(`Work order ${workOrderId} has no plate to start on`);
+        }
+
+        await this.startWorkOrderPlates(workOrder, entries, startedBy);
 
-      this.workOrders.set(workOrderId, workOrder);
+        const now = new Date().toISOString();
+        entries.forEach(entry => {
+          entry.status = 'active';
+          entry.startDate = entry.startDate || now;
+        });
+        workOrder.status = 'active';
+        workOrder.startDate = now;
+        workOrder.startedBy = startedBy;
+        workOrder.lastModified = now;
+        this.syncPrimaryPlateId(workOrder);
+        return workOrder;
+      });
 
-      logInfo('Work order started', { workOrderId, plateId });
+      logInfo('Work order started', { workOrderId, plates: workOrder.plates.map(entry => entry.plateId) });
       return workOrder;
 
     } catch (error) {
@@ -128,25 +535,138 @@ class WorkOrderService {
     }
   }
 
+  /**
+   * Finish work on one plate of an active work order
+   * The order completes once no plate is left running
+   */
+  async finishWorkOrderPlate(workOrderId, plateId, finishedBy = 'system', notes = '') {
+    try {
+      const workOrder = await this.enqueueOperation('finishWorkOrderPlate', async () => {
+        const workOrder = this.workOrders.get(workOrderId);
+        if (!workOrder) {
+          throw ServiceError.notFound(`Work order ${workOrderId} not found`);
+        }
+
+        if (workOrder.status !== 'active') {
+          throw ServiceError.conflict(`Work order ${workOrderId} is not active`);
+        }
+
+        const entry = this.getPlateEntries(workOrder).find(item => item.plateId === plateId);
+        if (!entry) {
+          throw ServiceError.notFound(`Plate ${plateId} is not part of work order ${workOrderId}`);
+        }
+
+        if (entry.status !== 'active') {
+          throw ServiceError.conflict(`Plate ${plateId} is ${entry.status} in work order ${workOrderId}`);
+        }
+
+        await this.releaseWorkOrderPlate(workOrder, entry, finishedBy, notes, false);
+
+        this.markPlateEntry(entry, 'finished', finishedBy);
+        this.closeIfAllPlatesDone(workOrder, finishedBy, notes);
+        workOrder.lastModified = new Date().toISOString();
+        return workOrder;
+      });
+
+      logInfo('Work order plate finished', { workOrderId, plateId, finishedBy, status: workOrder.status });
+      return workOrder;
+
+    } catch (error) {
+      logError('Failed to finish work order plate', { error: error.message, workOrderId, plateId });
+      throw error;
+    }
+  }
+
+  /**
+   * Update editable work order fields
+   * Plates can only be reassigned while the order is pending
+   */
+  async updateWorkOrder(workOrderId, changes = {}, updatedBy = 'system') {
+    try {
+      const workOrder = await this.enqueueOperation('updateWorkOrder', async () => {
+        const workOrder = this.workOrders.get(workOrderId);
+        if (!workOrder) {
+          throw ServiceError.notFound(`Work order ${workOrderId} not found`);
+        }
+
+        const fields = Object.keys(changes)
+          .filter(field => !WorkOrderService.UPDATABLE_FIELDS.includes(field) && field !== 'modifiedBy')
+          .map(field => ({ field, message: `${field} cannot be updated` }));
+        if (fields.length > 0) {
+          throw ServiceError.badRequest('Invalid work order update', { fields });
+        }
+
+        if (workOrder.status === 'completed' || workOrder.status === 'cancelled') {
+          throw ServiceError.conflict(`Work order ${workOrderId} is ${workOrder.status}`);
+        }
+
+        const reassigning = changes.plates !== undefined ||
+          (changes.plateId !== undefined && changes.plateId !== workOrder.plateId);
+        if (reassigning && workOrder.status !== 'pending') {
+          throw ServiceError.conflict(`Work order ${workOrderId} is active; finish or cancel it before reassigning plates`);
+        }
+
+        let plates = null;
+        if (changes.plates !== undefined) {
+          plates = this.buildPlateSet({ plates: changes.plates });
+        } else if (changes.plateId !== undefined) {
+          // Replace the primary plate and keep the secondaries
+          const secondaries = this.getPlateEntries(workOrder)
+            .filter(entry => entry.role !== 'primary' && entry.plateId !== changes.plateId);
+          plates = this.buildPlateSet({
+            plates: changes.plateId ? [{ plateId: changes.plateId, role: 'primary' }, ...secondaries] : secondaries
+          });
+        }
+        if (plates) {
+          await this.assertPlatesExist(plates);
+          workOrder.plates = plates;
+        }
+        this.syncPrimaryPlateId(workOrder);
+
+        ['notes', 'projectCode', 'assignedTo'].forEach(field => {
+          if (changes[field] !== undefined) {
+            workOrder[field] = changes[field];
+          }
+        });
+        workOrder.lastModified = new Date().toISOString();
+        workOrder.lastModifiedBy = changes.modifiedBy || updatedBy;
+        return workOrder;
+      });
+
+      logInfo('Work order updated', { workOrderId, fields: Object.keys(changes) });
+      return workOrder;
+
+    } catch (error) {
+      logError('Failed to update work order', { error: error.message, workOrderId });
+      throw error;
+    }
+  }
+
   /**
    * Complete work order
+   * Frees every plate still in use for this order first
    */
-  async completeWorkOrder(workOrderId, completedBy = 'system') {
+  async completeWorkOrder(workOrderId, completedBy = 'system', notes = '') {
     try {
-      const workOrder = this.workOrders.get(workOrderId);
-      if (!workOrder) {
-        throw new Error(`Work order ${workOrderId} not found`);
-      }
+      const workOrder = await this.enqueueOperation('completeWorkOrder', async () => {
+        const workOrder = this.workOrders.get(workOrderId);
+        if (!workOrder) {
+          throw ServiceError.notFound(`Work order ${workOrderId} not found`);
+        }
 
-      if (workOrder.status !== 'active') {
-        throw new Error(`Work order ${workOrderId} is not active`);
-      }
+        if (workOrder.status !== 'active') {
+          throw ServiceError.conflict(`Work order ${workOrderId} is not active`);
+        }
 
-      workOrder.status = 'completed';
-      workOrder.endDate = new Date();
-      workOrder.completedBy = completedBy;
+        for (const entry of this.getPlateEntries(workOrder)) {
+          if (entry.status === 'active') {
+            await this.releaseWorkOrderPlate(workOrder, entry, completedBy, notes, false);
+          }
+        }
 
-      this.workOrders.set(workOrderId, workOrder);
+        this.markFinished(workOrder, 'completed', completedBy, notes);
+        return workOrder;
+      });
 
       logInfo('Work order completed', { workOrderId, completedBy });
       return workOrder;
@@ -158,30 +678,431 @@ class WorkOrderService {
   }
 
   /**
-   * Update plate statuses based on work orders
+   * Cancel a pending or active work order
+   * Plates still running for the order are stopped and freed
+   */
+  async cancelWorkOrder(workOrderId, cancelledBy = 'system', reason = '') {
+    try {
+      const workOrder = await this.enqueueOperation('cancelWorkOrder', async () => {
+        const workOrder = this.workOrders.get(workOrderId);
+        if (!workOrder) {
+          throw ServiceError.notFound(`Work order ${workOrderId} not found`);
+        }
+
+        if (workOrder.status !== 'pending' && workOrder.status !== 'active') {
+          throw ServiceError.conflict(`Work order ${workOrderId} is already ${workOrder.status}`);
+        }
+
+        for (const entry of this.getPlateEntries(workOrder)) {
+          if (entry.status === 'active') {
+            await this.releaseWorkOrderPlate(workOrder, entry, cancelledBy, reason || 'Work order cancelled', true);
+          }
+        }
+
+        this.markFinished(workOrder, 'cancelled', cancelledBy, reason);
+        return workOrder;
+      });
+
+      logInfo('Work order cancelled', { workOrderId, cancelledBy });
+      return workOrder;
+
+    } catch (error) {
+      logError('Failed to cancel work order', { error: error.message, workOrderId });
+      throw error;
+    }
+  }
+
+  /**
+   * Record that work started on a plate
+   * Joins the open order of that name (adding the plate as secondary when it
+   * is not listed), or creates an active one
+   */
+  async recordPlateWorkStarted(workOrderName, plateId, startedBy = 'system') {
+    const workOrder = await this.enqueueOperation('recordPlateWorkStarted', () =>
+      this.attachPlateWork(workOrderName, plateId, {
+        startDate: new Date().toISOString(),
+        startedBy,
+        source: 'plate'
+      })
+    );
+
+    logInfo('Work order updated from plate work', { workOrderId: workOrder.id, plateId });
+    return workOrder;
+  }
+
+  /**
+   * Record that work finished (or was stopped) on a plate
+   * The plate is already free, so only the work order changes
+   */
+  async recordPlateWorkFinished(workOrderName, plateId, finishedBy = 'system', notes = '', { cancelled = false } = {}) {
+    const workOrder = await this.enqueueOperation('recordPlateWorkFinished', () => {
+      const workOrder = this.findActiveWorkOrder(workOrderName, plateId);
+      if (!workOrder) {
+        return null;
+      }
+
+      const entry = this.getPlateEntries(workOrder).find(item => item.plateId === plateId);
+      this.markPlateEntry(entry, cancelled ? 'cancelled' : 'finished', finishedBy);
+      this.closeIfAllPlatesDone(workOrder, finishedBy, notes);
+      workOrder.lastModified = new Date().toISOString();
+      return workOrder;
+    }, { saveWhen: result => result !== null });
+
+    if (!workOrder) {
+      logWarn('No active work order for finished plate work', { workOrderName, plateId });
+      return null;
+    }
+
+    logInfo('Work order plate finished from plate work', { workOrderId: workOrder.id, plateId, status: workOrder.status });
+    return workOrder;
+  }
+
+  /**
+   * Run a plate finish that records itself on the work order afterwards
+   * Reconciliation leaves the plate alone until both steps are done, so the
+   * finish is not closed as drift and keeps its operator and notes
+   * @param {string} plateId
+   * @param {Function} finish - Frees the plate, then records the work order side
    */
-  async updatePlateStatuses() {
+  async trackPlateFinish(plateId, finish) {
+    this.platesFinishing.set(plateId, (this.platesFinishing.get(plateId) || 0) + 1);
     try {
-      // This method would coordinate with PlateService
-      // to ensure plate statuses match work order statuses
-      logInfo('Updating plate statuses based on work orders');
+      return await finish();
+    } finally {
+      const count = this.platesFinishing.get(plateId) - 1;
+      if (count > 0) {
+        this.platesFinishing.set(plateId, count);
+      } else {
+        this.platesFinishing.delete(plateId);
+      }
+    }
+  }
+
+  /**
+   * Mark a plate as running for a work name
+   * Reuses the open order of that name when there is one
+   */
+  attachPlateWork(workOrderName, plateId, { startDate, startedBy, source }) {
+    const active = this.findActiveWorkOrder(workOrderName, plateId);
+    if (active) {
+      return active;
+    }
+
+    const openOrders = Array.from(this.workOrders.values()).filter(workOrder =>
+      workOrder.name === workOrderName && (workOrder.status === 'pending' || workOrder.status === 'active')
+    );
+    const workOrder = openOrders.find(order =>
+      this.getPlateEntries(order).some(entry => entry.plateId === plateId)
+    ) || openOrders[0];
+
+    if (!workOrder) {
+      return this.addActiveWorkOrder(workOrderName, plateId, { startDate, startedBy, source });
+    }
+
+    const entries = this.getPlateEntries(workOrder);
+    let entry = entries.find(item => item.plateId === plateId);
+    if (!entry) {
+      entry = this.createPlateEntry(plateId, entries.length === 0 ? 'primary' : 'secondary');
+      entries.push(entry);
+    }
+    entry.status = 'active';
+    entry.startDate = startDate;
+    entry.endDate = null;
+    entry.finishedBy = null;
+
+    if (workOrder.status === 'pending') {
+      workOrder.status = 'active';
+      workOrder.startDate = startDate;
+      workOrder.startedBy = startedBy;
+    }
+    workOrder.lastModified = new Date().toISOString();
+    this.syncPrimaryPlateId(workOrder);
+
+    return workOrder;
+  }
+
+  /**
+   * Reconcile work orders with plate occupancy
+   * Reports plates an active order counts as running that are not in use for
+   * it, and in-use plates without an active order; with fix enabled the former
+   * are marked finished and the latter are attached to an order. Runs in the
+   * work order queue, so it never sees a start or finish halfway through;
+   * plates finished from the plate side are skipped until their order is updated
+   * @param {Object} options
+   * @param {boolean} [options.fix=true] - Apply fixes instead of only reporting
+   * @returns {Promise<{checkedDate: string, issues: Array, fixedCount: number}>}
+   */
+  async reconcile({ fix = true } = {}) {
+    if (!this.plateService) {
+      throw new Error('Plate service is not linked');
+    }
+
+    return this.enqueueOperation('reconcile', () => this.findDrift({ fix }), {
+      saveWhen: report => report.fixedCount > 0
+    });
+  }
+
+  /**
+   * Compare work orders with plate occupancy, fixing the drift when asked
+   * Runs inside the work order queue (see reconcile)
+   */
+  async findDrift({ fix }) {
+    const plates = await this.plateService.getAllPlates({ includeDeleted: true });
+    const platesById = new Map(plates.map(plate => [plate.id, plate]));
+    const issues = [];
+
+    for (const workOrder of this.workOrders.values()) {
+      if (workOrder.status !== 'active') {
+        continue;
+      }
+
+      for (const entry of this.getPlateEntries(workOrder)) {
+        if (entry.status !== 'active' || this.platesFinishing.has(entry.plateId)) {
+          continue;
+        }
+
+        const plate = platesById.get(entry.plateId);
+        if (plate && !plate.deleted && plate.occupancy === 'in-use' && plate.lastWorkName === workOrder.name) {
+          continue;
+        }
+
+        const plateState = !plate ? 'missing' : plate.deleted ? 'deleted' : plate.occupancy;
+        issues.push({
+          type: 'active_order_plate_not_in_use',
+          workOrderId: workOrder.id,
+          plateId: entry.plateId,
+          message: `Work order ${workOrder.id} is active but plate ${entry.plateId} is ${plateState}`,
+          fixed: fix
+        });
 
-      let updatedCount = 0;
-      for (const workOrder of this.workOrders.values()) {
-        if (workOrder.status === 'completed' && workOrder.plateId) {
-          // Work order is complete, ensure plate is marked as free
-          // This would call PlateService.finishWork() if needed
-          updatedCount++;
+        if (fix) {
+          this.markPlateEntry(entry, 'finished', 'reconcile');
+          this.closeIfAllPlatesDone(workOrder, 'reconcile', `Closed by reconciliation: plate ${plateState}`);
         }
       }
+    }
+
+    for (const plate of plates) {
+      if (plate.deleted || plate.occupancy !== 'in-use' || !plate.lastWorkName) {
+        continue;
+      }
+
+      if (this.findActiveWorkOrder(plate.lastWorkName, plate.id)) {
+        continue;
+      }
+
+      issues.push({
+        type: 'in_use_plate_without_order',
+        workOrderId: plate.lastWorkName,
+        plateId: plate.id,
+        message: `Plate ${plate.id} is in use for ${plate.lastWorkName} without an active work order`,
+        fixed: fix
+      });
+
+      if (fix) {
+        const startDate = this.findWorkStartDate(plate);
+        this.attachPlateWork(plate.lastWorkName, plate.id, {
+          startDate: startDate ? startDate.toISOString() : null,
+          startedBy: plate.lastModifiedBy || 'system',
+          source: 'reconcile'
+        });
+      }
+    }
+
+    const fixedCount = fix ? issues.length : 0;
 
-      if (updatedCount > 0) {
-        logInfo(`Updated ${updatedCount} plate statuses`);
+    if (issues.length > 0) {
+      logWarn('Work order reconciliation found drift', { issues: issues.length, fixedCount });
+    }
+
+    return {
+      checkedDate: new Date().toISOString(),
+      checkedWorkOrders: this.workOrders.size,
+      checkedPlates: plates.length,
+      issues,
+      fixedCount
+    };
+  }
+
+  /**
+   * Take every plate of a work order: reserve all, then start all
+   * Plates already running for the order are skipped; on any failure the
+   * plates taken so far are put back as they were before the start and the
+   * error is rethrown with the failing plate
+   */
+  async startWorkOrderPlates(workOrder, entries, startedBy) {
+    if (!this.plateService) {
+      return;
+    }
+
+    const toStart = [];
+    for (const entry of entries) {
+      const plate = await this.plateService.getPlateById(entry.plateId);
+      if (!(plate && plate.occupancy === 'in-use' && plate.lastWorkName === workOrder.name)) {
+        toStart.push({ entry, plate });
       }
+    }
+
+    // State before the start, to put back what a failed start already took
+    const taken = new Map();
+    let currentPlateId = null;
 
+    try {
+      for (const { entry, plate } of toStart) {
+        currentPlateId = entry.plateId;
+        const heldByStarter = plate && plate.occupancy === 'reserved' && plate.reservation &&
+          plate.reservation.workOrderName === workOrder.name && plate.reservation.reservedBy === startedBy;
+        if (!heldByStarter) {
+          await this.plateService.reservePlate(entry.plateId, { workOrderName: workOrder.name, reservedBy: startedBy });
+        }
+        taken.set(entry.plateId, this.getPlateSnapshot(plate));
+      }
+
+      for (const { entry } of toStart) {
+        currentPlateId = entry.plateId;
+        await this.plateService.startWork(entry.plateId, workOrder.name, startedBy, { syncWorkOrder: false });
+      }
     } catch (error) {
-      logError('Failed to update plate statuses', { error: error.message });
+      await this.rollbackPlateStart(workOrder, taken, startedBy);
+      throw new ServiceError(
+        `Cannot start work order ${workOrder.id} on plate ${currentPlateId}: ${error.message}`,
+        error.status || 500,
+        { plateId: currentPlateId, ...(error.details || {}) }
+      );
+    }
+  }
+
+  /**
+   * Plate fields a work order start changes
+   */
+  getPlateSnapshot(plate) {
+    return {
+      occupancy: plate.occupancy,
+      health: plate.health,
+      reservation: plate.reservation || null,
+      lastWorkName: plate.lastWorkName
+    };
+  }
+
+  /**
+   * Give back plates taken by a failed work order start
+   * Each plate returns to its state before the start (occupancy, health and
+   * any reservation the starter already held)
+   * @param {Object} workOrder
+   * @param {Map<string, Object>} taken - Plate id → snapshot from getPlateSnapshot
+   * @param {string} startedBy
+   */
+  async rollbackPlateStart(workOrder, taken, startedBy) {
+    const reason = `Start of work order ${workOrder.id} aborted`;
+
+    for (const [plateId, snapshot] of taken) {
+      try {
+        await this.plateService.revertPlateStart(plateId, snapshot, workOrder.name, startedBy, reason);
+      } catch (error) {
+        logWarn('Failed to revert plate after aborted start', { plateId, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Finish work on an order's plate when the plate is still in use for it
+   */
+  async releaseWorkOrderPlate(workOrder, entry, finishedBy, notes, stopped) {
+    if (!this.plateService) {
+      return;
+    }
+
+    const plate = await this.plateService.getPlateById(entry.plateId);
+    if (!plate || plate.occupancy !== 'in-use' || plate.lastWorkName !== workOrder.name) {
+      return;
     }
+
+    await this.plateService.finishWork(plate.id, finishedBy, notes, { stopped, syncWorkOrder: false });
+  }
+
+  /**
+   * Find the pending or active work order with a work name
+   */
+  findOpenWorkOrderByName(name) {
+    for (const workOrder of this.workOrders.values()) {
+      if (workOrder.name === name && (workOrder.status === 'pending' || workOrder.status === 'active')) {
+        return workOrder;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the active work order running a work name on a plate
+   */
+  findActiveWorkOrder(workOrderName, plateId) {
+    for (const workOrder of this.workOrders.values()) {
+      if (workOrder.status === 'active' && workOrder.name === workOrderName &&
+        this.getPlateEntries(workOrder).some(entry => entry.plateId === plateId && entry.status === 'active')) {
+        return workOrder;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Move a plate entry to a final status
+   */
+  markPlateEntry(entry, status, finishedBy) {
+    entry.status = status;
+    entry.endDate = new Date().toISOString();
+    entry.finishedBy = finishedBy;
+  }
+
+  /**
+   * Close an active order once none of its plates is pending or running
+   * It is cancelled when every plate was stopped, completed otherwise
+   */
+  closeIfAllPlatesDone(workOrder, finishedBy, notes) {
+    const entries = this.getPlateEntries(workOrder);
+    if (entries.some(entry => entry.status === 'active' || entry.status === 'pending')) {
+      return;
+    }
+
+    const allCancelled = entries.length > 0 && entries.every(entry => entry.status === 'cancelled');
+    this.markFinished(workOrder, allCancelled ? 'cancelled' : 'completed', finishedBy, notes);
+  }
+
+  /**
+   * Move a work order to a final status
+   * Plates still running are finished with it and plates never started are cancelled
+   */
+  markFinished(workOrder, status, finishedBy, notes) {
+    const now = new Date().toISOString();
+    workOrder.status = status;
+    workOrder.endDate = now;
+    workOrder.completedBy = finishedBy;
+    workOrder.notes = notes || workOrder.notes;
+    workOrder.lastModified = now;
+
+    this.getPlateEntries(workOrder).forEach(entry => {
+      if (entry.status === 'active') {
+        this.markPlateEntry(entry, status === 'cancelled' ? 'cancelled' : 'finished', finishedBy);
+      } else if (entry.status === 'pending') {
+        this.markPlateEntry(entry, 'cancelled', finishedBy);
+      }
+    });
+  }
+
+  /**
+   * Sum the hours each plate of the order has been (or was) in use
+   */
+  getPlateHours(workOrder, now = new Date()) {
+    const milliseconds = this.getPlateEntries(workOrder).reduce((total, entry) => {
+      if (!entry.startDate) {
+        return total;
+      }
+      const end = entry.endDate ? new Date(entry.endDate) : entry.status === 'active' ? now : null;
+      const duration = end ? end - new Date(entry.startDate) : NaN;
+      return Number.isFinite(duration) && duration > 0 ? total + duration : total;
+    }, 0);
+
+    return Math.round((milliseconds / (60 * 60 * 1000)) * 100) / 100;
   }
 
   /**
@@ -190,35 +1111,50 @@ class WorkOrderService {
   async getWorkOrderStats() {
     const stats = {
       total: this.workOrders.size,
-      byStatus: { pending: 0, active: 0, completed: 0 },
+      byStatus: { pending: 0, active: 0, completed: 0, cancelled: 0 },
       averageDuration: 0,
+      totalPlateHours: 0,
+      plateHoursByWorkOrder: {},
       activeWorkOrders: []
     };
+    const now = new Date();
 
     let totalDuration = 0;
     let completedCount = 0;
 
     this.workOrders.forEach(workOrder => {
-      stats.byStatus[workOrder.status]++;
+      stats.byStatus[workOrder.status] = (stats.byStatus[workOrder.status] || 0) + 1;
+
+      const plateHours = this.getPlateHours(workOrder, now);
+      if (plateHours > 0) {
+        stats.plateHoursByWorkOrder[workOrder.id] = plateHours;
+        stats.totalPlateHours += plateHours;
+      }
 
       if (workOrder.status === 'active') {
         stats.activeWorkOrders.push({
           id: workOrder.id,
           plateId: workOrder.plateId,
-          startDate: workOrder.startDate
+          plates: this.getPlateEntries(workOrder).map(entry => entry.plateId),
+          startDate: workOrder.startDate,
+          plateHours
         });
       }
 
       if (workOrder.status === 'completed' && workOrder.startDate && workOrder.endDate) {
-        const duration = workOrder.endDate - workOrder.startDate;
-        totalDuration += duration;
-        completedCount++;
+        // Dates come back from JSON as strings
+        const duration = new Date(workOrder.endDate) - new Date(workOrder.startDate);
+        if (Number.isFinite(duration) && duration >= 0) {
+          totalDuration += duration;
+          completedCount++;
+        }
       }
     });
 
     if (completedCount > 0) {
       stats.averageDuration = totalDuration / completedCount;
     }
+    stats.totalPlateHours = Math.round(stats.totalPlateHours * 100) / 100;
 
     return stats;
   }
@@ -243,4 +1179,14 @@ class WorkOrderService {
   }
 }
 
+/**
+ * Fields clients may change through updateWorkOrder
+ */
+WorkOrderService.UPDATABLE_FIELDS = ['plateId', 'plates', 'notes', 'projectCode', 'assignedTo'];
+
+/**
+ * Roles a plate can have within a work order
+ */
+WorkOrderService.PLATE_ROLES = ['primary', 'secondary'];
+
 module.exports = WorkOrderService;
\ No newline at end of file
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpm-datamanager-'));
+
+jest.mock('../../config', () => ({
+  app: {},
+  getPlatesDataPath: () => require('path').join(mockDataDir, 'plates.json'),
+  getWorkOrdersDataPath: () => require('path').join(mockDataDir, 'work_orders.json')
+}));
+jest.mock('../../utils/Logger');
+
+const DataManager = require('../DataManager');
+
+describe('DataManager', () => {
+  const platesPath = path.join(mockDataDir, 'plates.json');
+  let dataManager;
+
+  beforeEach(() => {
+    fs.rmSync(mockDataDir, { recursive: true, force: true });
+    fs.mkdirSync(mockDataDir, { recursive: true });
+    dataManager = new DataManager();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(mockDataDir, { recursive: true, force: true });
+  });
+
+  describe('savePlates', () => {
+    test('should write plates and keep the previous version as .prev', async () => {
+      await dataManager.savePlates([{ id: 'P1' }]);
+      await dataManager.savePlates([{ id: 'P1' }, { id: 'P2' }]);
+
+      expect(JSON.parse(fs.readFileSync(platesPath, 'utf8'))).toHaveLength(2);
+      expect(JSON.parse(fs.readFileSync(`${platesPath}.prev`, 'utf8'))).toEqual([{ id: 'P1' }]);
+      expect(fs.existsSync(`${platesPath}.tmp`)).toBe(false);
+    });
+
+    test('should not overwrite the last good copy with a corrupt file', async () => {
+      fs.writeFileSync(`${platesPath}.prev`, JSON.stringify([{ id: 'GOOD' }]));
+      fs.writeFileSync(platesPath, '[{"id": "P1"');
+
+      await dataManager.savePlates([{ id: 'P3' }]);
+
+      expect(JSON.parse(fs.readFileSync(`${platesPath}.prev`, 'utf8'))).toEqual([{ id: 'GOOD' }]);
+    });
+  });
+
+  describe('installPlatesFile', () => {
+    test('should install a generated inventory and keep the old plates as .prev', async () => {
+      const inventoryPath = path.join(mockDataDir, 'inventory_20240101.json');
+      fs.writeFileSync(inventoryPath, JSON.stringify({ metadata: {}, plates: [{ id: 'P2' }, { id: 'P3' }] }));
+      await dataManager.savePlates([{ id: 'P1' }]);
+
+      expect(await dataManager.installPlatesFile(inventoryPath)).toBe(2);
+
+      expect(await dataManager.loadPlates()).toEqual([{ id: 'P2' }, { id: 'P3' }]);
+      expect(JSON.parse(fs.readFileSync(`${platesPath}.prev`, 'utf8'))).toEqual([{ id: 'P1' }]);
+      expect(fs.existsSync(`${platesPath}.tmp`)).toBe(false);
+    });
+
+    test('should leave plates.json alone when the inventory is not valid', async () => {
+      const inventoryPath = path.join(mockDataDir, 'inventory_broken.json');
+      fs.writeFileSync(inventoryPath, '{"plates": [');
+      await dataManager.savePlates([{ id: 'P1' }]);
+
+      await expect(dataManager.installPlatesFile(inventoryPath)).rejects.toThrow();
+      expect(JSON.parse(fs.readFileSync(platesPath, 'utf8'))).toEqual([{ id: 'P1' }]);
+    });
+  });
+
+  describe('loadPlates', () => {
+    test('should recover a truncated plates.json from the .prev copy', async () => {
+      fs.writeFileSync(`${platesPath}.prev`, JSON.stringify({ plates: [{ id: 'P1' }] }));
+      fs.writeFileSync(platesPath, '[{"id": "P1"');
+
+      const plates = await dataManager.loadPlates();
+
+      expect(plates).toEqual([{ id: 'P1' }]);
+      expect(JSON.parse(fs.readFileSync(platesPath, 'utf8'))).toEqual([{ id: 'P1' }]);
+      expect(dataManager.getStorageHealth().status).toBe('recovered');
+    });
+
+    test('should refuse to load when no good copy exists', async () => {
+      fs.writeFileSync(platesPath, '');
+
+      await expect(dataManager.loadPlates()).rejects.toMatchObject({ code: 'EPLATESCORRUPT' });
+    });
+  });
+
+  describe('work orders', () => {
+    const workOrdersPath = path.join(mockDataDir, 'work_orders.json');
+
+    test('should recover a corrupt work_orders.json from the .prev copy', async () => {
+      await dataManager.saveWorkOrders([{ id: 'W1' }]);
+      await dataManager.saveWorkOrders([{ id: 'W1' }, { id: 'W2' }]);
+      fs.writeFileSync(workOrdersPath, '{"workOrders": [{"id": "W1"');
+
+      const workOrders = await dataManager.loadWorkOrders();
+
+      expect(workOrders).toEqual([{ id: 'W1' }]);
+      expect(JSON.parse(fs.readFileSync(workOrdersPath, 'utf8')).workOrders).toEqual([{ id: 'W1' }]);
+      expect(dataManager.getStorageHealth()).toMatchObject({
+        status: 'recovered',
+        workOrdersRecovery: expect.objectContaining({ workOrderCount: 1 })
+      });
+    });
+
+    test('should refuse to load when no good copy exists', async () => {
+      fs.writeFileSync(workOrdersPath, '{');
+
+      await expect(dataManager.loadWorkOrders()).rejects.toMatchObject({ code: 'EWORKORDERSCORRUPT' });
+    });
+  });
+});
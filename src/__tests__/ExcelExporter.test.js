@@ -0,0 +1,119 @@
+const ExcelJS = require('exceljs');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../config', () => ({ app: {} }));
+jest.mock('../../utils/Logger');
+
+const ExcelExporter = require('../../utils/ExcelExporter');
+const ExcelProcessor = require('../../utils/ExcelProcessor');
+
+// 1x1 transparent PNG
+const PNG_PIXEL = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+describe('ExcelExporter', () => {
+  const mapping = {
+    sheetName: 'Sheet1',
+    headerRow: 3,
+    columns: { plateNumber: 'A', workHistory: 'B', shelfNumber: 'C', previewImage: 'D', boxSize: 'E' }
+  };
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpm-export-'));
+    fs.mkdirSync(path.join(tempDir, 'previews'));
+    fs.writeFileSync(path.join(tempDir, 'previews', 'plate_2_preview.png'), PNG_PIXEL);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should round-trip through the importer unchanged', async () => {
+    const plates = [
+      {
+        id: 'PL-2',
+        plateNumber: '2',
+        workHistory: 'A: -4961_061; B: -5000_001',
+        workHistoryEntries: ['A: -4961_061', 'B: -5000_001'],
+        shelfNumber: '16',
+        shelf: '16',
+        boxSize: '300x200',
+        isLocked: true,
+        previewImage: 'plate_2_preview.png'
+      },
+      { id: 'PL-10', plateNumber: '10', workHistory: '', workHistoryEntries: [], shelfNumber: '17', shelf: '17', boxSize: 'Unknown', isLocked: false },
+      { id: 'PL-3', plateNumber: '3', shelf: '18', deleted: true }
+    ];
+    const exporter = new ExcelExporter({ mapping, previewsDir: path.join(tempDir, 'previews') });
+    const outputPath = path.join(tempDir, 'Készülékek.xlsx');
+
+    const result = await exporter.writeFile(plates, outputPath);
+
+    expect(result).toMatchObject({ plateCount: 2, rowCount: 3, imageCount: 1, skippedPlates: 1 });
+
+    const processor = new ExcelProcessor({ mapping });
+    processor.isManuallyLocked = () => false;
+    const imported = await processor.processExcelFile(outputPath);
+
+    expect(imported.map(plate => ({
+      plateNumber: plate.plateNumber,
+      workHistory: plate.workHistoryCombined,
+      entries: plate.workHistory,
+      shelfNumber: plate.shelfNumber,
+      boxSize: plate.boxSize,
+      isLocked: plate.isLocked,
+      rows: plate.source.rows
+    }))).toEqual([
+      { plateNumber: '2', workHistory: 'A: -4961_061; B: -5000_001', entries: ['A: -4961_061', 'B: -5000_001'], shelfNumber: '16', boxSize: '300x200', isLocked: true, rows: [4, 5] },
+      { plateNumber: '10', workHistory: '', entries: [], shelfNumber: '17', boxSize: 'Unknown', isLocked: false, rows: [6] }
+    ]);
+  });
+
+  test('should anchor the preview image over the plate rows', async () => {
+    const exporter = new ExcelExporter({ mapping, previewsDir: path.join(tempDir, 'previews') });
+    const { buffer } = await exporter.writeBuffer([
+      { plateNumber: '2', workHistoryEntries: ['A: 1', 'B: 2'], shelf: '16', previewImage: 'plate_2_preview.png' }
+    ]);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const images = workbook.worksheets[0].getImages();
+
+    expect(images).toHaveLength(1);
+    expect(images[0].range.tl.nativeRow).toBe(3);
+    expect(images[0].range.tl.nativeCol).toBe(3);
+  });
+
+  test('should move default columns out of the way of mapped ones', async () => {
+    const partial = { headerRow: 1, columns: { plateNumber: 'C', boxSize: 5 } };
+    const exporter = new ExcelExporter({ mapping: partial });
+
+    const columns = exporter.resolveColumns(partial.columns);
+    const indexes = Object.values(columns).map(column => column.index);
+    expect(new Set(indexes).size).toBe(indexes.length);
+    expect(columns.plateNumber.index).toBe(2);
+    expect(columns.boxSize.index).toBe(5);
+    expect(columns.shelfNumber.index).toBe(0);
+
+    const { buffer } = await exporter.writeBuffer([
+      { plateNumber: '2', workHistoryEntries: ['A: 1'], shelfNumber: '16', boxSize: '300x200' }
+    ]);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const row = workbook.worksheets[0].getRow(2);
+    expect([row.getCell(1).value, row.getCell(2).value, row.getCell(3).value, row.getCell(6).value])
+      .toEqual(['16', 'A: 1', 2, '300x200']);
+  });
+
+  test('should reject two fields mapped to the same column', () => {
+    const exporter = new ExcelExporter();
+
+    expect(() => exporter.resolveColumns({ plateNumber: 'A', shelfNumber: 'A' }))
+      .toThrow('Invalid Excel mapping: plateNumber and shelfNumber both map to column A');
+  });
+});
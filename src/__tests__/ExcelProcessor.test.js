@@ -0,0 +1,122 @@
+const ExcelJS = require('exceljs');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../config', () => ({ app: {} }));
+jest.mock('../../utils/Logger');
+
+const ExcelProcessor = require('../../utils/ExcelProcessor');
+
+describe('ExcelProcessor', () => {
+  describe('findHeaderRow', () => {
+    const rows = [
+      ['Clamping plates'],
+      ['Készülék szám', 'Projekt', 'Raktár/polc', 'Kép', 'Méret'],
+      ['1', 'A: -4961_061', '16', '', '300x200']
+    ];
+
+    test('should use configured columns and header row', () => {
+      const processor = new ExcelProcessor({
+        mapping: { headerRow: 2, columns: { plateNumber: 'A', workHistory: 1, shelfNumber: 'Raktár/polc' } }
+      });
+
+      const headerInfo = processor.findHeaderRow(rows, [1, 2, 3]);
+
+      expect(headerInfo.rowIndex).toBe(1);
+      expect(headerInfo.columnMap).toMatchObject({ plateNumber: 0, workHistory: 1, shelfNumber: 2 });
+      expect(headerInfo.columnSources.plateNumber).toBe('config');
+      expect(headerInfo.columnSources.boxSize).toBe('detected');
+    });
+
+    test('should detect columns from header text without a mapping', () => {
+      const headerInfo = new ExcelProcessor().findHeaderRow(rows);
+
+      expect(headerInfo.headerRow).toBe(2);
+      expect(headerInfo.columnMap).toEqual({
+        plateNumber: 0,
+        workHistory: 1,
+        shelfNumber: 2,
+        previewImage: 3,
+        boxSize: 4
+      });
+    });
+
+    test('should fail with a report when required columns cannot be resolved', () => {
+      const processor = new ExcelProcessor({
+        mapping: { headerRow: 2, columns: { shelfNumber: 'Hely' } }
+      });
+
+      let thrown;
+      try {
+        processor.findHeaderRow(rows, [1, 2, 3], 'Sheet1');
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown.code).toBe('EEXCELCOLUMNS');
+      expect(thrown.report.unresolved).toEqual([{ field: 'shelfNumber', configured: 'Hely' }]);
+      expect(thrown.message).toContain('shelfNumber: configured column "Hely" not found in header');
+    });
+  });
+
+  describe('processExcelFile', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpm-excel-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should record real Excel row numbers across empty rows', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('Sheet1');
+      worksheet.getRow(1).values = ['Készülék szám', 'Projekt', 'Raktár'];
+      worksheet.getRow(3).values = ['7', 'A: -4961_061', '16'];
+      worksheet.getRow(4).values = ['', 'B: -5000_001', ''];
+      worksheet.getRow(6).values = ['8', 'C: -5100_002', '17'];
+      const excelPath = path.join(tempDir, 'plates.xlsx');
+      await workbook.xlsx.writeFile(excelPath);
+
+      const processor = new ExcelProcessor({ mapping: { headerRow: 1, columns: {} } });
+      processor.isManuallyLocked = () => false;
+      const plates = await processor.processExcelFile(excelPath);
+
+      expect(plates.map(plate => [plate.plateNumber, plate.source.rows])).toEqual([
+        ['7', [3]],
+        ['8', [6]]
+      ]);
+    });
+
+    test('should skip sheets without the plate columns when the configured sheet is missing', async () => {
+      const workbook = new ExcelJS.Workbook();
+      workbook.addWorksheet('Notes').getRow(1).values = ['Leltár 2024', 'Megjegyzés'];
+      const worksheet = workbook.addWorksheet('Plates');
+      worksheet.getRow(1).values = ['Készülék szám', 'Projekt', 'Raktár'];
+      worksheet.getRow(2).values = ['7', 'A: -4961_061', '16'];
+      const excelPath = path.join(tempDir, 'plates.xlsx');
+      await workbook.xlsx.writeFile(excelPath);
+
+      const processor = new ExcelProcessor({ mapping: { sheetName: 'Munka1', headerRow: 1, columns: {} } });
+      processor.isManuallyLocked = () => false;
+      const plates = await processor.processExcelFile(excelPath);
+
+      expect(plates.map(plate => [plate.plateNumber, plate.source.worksheet])).toEqual([['7', 'Plates']]);
+    });
+
+    test('should load the mapping from config.json and a mapping file', async () => {
+      const configPath = path.join(tempDir, 'config.json');
+      fs.writeFileSync(configPath, JSON.stringify({
+        dataSource: { sheetName: 'Plates', headerRow: 1, mappingFile: 'mapping.json' }
+      }));
+      fs.writeFileSync(path.join(tempDir, 'mapping.json'), JSON.stringify({ columns: { plateNumber: 'B' } }));
+
+      const mapping = await ExcelProcessor.loadColumnMapping(configPath);
+
+      expect(mapping).toMatchObject({ sheetName: 'Plates', headerRow: 1, columns: { plateNumber: 'B' } });
+    });
+  });
+});
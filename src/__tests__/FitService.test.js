@@ -0,0 +1,58 @@
+jest.mock('../../config', () => ({ app: {}, plates: {} }));
+jest.mock('../../utils/Logger');
+
+const PlateService = require('../PlateService');
+const FitService = require('../FitService');
+
+describe('FitService', () => {
+  let service;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const dimensions = (length, width, height) => ({ length, width, height, units: 'mm', source: 'model' });
+    const plateService = new PlateService({
+      loadPlates: jest.fn().mockResolvedValue([
+        { id: 'P1', plateNumber: '1', shelf: 'A-01', health: 'used', occupancy: 'free', dimensions: dimensions(400, 300, 50) },
+        { id: 'P2', plateNumber: '2', shelf: 'A-02', health: 'new', occupancy: 'free', dimensions: dimensions(200, 150, 45) },
+        { id: 'P3', plateNumber: '3', shelf: 'A-03', health: 'used', occupancy: 'free', boxSize: '250 x 160' },
+        { id: 'P4', plateNumber: '4', shelf: 'A-04', health: 'locked', occupancy: 'free', dimensions: dimensions(190, 130, 60) },
+        { id: 'P5', plateNumber: '5', shelf: 'A-05', health: 'used', occupancy: 'free', dimensions: dimensions(175, 125, 60) },
+        { id: 'P6', plateNumber: '6', shelf: 'A-06', health: 'used', occupancy: 'free', dimensions: dimensions(150, 100, 20) },
+        { id: 'P7', plateNumber: '7', shelf: 'A-07', health: 'used', occupancy: 'free', boxSize: 'Unknown' }
+      ])
+    });
+    await plateService.loadPlates();
+    service = new FitService(plateService);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should rank fitting plates smallest first, in any orientation', async () => {
+    const result = await service.findFittingPlates({ x: 40, y: 180, z: 120 });
+
+    expect(result.query).toEqual({ length: 180, width: 120, height: 40, units: 'mm' });
+    expect(result.results.map(plate => [plate.plateId, plate.boxSize])).toEqual([
+      ['P2', '200x150x45'],
+      ['P3', '250x160'],
+      ['P1', '400x300x50']
+    ]);
+    expect(result.results[0].spare).toEqual({ length: 20, width: 30, height: 5 });
+    expect(result.withoutDimensions).toBe(1);
+  });
+
+  test('should explain near-misses and leave out plates far too small', async () => {
+    const result = await service.findFittingPlates({ x: 180, y: 120, z: 40 });
+
+    expect(result.nearMisses).toEqual([
+      expect.objectContaining({ plateId: 'P5', reasons: ['length 175 mm is 5 mm short of 180 mm'] }),
+      expect.objectContaining({ plateId: 'P4', reasons: ['health is locked'] })
+    ]);
+  });
+
+  test('should reject an incomplete envelope', async () => {
+    await expect(service.findFittingPlates({ x: 180, y: 120 })).rejects.toMatchObject({ status: 400 });
+    await expect(service.findFittingPlates({ x: 180, y: -1, z: 40 })).rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,80 @@
+const ExcelJS = require('exceljs');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../config', () => ({ app: {} }));
+jest.mock('../../utils/Logger');
+
+const ImageExtractor = require('../../utils/ImageExtractor');
+
+// 1x1 transparent PNG
+const PNG_PIXEL = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+describe('ImageExtractor', () => {
+  let tempDir;
+  let excelPath;
+  const plates = [
+    { plateNumber: '2', source: { worksheet: 'Sheet1', rows: [4, 5] } },
+    { plateNumber: '10', source: { worksheet: 'Sheet1', rows: [6] } },
+    { plateNumber: '11', source: { worksheet: 'Sheet1', rows: [7] } }
+  ];
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpm-images-'));
+    excelPath = path.join(tempDir, 'plates.xlsx');
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Sheet1');
+    const anchorAt = (row) => {
+      const imageId = workbook.addImage({ buffer: PNG_PIXEL, extension: 'png' });
+      worksheet.addImage(imageId, { tl: { col: 3, row: row - 1 }, ext: { width: 10, height: 10 } });
+    };
+    anchorAt(5); // plate 2, second row
+    anchorAt(6); // plate 10
+    anchorAt(6); // plate 10 again
+    anchorAt(20); // no plate
+    await workbook.xlsx.writeFile(excelPath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should assign images by anchor row and report the rest', async () => {
+    const extractor = new ImageExtractor();
+
+    const imageMap = await extractor.extractImages(excelPath, tempDir, { plates });
+
+    expect(imageMap).toEqual({ 2: 'plate_2_preview.png', 10: 'plate_10_preview.png' });
+    expect(fs.readdirSync(path.join(tempDir, 'previews')).sort()).toEqual([
+      'plate_10_preview.png',
+      'plate_2_preview.png'
+    ]);
+
+    const report = extractor.getReport();
+    expect(report).toMatchObject({ totalImages: 4, matched: 2 });
+    expect(report.unmatched).toEqual([{ worksheet: 'Sheet1', row: 20, cell: 'D20' }]);
+    expect(report.conflicts).toEqual([{
+      plateNumber: '10',
+      images: [
+        { worksheet: 'Sheet1', row: 6, cell: 'D6' },
+        { worksheet: 'Sheet1', row: 6, cell: 'D6' }
+      ]
+    }]);
+    expect(report.warnings).toHaveLength(2);
+  });
+
+  test('should not write placeholders or files in dry-run mode', async () => {
+    const extractor = new ImageExtractor();
+
+    const imageMap = await extractor.extractImages(excelPath, tempDir, { dryRun: true, plates: [] });
+
+    expect(imageMap).toEqual({});
+    expect(fs.existsSync(path.join(tempDir, 'previews'))).toBe(false);
+    expect(extractor.getReport().unmatched).toHaveLength(4);
+  });
+});
@@ -0,0 +1,229 @@
+jest.mock('../../config', () => ({ app: {}, plates: {} }));
+jest.mock('../../utils/Logger');
+jest.mock('../convert_excel_to_json', () => ({
+  parseInventory: jest.fn(),
+  enforceModelValidation: jest.fn().mockResolvedValue(null)
+}));
+
+const convertExcelToJson = require('../convert_excel_to_json');
+const ImportService = require('../ImportService');
+const PlateService = require('../PlateService');
+
+function createPlateServiceMock(plates) {
+  return { getAllPlates: jest.fn().mockResolvedValue(plates) };
+}
+
+describe('ImportService', () => {
+  const livePlates = [
+    { id: 'PL-1', plateNumber: '1', shelf: 'A-01', shelfNumber: 'A-01', boxSize: '300x200', occupancy: 'free', history: [{ action: 'created' }] },
+    { id: 'PL-2', plateNumber: '2', shelf: 'A-02', shelfNumber: 'A-02', boxSize: '300x200', occupancy: 'in-use' },
+    { id: 'PL-3', plateNumber: '3', shelf: 'A-03', shelfNumber: 'A-03', boxSize: '400x300', occupancy: 'free' }
+  ];
+
+  describe('diffInventory', () => {
+    test('should report added, removed and changed plates by plateNumber', () => {
+      const service = new ImportService(createPlateServiceMock([]));
+
+      const diff = service.diffInventory(livePlates, [
+        { id: 'PL-new-1', plateNumber: '1', shelf: 'A-01', shelfNumber: 'A-01', boxSize: '300x200' },
+        { id: 'PL-new-2', plateNumber: '3', shelf: 'B-07', shelfNumber: 'B-07', boxSize: '400x300' },
+        { id: 'PL-new-3', plateNumber: '4', shelf: 'B-08', shelfNumber: 'B-08', boxSize: '100x100' }
+      ]);
+
+      expect(diff.summary).toEqual({ added: 1, removed: 1, changed: 1, unchanged: 1 });
+      expect(diff.added).toEqual([expect.objectContaining({ plateNumber: '4' })]);
+      expect(diff.removed).toEqual([{ id: 'PL-2', plateNumber: '2', occupancy: 'in-use' }]);
+      expect(diff.changed).toEqual([{
+        id: 'PL-3',
+        plateNumber: '3',
+        changes: [
+          { field: 'shelf', from: 'A-03', to: 'B-07' },
+          { field: 'shelfNumber', from: 'A-03', to: 'B-07' }
+        ]
+      }]);
+    });
+
+    test('should warn about duplicate plate numbers in the workbook', () => {
+      const service = new ImportService(createPlateServiceMock([]));
+
+      const diff = service.diffInventory([], [{ plateNumber: '9' }, { plateNumber: '9' }]);
+
+      expect(diff.summary.added).toBe(1);
+      expect(diff.warnings).toEqual(['Duplicate plateNumber 9 in Excel; only the first is compared']);
+    });
+  });
+
+  describe('previewImport', () => {
+    test('should parse in dry-run mode and diff against live plates', async () => {
+      convertExcelToJson.parseInventory.mockResolvedValue({
+        excelPath: '/data/plates.xlsx',
+        modelsPath: '/data/models',
+        plates: livePlates.map(plate => ({ ...plate, id: `new-${plate.id}` })),
+        validationIssues: []
+      });
+      const service = new ImportService(createPlateServiceMock(livePlates));
+
+      const report = await service.previewImport('/data/plates.xlsx', '/data/models');
+
+      expect(convertExcelToJson.parseInventory).toHaveBeenCalledWith('/data/plates.xlsx', '/data/models', { dryRun: true, skipInvalidFolders: false });
+      expect(report.dryRun).toBe(true);
+      expect(report.summary).toEqual({ added: 0, removed: 0, changed: 0, unchanged: 3 });
+    });
+  });
+
+  describe('mergeImport', () => {
+    let dataManager;
+    let plateService;
+
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      dataManager = {
+        loadPlates: jest.fn().mockResolvedValue([
+          { id: 'PL-1', plateNumber: '1', shelf: 'A-01', shelfNumber: 'A-01', boxSize: '300x200', health: 'used', occupancy: 'in-use', lastWorkName: 'W1', notes: 'keep me', history: [{ id: 'h1', action: 'work_started' }] },
+          { id: 'PL-2', plateNumber: '2', shelf: 'A-02', shelfNumber: 'A-02', boxSize: '300x200', health: 'used', occupancy: 'free', history: [] }
+        ]),
+        savePlates: jest.fn().mockResolvedValue()
+      };
+      plateService = new PlateService(dataManager);
+      await plateService.loadPlates();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should update Excel-owned fields and keep runtime state', async () => {
+      convertExcelToJson.parseInventory.mockResolvedValue({
+        excelPath: '/data/plates.xlsx',
+        modelsPath: '/data/models',
+        plates: [
+          { id: 'new-a', plateNumber: '1', shelf: 'B-07', shelfNumber: 'B-07', boxSize: '300x200', health: 'new', occupancy: 'free', notes: '' },
+          { id: 'new-b', plateNumber: '3', shelf: 'C-01', shelfNumber: 'C-01', boxSize: '100x100', health: 'new', occupancy: 'free', notes: '' }
+        ],
+        validationIssues: []
+      });
+      const service = new ImportService(plateService);
+
+      const report = await service.mergeImport('/data/plates.xlsx', '/data/models', { importedBy: 'anna' });
+
+      expect(convertExcelToJson.parseInventory).toHaveBeenCalledWith('/data/plates.xlsx', '/data/models', { skipInvalidFolders: false });
+      expect(report.summary).toEqual({ added: 1, updated: 1, flagged: 1, unchanged: 0 });
+      expect(dataManager.savePlates).toHaveBeenCalledTimes(1);
+
+      const updated = await plateService.getPlateById('PL-1');
+      expect(updated).toMatchObject({
+        shelf: 'B-07',
+        shelfNumber: 'B-07',
+        health: 'used',
+        occupancy: 'in-use',
+        lastWorkName: 'W1',
+        notes: 'keep me',
+        revision: 2
+      });
+      expect(updated.history[0].id).toBe('h1');
+      expect(updated.history[1]).toMatchObject({
+        action: 'imported',
+        user: 'anna',
+        details: 'Updated from Excel: shelf: A-01 → B-07, shelfNumber: A-01 → B-07'
+      });
+
+      const flagged = await plateService.getPlateById('PL-2');
+      expect(flagged.removedFromExcel).toBe(true);
+      expect(flagged.deleted).toBeUndefined();
+
+      const added = (await plateService.getAllPlates()).find(plate => plate.plateNumber === '3');
+      expect(added.id).not.toBe('new-b');
+      expect(added.history.map(entry => entry.action)).toEqual(['imported']);
+    });
+
+    test('should refuse to merge when model folders are invalid', async () => {
+      const ServiceError = require('../../utils/ServiceError');
+      const validationReport = { valid: false, invalidFolders: 1, issues: [] };
+      convertExcelToJson.parseInventory.mockResolvedValue({ plates: [livePlates[0]], validationIssues: [], validationReport });
+      convertExcelToJson.enforceModelValidation.mockRejectedValueOnce(
+        ServiceError.unprocessable('Model folder validation failed: 1 invalid folder(s)', { validationReport })
+      );
+      const service = new ImportService(plateService);
+
+      await expect(service.mergeImport('/data/plates.xlsx', '/data/models')).rejects.toMatchObject({ status: 422 });
+      expect(convertExcelToJson.enforceModelValidation).toHaveBeenCalledWith(validationReport, { skipInvalidFolders: false });
+      expect(dataManager.savePlates).not.toHaveBeenCalled();
+
+      convertExcelToJson.enforceModelValidation.mockResolvedValueOnce('/data/reports/model_validation.json');
+      const report = await service.mergeImport('/data/plates.xlsx', '/data/models', { skipInvalidFolders: true });
+
+      expect(convertExcelToJson.parseInventory).toHaveBeenLastCalledWith('/data/plates.xlsx', '/data/models', { skipInvalidFolders: true });
+      expect(report.validationReportPath).toBe('/data/reports/model_validation.json');
+    });
+
+    test('should lock and unlock plates when the Excel lock changes', async () => {
+      const service = new ImportService(plateService);
+      const plate2 = { plateNumber: '2', shelf: 'A-02', shelfNumber: 'A-02', boxSize: '300x200', health: 'used' };
+      convertExcelToJson.parseInventory.mockResolvedValue({
+        plates: [livePlates[0], { ...plate2, isLocked: true, health: 'locked' }],
+        validationIssues: []
+      });
+
+      const locked = await service.mergeImport('/data/plates.xlsx', '/data/models');
+
+      expect(locked.updated[0].changes).toEqual(expect.arrayContaining([{ field: 'health', from: 'used', to: 'locked' }]));
+      expect(await plateService.getPlateById('PL-2')).toMatchObject({ isLocked: true, health: 'locked' });
+      await expect(plateService.startWork('PL-2', 'W5270NS01', 'anna')).rejects.toMatchObject({ status: 409 });
+      await expect(plateService.reservePlate('PL-2', { workOrderName: 'W5270NS01', reservedBy: 'anna' }))
+        .rejects.toMatchObject({ status: 409 });
+
+      convertExcelToJson.parseInventory.mockResolvedValue({
+        plates: [livePlates[0], { ...plate2, isLocked: false }],
+        validationIssues: []
+      });
+      await service.mergeImport('/data/plates.xlsx', '/data/models');
+
+      expect(await plateService.getPlateById('PL-2')).toMatchObject({ isLocked: false, health: 'used' });
+      await expect(plateService.startWork('PL-2', 'W5270NS01', 'anna')).resolves.toMatchObject({ occupancy: 'in-use' });
+    });
+
+    test('should clear the removed flag when a plate is back in Excel', async () => {
+      convertExcelToJson.parseInventory.mockResolvedValue({ plates: [livePlates[0]], validationIssues: [] });
+      const service = new ImportService(plateService);
+      await service.mergeImport('/data/plates.xlsx', '/data/models');
+
+      convertExcelToJson.parseInventory.mockResolvedValue({ plates: [livePlates[0], livePlates[1]], validationIssues: [] });
+      const report = await service.mergeImport('/data/plates.xlsx', '/data/models');
+
+      const plate = await plateService.getPlateById('PL-2');
+      expect(plate.removedFromExcel).toBeUndefined();
+      expect(report.updated).toEqual([expect.objectContaining({ id: 'PL-2', returned: true, changes: [] })]);
+      expect(plate.history[plate.history.length - 1].details).toBe('Updated from Excel: back in Excel master sheet');
+    });
+
+    test('should record model revisions, also for plates without other changes', async () => {
+      const modelFiles = [{ fileName: 'plate_2.x_t', relativePath: '2/plate_2.x_t', sha256: 'a'.repeat(64), size: 12 }];
+      convertExcelToJson.parseInventory.mockResolvedValue({
+        plates: [
+          { plateNumber: '2', shelf: 'A-02', shelfNumber: 'A-02', boxSize: '300x200' },
+          { plateNumber: '1', shelf: 'A-01', shelfNumber: 'A-01', boxSize: '300x200', modelFiles }
+        ],
+        validationIssues: []
+      });
+      const [plate1, plate2] = await dataManager.loadPlates();
+      dataManager.loadPlates.mockResolvedValue([plate1, { ...plate2, modelFiles }]);
+      await plateService.loadPlates();
+      const service = new ImportService(plateService);
+
+      const report = await service.mergeImport('/data/plates.xlsx', '/data/models', { importedBy: 'anna' });
+
+      expect(report.summary).toMatchObject({ updated: 1, unchanged: 1 });
+      const revision = {
+        revision: 1,
+        relativePath: '2/plate_2.x_t',
+        sha256: 'a'.repeat(64),
+        archivedPath: `2/${'a'.repeat(16)}/plate_2.x_t`,
+        user: 'anna'
+      };
+      expect((await plateService.getPlateById('PL-1')).modelRevisions).toEqual([expect.objectContaining(revision)]);
+      const unchanged = await plateService.getPlateById('PL-2');
+      expect(unchanged.modelRevisions).toEqual([expect.objectContaining(revision)]);
+      expect(unchanged.history.map(entry => entry.action)).not.toContain('imported');
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../config', () => ({ app: {}, plates: {} }));
+jest.mock('../../utils/Logger');
+
+const ModelFolderValidator = require('../../utils/ModelFolderValidator');
+
+describe('ModelFolderValidator', () => {
+  let modelsDir;
+  const validator = new ModelFolderValidator();
+
+  function writeFolder(folder, files) {
+    fs.mkdirSync(path.join(modelsDir, folder), { recursive: true });
+    files.forEach(file => fs.writeFileSync(path.join(modelsDir, folder, file), file));
+  }
+
+  beforeEach(() => {
+    modelsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpm-validate-'));
+    writeFolder('1', ['plate_1.x_t', 'plate_1.png']);
+    writeFolder('2', ['plate_2.x_t', 'plate_2_old.x_t']);
+  });
+
+  afterEach(() => {
+    fs.rmSync(modelsDir, { recursive: true, force: true });
+  });
+
+  test('reports each problem with its files and a suggested fix', async () => {
+    const report = await validator.validateModelFolders(modelsDir);
+
+    expect(report).toEqual(expect.objectContaining({
+      valid: false,
+      totalFolders: 2,
+      validFolders: 1,
+      invalidFolders: 1,
+      skippedFolders: [],
+      error: null
+    }));
+    expect(report.issues).toHaveLength(1);
+    expect(report.issues[0].folder).toBe('2');
+    expect(report.issues[0].findings).toEqual([
+      expect.objectContaining({ type: 'MULTIPLE_MODELS', files: ['plate_2.x_t', 'plate_2_old.x_t'], suggestedFix: expect.any(String) }),
+      expect.objectContaining({ type: 'MISSING_IMAGE', files: [], suggestedFix: expect.stringContaining('"2"') })
+    ]);
+    expect(validator.formatIssuesForDisplay(report.issues)).toContain('Fix: ');
+  });
+
+  test('marks invalid folders as skipped when asked to', async () => {
+    const report = await validator.validateModelFolders(modelsDir, { skipInvalidFolders: true });
+
+    expect(report.skippedFolders).toEqual(['2']);
+    expect(report.folders.find(folder => folder.folder === '2').skipped).toBe(true);
+    expect(report.folders.find(folder => folder.folder === '1')).toEqual(
+      expect.objectContaining({ valid: true, skipped: false, modelFiles: ['plate_1.x_t'] })
+    );
+  });
+
+  test('reports an unreadable models folder instead of throwing', async () => {
+    const report = await validator.validateModelFolders(path.join(modelsDir, 'missing'));
+
+    expect(report.valid).toBe(true);
+    expect(report.totalFolders).toBe(0);
+    expect(report.error).toEqual(expect.stringContaining('ENOENT'));
+  });
+});
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ModelMetadataReader = require('../../utils/ModelMetadataReader');
+
+const STEP_FILE = [
+  'ISO-10303-21;',
+  'HEADER;',
+  "FILE_DESCRIPTION(('plate 2'),'2;1');",
+  "FILE_NAME('plate_2.step','2024-01-05T10:11:12',('Anna','O''Brien'),('BRK CNC'),",
+  "  'ST-DEVELOPER v18','SolidWorks 2023','');",
+  "FILE_SCHEMA(('AUTOMOTIVE_DESIGN'));",
+  'ENDSEC;',
+  'DATA;',
+  '#1=( LENGTH_UNIT() NAMED_UNIT(*) SI_UNIT(.MILLI.,.METRE.) );',
+  'ENDSEC;',
+  'END-ISO-10303-21;'
+].join('\n');
+
+function igesFile(globalText) {
+  const lines = ['Plate 2 fixture'.padEnd(72) + 'S      1'];
+  for (let index = 0; index * 72 < globalText.length; index++) {
+    lines.push(globalText.slice(index * 72, (index + 1) * 72).padEnd(72) + 'G' + String(index + 1).padStart(7));
+  }
+  return lines.join('\n');
+}
+
+describe('ModelMetadataReader', () => {
+  let tempDir;
+  const reader = new ModelMetadataReader();
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpm-metadata-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should read STEP header, units, size and sha256', async () => {
+    const filePath = path.join(tempDir, 'plate_2.step');
+    fs.writeFileSync(filePath, STEP_FILE);
+
+    const metadata = await reader.read(filePath);
+
+    expect(metadata).toEqual({
+      format: 'step',
+      size: Buffer.byteLength(STEP_FILE),
+      sha256: crypto.createHash('sha256').update(STEP_FILE).digest('hex'),
+      header: {
+        fileName: 'plate_2.step',
+        timestamp: new Date('2024-01-05T10:11:12').toISOString(),
+        rawTimestamp: '2024-01-05T10:11:12',
+        author: "Anna, O'Brien",
+        organization: 'BRK CNC',
+        preprocessor: 'ST-DEVELOPER v18',
+        originatingSystem: 'SolidWorks 2023',
+        schema: 'AUTOMOTIVE_DESIGN',
+        units: 'mm'
+      },
+      boundingBox: null
+    });
+  });
+
+  test('should compute the STEP bounding box in millimetres', async () => {
+    const filePath = path.join(tempDir, 'plate_5.stp');
+    fs.writeFileSync(filePath, [
+      'ISO-10303-21;',
+      'HEADER;',
+      "FILE_NAME('plate_5.stp','2024-01-05T10:11:12',(''),(''),'','CAD','');",
+      'ENDSEC;',
+      'DATA;',
+      "#10=CARTESIAN_POINT('',(0.,0.,0.));",
+      "#11=CARTESIAN_POINT('Vertex',(11.811,-1.,",
+      '  0.5));',
+      "#12=CARTESIAN_POINT('',(0.5,1.E1));",
+      "#13=CARTESIAN_POINT('',(-0.5,7.874,1.));",
+      "#20=( CONVERSION_BASED_UNIT('INCH',#21) LENGTH_UNIT() NAMED_UNIT(#22) );",
+      '#21=LENGTH_MEASURE_WITH_UNIT(LENGTH_MEASURE(25.4),#23);',
+      '#23=( LENGTH_UNIT() NAMED_UNIT(*) SI_UNIT(.MILLI.,.METRE.) );',
+      'ENDSEC;',
+      'END-ISO-10303-21;'
+    ].join('\n'));
+
+    const metadata = await reader.read(filePath);
+
+    expect(metadata.header.units).toBe('inch');
+    expect(metadata.boundingBox).toEqual({
+      min: { x: -12.7, y: -25.4, z: 0 },
+      max: { x: 299.999, y: 200, z: 25.4 },
+      size: { x: 312.699, y: 225.4, z: 25.4 },
+      units: 'mm',
+      sourceUnits: 'inch',
+      pointCount: 3
+    });
+  });
+
+  test('should read the IGES global section', () => {
+    const header = reader.parseIgesHeader(igesFile(
+      '1H,,1H;,7HPRODUCT,10Hplate2.igs,15HSolidWorks 2023,11HIGES 5.3 PP,32,308,15,308,15,' +
+      '7HPRODUCT,1.,2,2HMM,50,0.125,15H20240105.101112,1E-08,500.,4Hanna,7HBRK CNC,11,0,15H20240105.101112;'
+    ));
+
+    expect(header).toEqual({
+      fileName: 'plate2.igs',
+      timestamp: new Date('2024-01-05T10:11:12').toISOString(),
+      rawTimestamp: '20240105.101112',
+      author: 'anna',
+      organization: 'BRK CNC',
+      preprocessor: 'IGES 5.3 PP',
+      originatingSystem: 'SolidWorks 2023',
+      productId: 'PRODUCT',
+      units: 'mm'
+    });
+  });
+
+  test('should not parse headers of other formats', async () => {
+    const filePath = path.join(tempDir, 'plate_2.x_t');
+    fs.writeFileSync(filePath, '**PART1;');
+
+    const metadata = await reader.read(filePath);
+
+    expect(metadata).toMatchObject({ format: 'parasolid', size: 8, header: null });
+  });
+});
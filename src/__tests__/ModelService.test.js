@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../config', () => ({ app: {}, plates: {} }));
+jest.mock('../../utils/Logger');
+
+const ModelService = require('../ModelService');
+
+describe('ModelService', () => {
+  let tempDir;
+  let modelsDir;
+  let plateService;
+  let service;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpm-models-'));
+    modelsDir = path.join(tempDir, 'models');
+    fs.mkdirSync(path.join(modelsDir, '2'), { recursive: true });
+    fs.writeFileSync(path.join(modelsDir, '2', 'plate_2.x_t'), 'parasolid');
+    fs.writeFileSync(path.join(tempDir, 'secret.step'), 'secret');
+
+    plateService = {
+      getPlateById: jest.fn(async plateId => (plateId === 'P2' ? {
+        id: 'P2',
+        plateNumber: '2',
+        currentModelFile: '2/plate_2.x_t',
+        modelFiles: [
+          { fileName: 'plate_2.x_t', relativePath: '2/plate_2.x_t', isPrimary: true },
+          { fileName: 'old.stp', relativePath: '2/old.stp', isPrimary: false }
+        ]
+      } : null))
+    };
+    service = new ModelService(plateService, { modelsDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should list linked models with their file details', async () => {
+    const result = await service.getPlateModels('P2');
+
+    expect(result.models).toEqual([
+      expect.objectContaining({
+        relativePath: '2/plate_2.x_t',
+        exists: true,
+        size: 9,
+        contentType: 'application/x-parasolid-text',
+        url: '/api/models/2/plate_2.x_t'
+      }),
+      expect.objectContaining({ relativePath: '2/old.stp', exists: false, size: null, contentType: 'model/step' })
+    ]);
+    await expect(service.getPlateModels('P9')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('should refuse paths outside the models folder', async () => {
+    await expect(service.getModelFile('../secret.step')).rejects.toMatchObject({ status: 403 });
+    await expect(service.getModelFile(path.join(tempDir, 'secret.step'))).rejects.toMatchObject({ status: 400 });
+    await expect(service.getModelFile('2/notes.txt')).rejects.toMatchObject({ status: 400 });
+
+    fs.symlinkSync(path.join(tempDir, 'secret.step'), path.join(modelsDir, '2', 'link.step'));
+    await expect(service.getModelFile('2/link.step')).rejects.toMatchObject({ status: 403 });
+  });
+
+  test('should flag models whose header is newer than the last import', async () => {
+    fs.writeFileSync(path.join(modelsDir, '2', 'old.stp'), [
+      'ISO-10303-21;',
+      'HEADER;',
+      "FILE_NAME('old.stp','2030-01-01T00:00:00',(''),(''),'','CAD','');",
+      'ENDSEC;'
+    ].join('\n'));
+    plateService.getPlateById.mockResolvedValue({
+      id: 'P2',
+      lastImportDate: '2024-06-01T00:00:00.000Z',
+      modelFiles: [
+        { fileName: 'plate_2.x_t', relativePath: '2/plate_2.x_t', sha256: 'abc' },
+        { fileName: 'old.stp', relativePath: '2/old.stp' }
+      ]
+    });
+
+    const { models } = await service.getPlateModels('P2');
+
+    expect(models.map(model => [model.format, model.sha256, model.newerThanImport])).toEqual([
+      ['parasolid', 'abc', false],
+      ['step', null, true]
+    ]);
+  });
+});
+
+describe('ModelService model revisions', () => {
+  const PlateService = require('../PlateService');
+  let tempDir;
+  let modelFile;
+  let plateService;
+  let service;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpm-revisions-'));
+    const modelsDir = path.join(tempDir, 'models');
+    fs.mkdirSync(path.join(modelsDir, '12'), { recursive: true });
+    modelFile = path.join(modelsDir, '12', 'plate_12.x_t');
+    fs.writeFileSync(modelFile, 'rev A');
+    fs.writeFileSync(path.join(modelsDir, '12', 'plate_12.png'), 'png');
+
+    plateService = new PlateService({
+      loadPlates: jest.fn().mockResolvedValue([
+        { id: 'P12', plateNumber: '12', shelf: 'B-12', health: 'used', occupancy: 'free', history: [] }
+      ]),
+      savePlates: jest.fn().mockResolvedValue()
+    });
+    await plateService.loadPlates();
+    service = new ModelService(plateService, { modelsDir });
+
+    await service.refreshPlateModels(await plateService.getPlateById('P12'), 'anna');
+    fs.writeFileSync(modelFile, 'revision B');
+    await service.refreshPlateModels(await plateService.getPlateById('P12'), 'bela');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should list archived revisions and serve an older one', async () => {
+    const { revisions } = await service.getModelRevisions('P12');
+
+    expect(revisions.map(revision => [revision.revision, revision.size, revision.user, revision.current, revision.archived]))
+      .toEqual([[1, 5, 'anna', false, true], [2, 10, 'bela', true, true]]);
+    expect(revisions[0].url).toBe('/api/plates/P12/models/revisions/1');
+
+    const file = await service.getRevisionFile('P12', '1');
+    expect(file).toMatchObject({ fileName: 'plate_12.x_t', size: 5, contentType: 'application/x-parasolid-text' });
+    expect(fs.readFileSync(file.filePath, 'utf8')).toBe('rev A');
+
+    await expect(service.getRevisionFile('P12', '9')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('should restore an older revision as the current model', async () => {
+    const plate = await service.restoreModelRevision('P12', 1, 'anna');
+
+    expect(fs.readFileSync(modelFile, 'utf8')).toBe('rev A');
+    expect(plate.modelFiles[0].sha256).toBe(plate.modelRevisions[0].sha256);
+    expect(plate.modelRevisions).toHaveLength(2);
+    expect(plate.history.pop()).toMatchObject({
+      action: 'model_changed',
+      user: 'anna',
+      details: expect.stringMatching(/^Restored model revision 1 \(plate_12\.x_t, /)
+    });
+  });
+});
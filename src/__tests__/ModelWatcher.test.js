@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../config', () => ({ app: {}, plates: {} }));
+jest.mock('../../utils/Logger');
+
+const PlateService = require('../PlateService');
+const ModelService = require('../ModelService');
+const ModelWatcher = require('../ModelWatcher');
+
+describe('ModelWatcher', () => {
+  let tempDir;
+  let modelsDir;
+  let plateService;
+  let watcher;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpm-watch-'));
+    modelsDir = path.join(tempDir, 'models');
+    fs.mkdirSync(path.join(modelsDir, '12'), { recursive: true });
+    fs.writeFileSync(path.join(modelsDir, '12', 'plate_12.x_t'), 'rev A');
+    fs.writeFileSync(path.join(modelsDir, '12', 'plate_12.png'), 'png');
+
+    plateService = new PlateService({
+      loadPlates: jest.fn().mockResolvedValue([{
+        id: 'P12',
+        plateNumber: '12',
+        shelf: 'B-12',
+        health: 'used',
+        occupancy: 'free',
+        currentModelFile: '12/plate_12.x_t',
+        modelFiles: [{ fileName: 'plate_12.x_t', relativePath: '12/plate_12.x_t', isPrimary: true, size: 5 }],
+        history: []
+      }]),
+      savePlates: jest.fn().mockResolvedValue()
+    });
+    await plateService.loadPlates();
+    watcher = new ModelWatcher(new ModelService(plateService, { modelsDir }), { debounceMs: 50 });
+  });
+
+  afterEach(() => {
+    watcher.stop();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should update model files and record the change', async () => {
+    fs.writeFileSync(path.join(modelsDir, '12', 'plate_12.x_t'), 'revision B');
+
+    const { plate, changes } = await watcher.refreshFolder('12');
+
+    expect(changes.map(change => change.field)).toEqual(['modelFiles']);
+    expect(plate.modelFiles).toEqual([expect.objectContaining({
+      fileName: 'plate_12.x_t',
+      relativePath: '12/plate_12.x_t',
+      isPrimary: true,
+      format: 'parasolid',
+      size: 10
+    })]);
+    expect(plate.history.pop()).toMatchObject({
+      action: 'model_changed',
+      user: 'model-watcher',
+      details: 'Model files changed: modified plate_12.x_t'
+    });
+
+    expect(plate.modelRevisions).toEqual([expect.objectContaining({
+      revision: 1,
+      relativePath: '12/plate_12.x_t',
+      size: 10,
+      user: 'model-watcher'
+    })]);
+    expect(fs.readFileSync(path.join(tempDir, 'model_revisions', plate.modelRevisions[0].archivedPath), 'utf8'))
+      .toBe('revision B');
+
+    const again = await watcher.refreshFolder('12');
+    expect(again.changes).toEqual([]);
+  });
+
+  test('should report an invalid folder and ignore folders without a plate', async () => {
+    fs.writeFileSync(path.join(modelsDir, '12', 'plate_12_v2.x_t'), 'revision C');
+
+    const { plate } = await watcher.refreshFolder('12');
+
+    expect(plate.modelFiles.map(model => model.fileName).sort()).toEqual(['plate_12.x_t', 'plate_12_v2.x_t']);
+    expect(plate.modelStatus).toMatch(/Multiple model files found/);
+    expect(plate.history.pop().details).toMatch(/^Model files changed: added plate_12_v2\.x_t/);
+
+    expect(await watcher.refreshFolder('99')).toBeNull();
+  });
+
+  test('should see changes inside plate folders, also folders added later', async () => {
+    const refresh = jest.spyOn(watcher, 'refreshFolder').mockResolvedValue(null);
+    const refreshedFolder = async folder => {
+      for (let attempt = 0; attempt < 40 && !refresh.mock.calls.some(([name]) => name === folder); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      return refresh.mock.calls.some(([name]) => name === folder);
+    };
+    watcher.start();
+
+    fs.writeFileSync(path.join(modelsDir, '12', 'plate_12.x_t'), 'revision B');
+    expect(await refreshedFolder('12')).toBe(true);
+
+    fs.mkdirSync(path.join(modelsDir, '13'));
+    expect(await refreshedFolder('13')).toBe(true);
+    refresh.mockClear();
+    fs.writeFileSync(path.join(modelsDir, '13', 'plate_13.x_t'), 'rev A');
+    expect(await refreshedFolder('13')).toBe(true);
+  });
+
+  test('should throw and log when the models folder cannot be watched', () => {
+    const missing = new ModelWatcher(new ModelService(plateService, { modelsDir: path.join(tempDir, 'missing') }));
+
+    expect(() => missing.start()).toThrow();
+    expect(require('../../utils/Logger').logError).toHaveBeenCalledWith(
+      expect.stringMatching(/could not start/),
+      expect.objectContaining({ modelsDir: path.join(tempDir, 'missing') })
+    );
+  });
+
+  test('should refresh a folder once per burst of changes', () => {
+    jest.useFakeTimers();
+    const refresh = jest.spyOn(watcher, 'refreshFolder').mockResolvedValue(null);
+
+    watcher.scheduleRefresh('12');
+    watcher.scheduleRefresh('12');
+    jest.advanceTimersByTime(40);
+    watcher.scheduleRefresh('12');
+    jest.advanceTimersByTime(50);
+
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(refresh).toHaveBeenCalledWith('12');
+  });
+});
@@ -0,0 +1,32 @@
+const PlateDimensions = require('../../utils/PlateDimensions');
+
+describe('PlateDimensions', () => {
+  test('should order model dimensions largest first', () => {
+    const dimensions = PlateDimensions.fromBoundingBox({ size: { x: 200, y: 25.04, z: 300 } }, '5/plate_5.stp');
+
+    expect(dimensions).toEqual({
+      length: 300,
+      width: 200,
+      height: 25.04,
+      units: 'mm',
+      source: 'model',
+      modelFile: '5/plate_5.stp'
+    });
+    expect(PlateDimensions.formatBoxSize(dimensions)).toBe('300x200x25');
+  });
+
+  test('should parse hand-filled Excel box sizes', () => {
+    expect(PlateDimensions.parseBoxSize('200 x 300')).toMatchObject({ length: 300, width: 200, height: null });
+    expect(PlateDimensions.parseBoxSize('30,5*20*2,5 cm')).toMatchObject({ length: 305, width: 200, height: 25 });
+    expect(PlateDimensions.parseBoxSize('Unknown')).toBeNull();
+    expect(PlateDimensions.parseBoxSize('E')).toBeNull();
+  });
+
+  test('should compare within the tolerance', () => {
+    const model = { length: 300, width: 200, height: 25 };
+
+    expect(PlateDimensions.differ({ length: 301.5, width: 199, height: null }, model)).toBe(false);
+    expect(PlateDimensions.differ({ length: 300, width: 200, height: 40 }, model)).toBe(true);
+    expect(PlateDimensions.differ({ length: 310, width: 200, height: null }, model)).toBe(true);
+  });
+});
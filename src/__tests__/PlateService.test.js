@@ -1,7 +1,15 @@
 const PlateService = require('../PlateService');
 
+jest.mock('../../config', () => ({ app: {}, plates: {} }));
 jest.mock('../../utils/Logger');
 
+function createDataManagerMock(plates = []) {
+  return {
+    loadPlates: jest.fn().mockResolvedValue(plates),
+    savePlates: jest.fn().mockResolvedValue()
+  };
+}
+
 describe('PlateService', () => {
   let plateService;
   
@@ -40,4 +48,238 @@ describe('PlateService', () => {
       }
     });
   });
+
+  describe('create and delete', () => {
+    let dataManager;
+
+    beforeEach(async () => {
+      dataManager = createDataManagerMock([
+        { id: 'P1', shelf: 'A-01', health: 'used', occupancy: 'free', history: [] },
+        { id: 'P2', shelf: 'A-02', health: 'used', occupancy: 'in-use', history: [] }
+      ]);
+      plateService = new PlateService(dataManager);
+      await plateService.loadPlates();
+    });
+
+    test('should create a plate and persist it', async () => {
+      const plate = await plateService.createPlate({ shelf: 'B-01', modifiedBy: 'tester' });
+
+      expect(plate.id).toBeDefined();
+      expect(plate.history[0].action).toBe('created');
+      expect(dataManager.savePlates).toHaveBeenCalled();
+    });
+
+    test('should report every invalid field on create', async () => {
+      await expect(plateService.createPlate({ health: 'broken' })).rejects.toMatchObject({
+        status: 400,
+        details: {
+          fields: expect.arrayContaining([
+            expect.objectContaining({ field: 'shelf' }),
+            expect.objectContaining({ field: 'health' })
+          ])
+        }
+      });
+    });
+
+    test('should reject duplicate plate IDs', async () => {
+      await expect(plateService.createPlate({ id: 'P1', shelf: 'B-01' }))
+        .rejects.toMatchObject({ status: 409 });
+    });
+
+    test('should soft-delete and restore a plate', async () => {
+      await plateService.deletePlate('P1', 'tester');
+
+      expect(await plateService.getPlateById('P1')).toBeNull();
+      expect((await plateService.getAllPlates()).map(p => p.id)).toEqual(['P2']);
+      expect(await plateService.getDeletedPlates()).toHaveLength(1);
+
+      const restored = await plateService.restorePlate('P1', 'tester');
+      expect(restored.deleted).toBeUndefined();
+      expect(restored.history.map(entry => entry.action)).toEqual(['deleted', 'restored']);
+    });
+
+    test('should refuse to delete a plate that is in use', async () => {
+      await expect(plateService.deletePlate('P2')).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('queryPlates', () => {
+    beforeEach(async () => {
+      plateService = new PlateService(createDataManagerMock([
+        { id: 'P10', plateNumber: '10', shelf: 'A-10', health: 'used', occupancy: 'free', notes: 'ground down', history: [] },
+        { id: 'P2', plateNumber: '2', shelf: 'A-02', health: 'locked', occupancy: 'free', isLocked: true, history: [] },
+        { id: 'P1', plateNumber: '1', shelf: 'A-01', health: 'used', occupancy: 'in-use', currentModelFile: '1/a.x_t', history: [] }
+      ]));
+      await plateService.loadPlates();
+    });
+
+    test('should filter, sort numerically and report total before pagination', async () => {
+      const result = await plateService.queryPlates({
+        health: ['used', 'locked'],
+        sort: [{ field: 'plateNumber', direction: 1 }],
+        limit: 2,
+        offset: 1
+      });
+
+      expect(result.total).toBe(3);
+      expect(result.plates.map(plate => plate.plateNumber)).toEqual(['2', '10']);
+    });
+
+    test('should support boolean filters, free-text search and projection', async () => {
+      expect((await plateService.queryPlates({ hasModel: true })).plates.map(p => p.id)).toEqual(['P1']);
+      expect((await plateService.queryPlates({ isLocked: true })).plates.map(p => p.id)).toEqual(['P2']);
+
+      const result = await plateService.queryPlates({ search: 'ground', fields: ['plateNumber'] });
+      expect(result.plates).toEqual([{ id: 'P10', plateNumber: '10' }]);
+    });
+
+    test('should find plates by project and part number from the work history', async () => {
+      const plate = await plateService.getPlateById('P10');
+      plate.workHistory = 'A: W5009NS01_69-70; G: -4816AS05_083-084-285';
+
+      expect((await plateService.queryPlates({ projectNumber: '4816' })).plates.map(p => p.id)).toEqual(['P10']);
+      expect((await plateService.queryPlates({ projectNumber: '5009', part: '69' })).plates.map(p => p.id)).toEqual(['P10']);
+      expect((await plateService.queryPlates({ projectNumber: '5009', part: '285' })).total).toBe(0);
+    });
+  });
+
+  describe('reservations', () => {
+    beforeEach(async () => {
+      plateService = new PlateService(createDataManagerMock([
+        { id: 'P1', shelf: 'A-01', health: 'used', occupancy: 'free', history: [] }
+      ]));
+      await plateService.loadPlates();
+    });
+
+    test('should only let the reserving operator start work', async () => {
+      const plate = await plateService.reservePlate('P1', { workOrderName: 'W5270NS01', reservedBy: 'anna' });
+      expect(plate.occupancy).toBe('reserved');
+
+      await expect(plateService.startWork('P1', 'W5270NS01', 'bela')).rejects.toMatchObject({ status: 409 });
+
+      const started = await plateService.startWork('P1', 'W5270NS01', 'anna');
+      expect(started.occupancy).toBe('in-use');
+      expect(started.reservation).toBeUndefined();
+    });
+
+    test('should release expired reservations with a history entry', async () => {
+      await plateService.reservePlate('P1', { workOrderName: 'W5270NS01', reservedBy: 'anna', durationMinutes: 5 });
+
+      const released = await plateService.releaseExpiredReservations(new Date(Date.now() + 10 * 60 * 1000));
+
+      expect(released).toEqual(['P1']);
+      const plate = await plateService.getPlateById('P1');
+      expect(plate.occupancy).toBe('free');
+      expect(plate.history[plate.history.length - 1].action).toBe('reservation_expired');
+    });
+
+    test('should only let the holder release a reservation unless forced', async () => {
+      await plateService.reservePlate('P1', { workOrderName: 'W5270NS01', reservedBy: 'anna' });
+
+      await expect(plateService.releasePlate('P1', 'bela')).rejects.toMatchObject({ status: 409 });
+      await expect(plateService.releasePlate('P1')).rejects.toMatchObject({ status: 409 });
+      expect((await plateService.getPlateById('P1')).occupancy).toBe('reserved');
+
+      const released = await plateService.releasePlate('P1', 'admin', 'shift ended', { force: true });
+      expect(released.occupancy).toBe('free');
+    });
+
+    test('should keep an expired reservation released when the start is refused', async () => {
+      await plateService.reservePlate('P1', { workOrderName: 'W5270NS01', reservedBy: 'anna' });
+      const plate = await plateService.getPlateById('P1');
+      plate.reservation.expiresAt = new Date(Date.now() - 1000);
+      plate.health = 'locked';
+      plateService.dataManager.savePlates.mockClear();
+
+      await expect(plateService.startWork('P1', 'W5271NS01', 'bela')).rejects.toMatchObject({ status: 409 });
+
+      const expired = await plateService.getPlateById('P1');
+      expect(expired.occupancy).toBe('free');
+      expect(expired.history[expired.history.length - 1].action).toBe('reservation_expired');
+      expect(plateService.dataManager.savePlates).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('mutation queue', () => {
+    let dataManager;
+
+    beforeEach(async () => {
+      dataManager = createDataManagerMock([
+        { id: 'P1', shelf: 'A-01', health: 'used', occupancy: 'free', history: [] },
+        { id: 'P2', shelf: 'A-02', health: 'used', occupancy: 'free', history: [] }
+      ]);
+      plateService = new PlateService(dataManager);
+      await plateService.loadPlates();
+    });
+
+    test('should let only one of two concurrent starts on the same plate succeed', async () => {
+      const results = await Promise.allSettled([
+        plateService.startWork('P1', 'W5270NS01', 'anna'),
+        plateService.startWork('P1', 'W5271NS01', 'bela')
+      ]);
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect(results[1].reason.status).toBe(409);
+      expect((await plateService.getPlateById('P1')).lastWorkName).toBe('W5270NS01');
+    });
+
+    test('should coalesce queued mutations into a single save', async () => {
+      await Promise.all([
+        plateService.startWork('P1', 'W5270NS01', 'anna'),
+        plateService.startWork('P2', 'W5271NS01', 'bela')
+      ]);
+
+      expect(dataManager.savePlates).toHaveBeenCalledTimes(1);
+      expect(dataManager.savePlates.mock.calls[0][0].filter(p => p.occupancy === 'in-use')).toHaveLength(2);
+    });
+
+    test('should roll back in-memory state when the save fails', async () => {
+      dataManager.savePlates.mockRejectedValueOnce(new Error('disk full'));
+
+      await expect(plateService.startWork('P1', 'W5270NS01', 'anna')).rejects.toThrow('disk full');
+
+      const plate = await plateService.getPlateById('P1');
+      expect(plate.occupancy).toBe('free');
+      expect(plate.history).toHaveLength(0);
+    });
+  });
+
+  describe('payload validation', () => {
+    beforeEach(async () => {
+      plateService = new PlateService(createDataManagerMock([
+        { id: 'P1', plateNumber: '1', shelf: 'A-01', health: 'used', occupancy: 'free', isLocked: false, history: [] }
+      ]));
+      await plateService.loadPlates();
+    });
+
+    test('should list every read-only, unknown or invalid field on update', async () => {
+      const error = await plateService.updatePlate('P1', {
+        history: [{ action: 'forged' }],
+        isLocked: true,
+        injected: 'x',
+        notes: 'n'.repeat(2001)
+      }).catch(e => e);
+
+      expect(error.status).toBe(400);
+      expect(error.details.fields.map(f => f.field).sort()).toEqual(['history', 'injected', 'isLocked', 'notes']);
+      expect((await plateService.getPlateById('P1')).revision).toBe(1);
+    });
+
+    test('should accept a fetched plate sent back with unchanged read-only fields', async () => {
+      const plate = await plateService.getPlateById('P1');
+
+      const updated = await plateService.updatePlate('P1', { ...plate, notes: 'checked' });
+
+      expect(updated.notes).toBe('checked');
+    });
+
+    test('should validate Excel import fields on stored plates', () => {
+      const fieldErrors = plateService.getValidationErrors({
+        id: 'P9', shelf: 'A-09', health: 'new', occupancy: 'free',
+        plateNumber: 9, modelFiles: [{ fileName: 'a.x_t' }]
+      });
+
+      expect(fieldErrors.map(f => f.field)).toEqual(['plateNumber', 'modelFiles[0]']);
+    });
+  });
 });
@@ -0,0 +1,60 @@
+jest.mock('../../config', () => ({ app: {}, plates: {} }));
+jest.mock('../../utils/Logger');
+
+const PlateService = require('../PlateService');
+const SearchService = require('../SearchService');
+
+describe('SearchService', () => {
+  let service;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const plateService = new PlateService({
+      loadPlates: jest.fn().mockResolvedValue([
+        { id: 'P1', plateNumber: '1', shelf: 'A-01', health: 'used', occupancy: 'free', workHistory: 'A: -4969_072_073', history: [] },
+        {
+          id: 'P2',
+          plateNumber: '2',
+          shelf: 'A-02',
+          health: 'used',
+          occupancy: 'free',
+          workHistory: 'C: -4968NS01_162',
+          history: [
+            { action: 'work_started', user: 'anna', date: '2024-02-01T08:00:00.000Z', details: 'Work started: W4969NS01_072' },
+            { action: 'work_finished', user: 'anna', date: '2024-02-01T12:00:00.000Z', details: 'Work finished: W4969NS01_072' }
+          ]
+        },
+        { id: 'P3', plateNumber: '3', shelf: 'A-03', health: 'used', occupancy: 'free', workHistory: 'A: -4971_071; D: -4969_062_072', history: [] },
+        { id: 'P4', plateNumber: '4', shelf: 'A-04', health: 'used', occupancy: 'free', workHistory: 'A: -4969_062', history: [] }
+      ])
+    });
+    await plateService.loadPlates();
+    service = new SearchService(plateService);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should combine Excel and live history ranked by recency', async () => {
+    const result = await service.searchPlates({ project: '4969', part: '72' });
+
+    expect(result.query).toEqual({ project: '4969', part: '072' });
+    expect(result.results.map(plate => [plate.plateId, plate.lastUsedDate])).toEqual([
+      ['P2', '2024-02-01T08:00:00.000Z'],
+      ['P1', null],
+      ['P3', null]
+    ]);
+    expect(result.results[0].matches).toEqual([
+      { source: 'history', workOrder: 'W4969NS01_072', user: 'anna', date: '2024-02-01T08:00:00.000Z' }
+    ]);
+    expect(result.results[2].matches).toEqual([
+      expect.objectContaining({ source: 'excel', projectCode: 'D', fullEntry: 'D: -4969_062_072' })
+    ]);
+  });
+
+  test('should reject a search without a valid project or part', async () => {
+    await expect(service.searchPlates({})).rejects.toMatchObject({ status: 400 });
+    await expect(service.searchPlates({ project: '49' })).rejects.toMatchObject({ status: 400 });
+  });
+});
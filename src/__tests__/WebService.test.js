@@ -0,0 +1,293 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+jest.mock('../../config', () => ({
+  app: {},
+  plates: {},
+  webService: { enableCors: false }
+}));
+jest.mock('../../utils/Logger');
+
+const WebService = require('../WebService');
+
+function createPlates() {
+  return [
+    { id: 'P1', plateNumber: '1', shelf: 'A-01', boxSize: '300x200', health: 'used', occupancy: 'free', history: [] },
+    { id: 'P2', plateNumber: '2', shelf: 'A-02', boxSize: '400x300', health: 'used', occupancy: 'in-use', lastWorkName: 'W1', history: [] }
+  ];
+}
+
+describe('WebService', () => {
+  let service;
+  let app;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    service = new WebService();
+    service.dataManager.loadPlates = jest.fn().mockResolvedValue(createPlates());
+    service.dataManager.savePlates = jest.fn().mockResolvedValue();
+    service.dataManager.loadWorkOrders = jest.fn().mockResolvedValue([
+      { id: 'W1', name: 'W1', plateId: 'P2', status: 'active', startDate: '2024-03-01T08:00:00.000Z' },
+      { id: 'W0', name: 'W0', plateId: 'P1', status: 'completed', projectCode: 'A', startDate: '2024-01-01T08:00:00.000Z' }
+    ]);
+    service.dataManager.saveWorkOrders = jest.fn().mockResolvedValue();
+    await service.plateService.loadPlates();
+    await service.workOrderService.loadWorkOrders();
+    app = (req, res) => service.handleRequest(req, res);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('plate CRUD', () => {
+    test('POST /api/plates creates a plate', async () => {
+      const response = await request(app)
+        .post('/api/plates')
+        .send({ shelf: 'B-01' })
+        .expect(201);
+
+      expect(response.body.shelf).toBe('B-01');
+    });
+
+    test('POST /api/plates returns field details on validation errors', async () => {
+      const response = await request(app)
+        .post('/api/plates')
+        .send({})
+        .expect(400);
+
+      expect(response.body.fields).toEqual(
+        expect.arrayContaining([expect.objectContaining({ field: 'shelf' })])
+      );
+    });
+
+    test('malformed percent-encoding in the path answers 400', async () => {
+      await request(app).get('/api/plates/%E0').expect(400);
+      await request(app).post('/api/plates/%E0/restore').send({}).expect(400);
+      await request(app).post('/api/plates/%E0/release').send({}).expect(400);
+      await request(app).post('/api/work-orders/%E0/start').send({}).expect(400);
+    });
+
+    test('DELETE /api/plates/:id refuses in-use plates with 409', async () => {
+      await request(app).delete('/api/plates/P2').expect(409);
+      await request(app).delete('/api/plates/P1').expect(200);
+      await request(app).get('/api/plates/P1').expect(404);
+    });
+  });
+
+  describe('GET /api/plates', () => {
+    test('applies query filters and reports total before pagination', async () => {
+      const response = await request(app)
+        .get('/api/plates?health=used&sort=-plateNumber&limit=1&fields=plateNumber')
+        .expect(200);
+
+      expect(response.body.metadata.totalPlates).toBe(2);
+      expect(response.body.plates).toEqual([{ id: 'P2', plateNumber: '2' }]);
+    });
+
+    test('rejects malformed query parameters', async () => {
+      await request(app).get('/api/plates?limit=abc').expect(400);
+    });
+  });
+
+  describe('revisions', () => {
+    test('GET /api/plates/:id returns the revision as ETag', async () => {
+      const response = await request(app).get('/api/plates/P1').expect(200);
+
+      expect(response.headers.etag).toBe('"1"');
+    });
+
+    test('stale If-Match is rejected with 412 and the current version', async () => {
+      await request(app)
+        .post('/api/plates/P1')
+        .set('If-Match', '"1"')
+        .send({ notes: 'first' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/plates/P1')
+        .set('If-Match', '"1"')
+        .send({ notes: 'second' })
+        .expect(412);
+
+      expect(response.body.currentRevision).toBe(2);
+      expect(response.body.current.notes).toBe('first');
+      expect(response.headers.etag).toBe('"2"');
+    });
+
+    test('a stale revision in the body is rejected with 412', async () => {
+      const { body: plate } = await request(app).get('/api/plates/P1').expect(200);
+      await request(app).post('/api/plates/P1').send({ notes: 'first' }).expect(200);
+
+      const response = await request(app)
+        .post('/api/plates/P1')
+        .send({ ...plate, notes: 'second' })
+        .expect(412);
+
+      expect(response.headers.etag).toBe('"2"');
+      await request(app).post('/api/plates/P1').send({ ...response.body.current, notes: 'second' }).expect(200);
+    });
+  });
+
+  describe('GET /api/search', () => {
+    test('finds plates by project number and validates the query', async () => {
+      await service.plateService.startWork('P1', 'W4969NS01_072', 'anna');
+
+      const response = await request(app).get('/api/search?project=4969&part=072').expect(200);
+      expect(response.body.results.map(plate => plate.plateId)).toEqual(['P1']);
+
+      await request(app).get('/api/search').expect(400);
+    });
+  });
+
+  describe('GET /api/plates/fit', () => {
+    test('lists fitting plates and near-misses before the plate id route', async () => {
+      const response = await request(app).get('/api/plates/fit?x=120&y=180&z=40').expect(200);
+
+      expect(response.body.results.map(plate => plate.plateId)).toEqual(['P1']);
+      expect(response.body.nearMisses).toEqual([
+        expect.objectContaining({ plateId: 'P2', reasons: ['plate is in-use'] })
+      ]);
+
+      await request(app).get('/api/plates/fit?x=120&y=180').expect(400);
+    });
+  });
+
+  describe('model revision routes', () => {
+    test('list, download and restore answer for the plate', async () => {
+      const response = await request(app).get('/api/plates/P1/models/revisions').expect(200);
+      expect(response.body).toEqual({ plateId: 'P1', plateNumber: '1', currentModelFile: null, revisions: [] });
+
+      await request(app).get('/api/plates/P1/models/revisions/1').expect(404);
+      await request(app).post('/api/plates/P1/models/revisions/1/restore').send({ operator: 'anna' }).expect(404);
+      await request(app).get('/api/plates/P9/models/revisions').expect(404);
+    });
+  });
+
+  describe('POST /api/config', () => {
+    test('answers 422 with the validation report when model folders are invalid', async () => {
+      const ServiceError = require('../../utils/ServiceError');
+      const validationReport = { valid: false, invalidFolders: 1, issues: [{ folder: '2', findings: [{ type: 'MISSING_IMAGE' }] }] };
+      const convert = jest.fn().mockRejectedValue(ServiceError.unprocessable('Model folder validation failed: 1 invalid folder(s)', {
+        validationReport,
+        reportPath: '/data/reports/model_validation.json'
+      }));
+      jest.doMock('../convert_excel_to_json', () => convert);
+
+      const response = await request(app)
+        .post('/api/config')
+        .send({ testMode: true, autoRun: true, plateInfoFile: '/data/plates.xlsx', platesPath: '/data', skipInvalidFolders: false })
+        .expect(422);
+
+      expect(convert).toHaveBeenCalledWith('/data/plates.xlsx', '/data', { skipInvalidFolders: false });
+      expect(response.body.validationReport).toEqual(validationReport);
+      expect(response.body.reportPath).toBe('/data/reports/model_validation.json');
+      jest.dontMock('../convert_excel_to_json');
+    });
+  });
+
+  describe('GET /api/models/:path', () => {
+    let modelsDir;
+
+    beforeEach(() => {
+      modelsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpm-models-'));
+      fs.mkdirSync(path.join(modelsDir, '2'));
+      fs.writeFileSync(path.join(modelsDir, '2', 'plate 2.step'), 'ISO-10303-21;');
+      service.modelService.modelsDir = modelsDir;
+    });
+
+    afterEach(() => {
+      fs.rmSync(modelsDir, { recursive: true, force: true });
+    });
+
+    const readText = (response, callback) => {
+      let text = '';
+      response.on('data', chunk => { text += chunk; });
+      response.on('end', () => callback(null, text));
+    };
+
+    test('streams the file with its content type and honours ranges', async () => {
+      const full = await request(app).get('/api/models/2/plate%202.step').buffer(true).parse(readText).expect(200);
+      expect(full.headers['content-type']).toBe('model/step');
+      expect(full.headers['accept-ranges']).toBe('bytes');
+      expect(full.body).toBe('ISO-10303-21;');
+
+      const partial = await request(app)
+        .get('/api/models/2/plate%202.step')
+        .set('Range', 'bytes=4-8')
+        .buffer(true)
+        .parse(readText)
+        .expect(206);
+      expect(partial.headers['content-range']).toBe('bytes 4-8/13');
+      expect(partial.body).toBe('10303');
+
+      await request(app).get('/api/models/2/plate%202.step').set('Range', 'bytes=20-').expect(416);
+    });
+
+    test('rejects paths that leave the models folder', async () => {
+      await request(app).get('/api/models/..%2F..%2Fetc%2Fpasswd.step').expect(403);
+      await request(app).get('/api/models/2/missing.step').expect(404);
+    });
+  });
+
+  describe('work orders', () => {
+    test('GET /api/work-orders filters by status, project and date range', async () => {
+      const byStatus = await request(app).get('/api/work-orders?status=active').expect(200);
+      expect(byStatus.body.map(workOrder => workOrder.id)).toEqual(['W1']);
+
+      const byProject = await request(app).get('/api/work-orders?project=a&to=2024-02-01').expect(200);
+      expect(byProject.body.map(workOrder => workOrder.id)).toEqual(['W0']);
+
+      await request(app).get('/api/work-orders?from=someday').expect(400);
+    });
+
+    test('GET /api/work-orders/:id returns 404 for unknown orders', async () => {
+      await request(app).get('/api/work-orders/W1').expect(200);
+      await request(app).get('/api/work-orders/NOPE').expect(404);
+    });
+
+    test('start, complete and cancel drive the plate and answer 409 on invalid transitions', async () => {
+      await request(app).post('/api/work-orders').send({ id: 'W5', plateId: 'P1' }).expect(201);
+      await request(app).post('/api/work-orders').send({ id: 'W5' }).expect(409);
+
+      await request(app).post('/api/work-orders/W5/start').send({ operator: 'anna' }).expect(200);
+      expect((await service.plateService.getPlateById('P1')).occupancy).toBe('in-use');
+
+      await request(app).post('/api/work-orders/W5/start').send({}).expect(409);
+      await request(app).post('/api/work-orders/W5/complete').send({ operator: 'anna' }).expect(200);
+      expect((await service.plateService.getPlateById('P1')).occupancy).toBe('free');
+
+      await request(app).post('/api/work-orders/W5/cancel').send({}).expect(409);
+      await request(app).post('/api/work-orders/NOPE/cancel').send({}).expect(404);
+    });
+
+    test('PATCH /api/work-orders/:id reassigns pending orders only', async () => {
+      await request(app).post('/api/work-orders').send({ id: 'W6', plateId: 'P1' }).expect(201);
+
+      const response = await request(app).patch('/api/work-orders/W6').send({ plateId: 'P2' }).expect(200);
+      expect(response.body.plateId).toBe('P2');
+
+      await request(app).patch('/api/work-orders/W6').send({ plateId: 'P3' }).expect(404);
+
+      await request(app).patch('/api/work-orders/W1').send({ plateId: 'P1' }).expect(409);
+      await request(app).patch('/api/work-orders/W6').send({ status: 'completed' }).expect(400);
+    });
+
+    test('POST /api/work-orders/:id/plates/:plateId/finish frees one plate', async () => {
+      await request(app).post('/api/plates/P2/work/finish').send({}).expect(200);
+      await request(app)
+        .post('/api/work-orders')
+        .send({ id: 'W7', plates: [{ plateId: 'P1' }, { plateId: 'P2' }] })
+        .expect(201);
+      await request(app).post('/api/work-orders/W7/start').send({ operator: 'anna' }).expect(200);
+
+      const response = await request(app).post('/api/work-orders/W7/plates/P1/finish').send({}).expect(200);
+
+      expect(response.body.status).toBe('active');
+      expect(response.body.plates.map(entry => entry.status)).toEqual(['finished', 'active']);
+      await request(app).post('/api/work-orders/W7/plates/P9/finish').send({}).expect(404);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const WorkHistoryParser = require('../../utils/WorkHistoryParser');
+
+describe('WorkHistoryParser', () => {
+  test('should split project number, sub-assembly and part list', () => {
+    const { entries, issues } = WorkHistoryParser.parseWorkHistory('G: -4816AS05_083-084-285 KB');
+
+    expect(issues).toEqual([]);
+    expect(entries).toEqual([{
+      projectCode: 'G',
+      workOrder: '-4816AS05_083-084-285 KB',
+      fullEntry: 'G: -4816AS05_083-084-285 KB',
+      projectNumbers: ['4816'],
+      subAssemblies: ['AS05'],
+      parts: ['083', '084', '285'],
+      variants: [],
+      note: 'KB',
+      continuation: false,
+      parsed: true
+    }]);
+  });
+
+  test('should expand ranges and read second project numbers', () => {
+    const [range, twoProjects, attached] = WorkHistoryParser.parseWorkHistory(
+      'A: -5011NM01_003-006; B: -4949-50NS01_098_099; C: W5002NS01079'
+    ).entries;
+
+    expect(range.parts).toEqual(['003', '004', '005', '006']);
+    expect(twoProjects).toMatchObject({ projectNumbers: ['4949', '4950'], subAssemblies: ['NS01'], parts: ['098', '099'] });
+    expect(attached).toMatchObject({ projectNumbers: ['5002'], subAssemblies: ['NS01'], parts: ['079'] });
+  });
+
+  test('should inherit the project code for comma continuations', () => {
+    const { entries } = WorkHistoryParser.parseWorkHistory('F: -4949-084_086 , 4950-084_086');
+
+    expect(entries.map(entry => [entry.projectCode, entry.projectNumbers, entry.parts, entry.continuation])).toEqual([
+      ['F', ['4949'], ['084', '086'], false],
+      ['F', ['4950'], ['084', '086'], true]
+    ]);
+  });
+
+  test('should split comma-separated entries that carry their own code', () => {
+    const { entries, issues } = WorkHistoryParser.parseWorkHistory('A: -4961_061, B: -4962_062');
+
+    expect(issues).toEqual([]);
+    expect(entries.map(entry => [entry.projectCode, entry.projectNumbers, entry.parts, entry.continuation])).toEqual([
+      ['A', ['4961'], ['061'], false],
+      ['B', ['4962'], ['062'], false]
+    ]);
+  });
+
+  test('should report entries it cannot parse and keep them as text', () => {
+    const { entries, issues } = WorkHistoryParser.parseWorkHistory(
+      'A: -4892NS01_74; Át lett köszörülve, lapvastagság változott! LV:39,7 mm; D:_W5009NS108-109'
+    );
+
+    expect(entries.map(entry => entry.parsed)).toEqual([true, false, false]);
+    expect(entries[1].workOrder).toBe('Át lett köszörülve, lapvastagság változott! LV:39,7 mm');
+    expect(issues).toEqual([
+      { entry: 'Át lett köszörülve, lapvastagság változott! LV:39,7 mm', reason: 'Unrecognized token "Át"' },
+      { entry: 'D:_W5009NS108-109', reason: 'Unrecognized token "5009NS108-109"' }
+    ]);
+  });
+});
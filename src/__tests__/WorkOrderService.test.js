@@ -0,0 +1,367 @@
+jest.mock('../../config', () => ({ app: {}, plates: {} }));
+jest.mock('../../utils/Logger');
+
+const WorkOrderService = require('../WorkOrderService');
+const PlateService = require('../PlateService');
+
+function createDataManagerMock({ workOrders = null, plates = [] } = {}) {
+  return {
+    loadWorkOrders: jest.fn().mockResolvedValue(workOrders),
+    saveWorkOrders: jest.fn().mockResolvedValue(),
+    loadPlates: jest.fn().mockResolvedValue(plates)
+  };
+}
+
+describe('WorkOrderService', () => {
+  describe('persistence', () => {
+    test('should load stored work orders without touching plates', async () => {
+      const dataManager = createDataManagerMock({
+        workOrders: [{ id: 'W1', status: 'pending' }]
+      });
+      const service = new WorkOrderService(dataManager);
+
+      await service.initialize();
+
+      expect(await service.getAllWorkOrders()).toEqual([{ id: 'W1', status: 'pending', plates: [] }]);
+      expect(dataManager.loadPlates).not.toHaveBeenCalled();
+      expect(dataManager.saveWorkOrders).not.toHaveBeenCalled();
+    });
+
+    test('should save the full lifecycle of a work order', async () => {
+      const dataManager = createDataManagerMock({ workOrders: [] });
+      const service = new WorkOrderService(dataManager);
+      await service.initialize();
+
+      await service.createWorkOrder({ id: 'W2', plateId: 'P1', createdBy: 'anna' });
+      await service.startWorkOrder('W2', 'P1', 'anna');
+      await service.completeWorkOrder('W2', 'bela', 'done');
+
+      expect(dataManager.saveWorkOrders).toHaveBeenCalledTimes(3);
+      const saved = dataManager.saveWorkOrders.mock.calls[2][0];
+      expect(saved).toEqual([
+        expect.objectContaining({
+          id: 'W2',
+          status: 'completed',
+          createdBy: 'anna',
+          startedBy: 'anna',
+          completedBy: 'bela',
+          notes: 'done'
+        })
+      ]);
+    });
+
+    test('should roll back memory when saving fails', async () => {
+      const dataManager = createDataManagerMock({ workOrders: [{ id: 'W1', name: 'W1', status: 'pending', plates: [] }] });
+      const service = new WorkOrderService(dataManager);
+      await service.initialize();
+      dataManager.saveWorkOrders.mockRejectedValueOnce(new Error('disk full'));
+
+      await expect(service.cancelWorkOrder('W1', 'anna')).rejects.toThrow('disk full');
+      await expect(service.createWorkOrder({ id: 'W2' })).resolves.toMatchObject({ id: 'W2' });
+
+      expect(service.workOrders.get('W1').status).toBe('pending');
+      expect(dataManager.saveWorkOrders.mock.calls[1][0].map(workOrder => workOrder.id)).toEqual(['W1', 'W2']);
+    });
+
+    test('should reject duplicate work order ids with 409', async () => {
+      const service = new WorkOrderService(createDataManagerMock({ workOrders: [{ id: 'W1' }] }));
+      await service.initialize();
+
+      await expect(service.createWorkOrder({ id: 'W1' })).rejects.toMatchObject({ status: 409 });
+    });
+
+    test('should require a work order id', async () => {
+      const service = new WorkOrderService(createDataManagerMock({ workOrders: [] }));
+      await service.initialize();
+
+      await expect(service.createWorkOrder({ plateId: 'P1' })).rejects.toMatchObject({ status: 400 });
+      await expect(service.createWorkOrder({ id: '  ' })).rejects.toMatchObject({ status: 400 });
+      expect(service.workOrders.size).toBe(0);
+    });
+  });
+
+  describe('backfill', () => {
+    test('should rebuild work orders from plate history once', async () => {
+      const dataManager = createDataManagerMock({
+        plates: [
+          {
+            id: 'P1',
+            occupancy: 'free',
+            history: [
+              { action: 'work_started', user: 'anna', date: '2024-01-01T08:00:00.000Z', details: 'Work started: W1' },
+              { action: 'work_finished', user: 'bela', date: '2024-01-01T10:00:00.000Z', details: 'Work finished: W1 - ok' },
+              { action: 'work_started', user: 'anna', date: '2024-01-02T08:00:00.000Z', details: 'Work started: W1' },
+              { action: 'work_finished', user: 'anna', date: '2024-01-02T12:00:00.000Z', details: 'Work finished: W1' }
+            ]
+          },
+          {
+            id: 'P2',
+            occupancy: 'in-use',
+            lastWorkName: 'W3',
+            history: [
+              { action: 'work_started', user: 'cili', date: '2024-01-03T08:00:00.000Z', details: 'Work started: W3' }
+            ]
+          }
+        ]
+      });
+      const service = new WorkOrderService(dataManager);
+
+      await service.initialize();
+
+      const workOrders = await service.getAllWorkOrders();
+      expect(workOrders.map(workOrder => [workOrder.id, workOrder.status])).toEqual([
+        ['W1', 'completed'],
+        ['W1_2', 'completed'],
+        ['W3', 'active']
+      ]);
+      expect(workOrders[0]).toMatchObject({ completedBy: 'bela', notes: 'ok' });
+      expect(dataManager.saveWorkOrders).toHaveBeenCalledTimes(1);
+
+      const stats = await service.getWorkOrderStats();
+      expect(stats.averageDuration).toBe(3 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('plate integration', () => {
+    let dataManager;
+    let plateService;
+    let service;
+
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      dataManager = createDataManagerMock({
+        workOrders: [],
+        plates: [
+          { id: 'P1', shelf: 'A-01', health: 'used', occupancy: 'free', history: [] },
+          { id: 'P2', shelf: 'A-02', health: 'used', occupancy: 'in-use', lastWorkName: 'W9', history: [] }
+        ]
+      });
+      dataManager.savePlates = jest.fn().mockResolvedValue();
+      plateService = new PlateService(dataManager);
+      service = new WorkOrderService(dataManager);
+      plateService.setWorkOrderService(service);
+      service.setPlateService(plateService);
+      await plateService.loadPlates();
+      await service.loadWorkOrders();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('starting and finishing plate work drives the work order', async () => {
+      await service.createWorkOrder({ id: 'W1' });
+
+      await plateService.startWork('P1', 'W1', 'anna');
+      expect(service.workOrders.get('W1')).toMatchObject({ status: 'active', plateId: 'P1', startedBy: 'anna' });
+
+      await plateService.finishWork('P1', 'bela', 'clean');
+      expect(service.workOrders.get('W1')).toMatchObject({ status: 'completed', completedBy: 'bela', notes: 'clean' });
+    });
+
+    test('starting work without a work order creates an active one', async () => {
+      await plateService.startWork('P1', 'W2', 'anna');
+
+      expect(service.workOrders.get('W2')).toMatchObject({ status: 'active', plateId: 'P1', source: 'plate' });
+    });
+
+    test('completing a work order frees its plate', async () => {
+      await plateService.startWork('P1', 'W3', 'anna');
+
+      await service.completeWorkOrder('W3', 'bela', 'done');
+
+      const plate = await plateService.getPlateById('P1');
+      expect(plate.occupancy).toBe('free');
+      expect(plate.history[plate.history.length - 1].action).toBe('work_finished');
+      expect(service.workOrders.get('W3').status).toBe('completed');
+    });
+
+    test('reconcile reports and fixes drift in both directions', async () => {
+      service.workOrders.set('W4', { id: 'W4', name: 'W4', plateId: 'P1', status: 'active' });
+
+      const dryRun = await service.reconcile({ fix: false });
+      expect(dryRun.issues.map(issue => issue.type).sort()).toEqual([
+        'active_order_plate_not_in_use',
+        'in_use_plate_without_order'
+      ]);
+      expect(service.workOrders.get('W4').status).toBe('active');
+
+      const report = await service.reconcile();
+      expect(report.fixedCount).toBe(2);
+      expect(service.workOrders.get('W4').status).toBe('completed');
+      expect(service.workOrders.get('W9')).toMatchObject({ status: 'active', plateId: 'P2' });
+      expect((await service.reconcile()).issues).toEqual([]);
+    });
+
+    test('reconcile waits for work order actions in progress', async () => {
+      await service.createWorkOrder({ id: 'W11', plateId: 'P1' });
+      await service.startWorkOrder('W11', null, 'anna');
+
+      // Reconcile fires once the plate is free but before the order is marked completed
+      let reconciling;
+      const finishWork = plateService.finishWork.bind(plateService);
+      jest.spyOn(plateService, 'finishWork').mockImplementation(async (...args) => {
+        const plate = await finishWork(...args);
+        reconciling = service.reconcile();
+        return plate;
+      });
+
+      await service.completeWorkOrder('W11', 'anna', 'done');
+      const report = await reconciling;
+
+      expect(report.issues.filter(issue => issue.workOrderId === 'W11')).toEqual([]);
+      expect(service.workOrders.get('W11')).toMatchObject({ status: 'completed', completedBy: 'anna', notes: 'done' });
+    });
+
+    test('reconcile leaves a plate finish alone until its order is updated', async () => {
+      await plateService.startWork('P1', 'W12', 'anna');
+
+      // Reconcile fires once the plate is free but before the order hears about it
+      let reconciling;
+      const recordPlateWorkFinished = service.recordPlateWorkFinished.bind(service);
+      jest.spyOn(service, 'recordPlateWorkFinished').mockImplementation((...args) => {
+        reconciling = service.reconcile();
+        return recordPlateWorkFinished(...args);
+      });
+
+      await plateService.finishWork('P1', 'bela', 'done');
+      const report = await reconciling;
+
+      expect(report.issues.filter(issue => issue.workOrderId === 'W12')).toEqual([]);
+      expect(service.workOrders.get('W12')).toMatchObject({ status: 'completed', completedBy: 'bela', notes: 'done' });
+    });
+
+    test('multi-plate start is all-or-nothing', async () => {
+      await service.createWorkOrder({ id: 'W5', plates: [{ plateId: 'P1' }, { plateId: 'P2' }] });
+
+      await expect(service.startWorkOrder('W5', null, 'anna')).rejects.toMatchObject({
+        status: 409,
+        details: expect.objectContaining({ plateId: 'P2' })
+      });
+
+      const plate = await plateService.getPlateById('P1');
+      expect(plate.occupancy).toBe('free');
+      expect(plate.reservation).toBeUndefined();
+      expect(service.workOrders.get('W5').status).toBe('pending');
+    });
+
+    test('a failed start puts plates back as they were', async () => {
+      plateService.plates.set('P3', { id: 'P3', shelf: 'A-03', health: 'new', occupancy: 'free', history: [] });
+      await plateService.updatePlate('P1', { health: 'new' });
+      await plateService.reservePlate('P1', { workOrderName: 'W8', reservedBy: 'anna' });
+      await service.createWorkOrder({ id: 'W8', plates: [{ plateId: 'P1' }, { plateId: 'P3' }] });
+
+      const startWork = plateService.startWork.bind(plateService);
+      jest.spyOn(plateService, 'startWork').mockImplementation((plateId, ...args) =>
+        plateId === 'P3' ? Promise.reject(new Error('Spindle offline')) : startWork(plateId, ...args));
+
+      await expect(service.startWorkOrder('W8', null, 'anna')).rejects.toMatchObject({
+        details: expect.objectContaining({ plateId: 'P3' })
+      });
+
+      const kept = await plateService.getPlateById('P1');
+      expect(kept).toMatchObject({ health: 'new', occupancy: 'reserved', reservation: expect.objectContaining({ reservedBy: 'anna' }) });
+      expect(kept.history.map(entry => entry.action)).not.toContain('work_finished');
+      expect(await plateService.getPlateById('P3')).toMatchObject({ health: 'new', occupancy: 'free' });
+      expect((await plateService.getPlateById('P3')).reservation).toBeUndefined();
+      expect(service.workOrders.get('W8').status).toBe('pending');
+    });
+
+    test('completing and cancelling at once lets only the first through', async () => {
+      await service.createWorkOrder({ id: 'W10', plateId: 'P1' });
+      await service.startWorkOrder('W10', null, 'anna');
+
+      const results = await Promise.allSettled([
+        service.completeWorkOrder('W10', 'anna', 'done'),
+        service.cancelWorkOrder('W10', 'bela', 'not needed')
+      ]);
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect(results[1].reason.status).toBe(409);
+      expect(service.workOrders.get('W10')).toMatchObject({ status: 'completed', completedBy: 'anna' });
+      const plate = await plateService.getPlateById('P1');
+      expect(plate.history.filter(entry => entry.action === 'work_finished')).toHaveLength(1);
+    });
+
+    test('partial finish keeps the order active until every plate is done', async () => {
+      await plateService.finishWork('P2', 'anna');
+      await service.createWorkOrder({
+        id: 'W6',
+        plates: [{ plateId: 'P1', role: 'secondary' }, { plateId: 'P2', role: 'primary' }]
+      });
+      await service.startWorkOrder('W6', null, 'anna');
+
+      expect(service.workOrders.get('W6').plateId).toBe('P2');
+      expect((await plateService.getPlateById('P1')).occupancy).toBe('in-use');
+
+      await service.finishWorkOrderPlate('W6', 'P1', 'anna');
+      expect(service.workOrders.get('W6').status).toBe('active');
+      expect((await plateService.getPlateById('P1')).occupancy).toBe('free');
+
+      await plateService.finishWork('P2', 'bela');
+      expect(service.workOrders.get('W6').status).toBe('completed');
+    });
+
+    test('plate sets need exactly one primary and no duplicates', async () => {
+      await expect(service.createWorkOrder({
+        id: 'W7',
+        plates: [{ plateId: 'P1', role: 'primary' }, { plateId: 'P1', role: 'primary' }]
+      })).rejects.toMatchObject({ status: 400 });
+      await expect(service.createWorkOrder({
+        id: 'W7',
+        plates: [{ plateId: 'P1', role: 'secondary' }, { plateId: 'P2', role: 'secondary' }]
+      })).rejects.toMatchObject({
+        status: 400,
+        details: { fields: [{ field: 'plates', message: 'Exactly one plate must be primary' }] }
+      });
+      expect(service.workOrders.has('W7')).toBe(false);
+    });
+
+    test('names must be valid work names and unique among open orders', async () => {
+      await expect(service.createWorkOrder({ id: '4969', name: 'Job 4969 fixture', plateId: 'P1' }))
+        .rejects.toMatchObject({ status: 400, details: { fields: [expect.objectContaining({ field: 'name' })] } });
+
+      await service.createWorkOrder({ id: '4969', name: 'W4969NS01', plateId: 'P1' });
+      await expect(service.createWorkOrder({ id: '4970', name: 'W4969NS01' })).rejects.toMatchObject({ status: 409 });
+
+      await service.startWorkOrder('4969', undefined, 'anna');
+      expect((await plateService.getPlateById('P1')).lastWorkName).toBe('W4969NS01');
+      await service.completeWorkOrder('4969', 'anna');
+      await expect(service.createWorkOrder({ id: '4970', name: 'W4969NS01' })).resolves.toMatchObject({ name: 'W4969NS01' });
+    });
+
+    test('plates must exist when creating or reassigning', async () => {
+      await expect(service.createWorkOrder({ id: 'W8', plateId: 'P9' })).rejects.toMatchObject({ status: 404 });
+      expect(service.workOrders.has('W8')).toBe(false);
+
+      await service.createWorkOrder({ id: 'W8', plateId: 'P1' });
+      await expect(service.updateWorkOrder('W8', { plateId: 'P9' })).rejects.toMatchObject({ status: 404 });
+      await expect(service.updateWorkOrder('W8', {
+        plates: [{ plateId: 'P1', role: 'primary' }, { plateId: 'P9' }]
+      })).rejects.toMatchObject({ status: 404 });
+
+      expect((await service.getWorkOrderById('W8')).plates.map(entry => entry.plateId)).toEqual(['P1']);
+    });
+  });
+
+  describe('plate hours', () => {
+    test('should sum the time each plate was in use', async () => {
+      const service = new WorkOrderService(createDataManagerMock({
+        workOrders: [{
+          id: 'W1',
+          status: 'completed',
+          plates: [
+            { plateId: 'P1', role: 'primary', status: 'finished', startDate: '2024-01-01T08:00:00.000Z', endDate: '2024-01-01T10:00:00.000Z' },
+            { plateId: 'P2', role: 'secondary', status: 'finished', startDate: '2024-01-01T08:00:00.000Z', endDate: '2024-01-01T09:30:00.000Z' }
+          ]
+        }]
+      }));
+      await service.initialize();
+
+      const stats = await service.getWorkOrderStats();
+
+      expect(stats.plateHoursByWorkOrder).toEqual({ W1: 3.5 });
+      expect(stats.totalPlateHours).toBe(3.5);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const path = require('path');
+
+jest.mock('../../config', () => ({
+  app: {},
+  plates: {},
+  getModelsDir: () => '/srv/plates/models'
+}));
+jest.mock('../../utils/Logger');
+
+const config = require('../../config');
+const { resolveModelsPath, sortModelsByRecency } = require('../convert_excel_to_json');
+
+describe('resolveModelsPath', () => {
+  afterEach(() => {
+    config.app.testMode = undefined;
+  });
+
+  test('should use the given folder', () => {
+    expect(resolveModelsPath('/data/models')).toBe(path.resolve('/data/models'));
+  });
+
+  test('should default to the configured models folder outside test mode', () => {
+    config.app.testMode = false;
+
+    expect(resolveModelsPath(null)).toBe('/srv/plates/models');
+  });
+
+  test('should default to the test models only in test mode', () => {
+    config.app.testMode = true;
+
+    expect(resolveModelsPath(null)).toBe(path.join(__dirname, '..', '..', 'data', 'test_source_data', 'models'));
+  });
+});
+
+describe('sortModelsByRecency', () => {
+  test('should put the newest model first and break ties by file name', () => {
+    const models = [
+      { fileName: 'b.step', modifiedTime: 100 },
+      { fileName: 'old.x_t', modifiedTime: 50 },
+      { fileName: 'a.step', modifiedTime: 100 },
+      { fileName: 'new.x_t', modifiedTime: 200 }
+    ];
+
+    expect(sortModelsByRecency(models).map(model => model.fileName)).toEqual(['new.x_t', 'a.step', 'b.step', 'old.x_t']);
+    expect(models[0].fileName).toBe('b.step');
+  });
+});
@@ -14,9 +14,24 @@ const config = require("../config");
 const ExcelProcessor = require("../utils/ExcelProcessor");
 const ImageExtractor = require("../utils/ImageExtractor");
 const ModelFolderValidator = require("../utils/ModelFolderValidator");
+const ModelMetadataReader = require("../utils/ModelMetadataReader");
+const ModelRevisionStore = require("../utils/ModelRevisionStore");
+const PlateDimensions = require("../utils/PlateDimensions");
+const ServiceError = require("../utils/ServiceError");
+const DataManager = require("./DataManager");
 const { logInfo, logError, logWarn } = require("../utils/Logger");
 
-async function convertExcelToJson(inputExcelPath = null, modelsPath = null) {
+/**
+ * Parse the workbook and model folders into plate records without touching
+ * the inventory
+ * @param {string|null} inputExcelPath - Excel file (defaults to the test workbook)
+ * @param {string|null} modelsPath - Models folder (see resolveModelsPath)
+ * @param {Object} options
+ * @param {boolean} [options.dryRun=false] - Do not write preview images
+ * @param {boolean} [options.skipInvalidFolders=false] - Leave models in invalid folders unlinked
+ * @returns {Promise<{excelPath: string, modelsPath: string, plates: Array, validationIssues: Array, validationReport: Object}>}
+ */
+async function parseInventory(inputExcelPath = null, modelsPath = null, { dryRun = false, skipInvalidFolders = false } = {}) {
   const testSourceDataDir = path.join(
     __dirname,
     "..",
@@ -25,87 +40,143 @@ async function convertExcelToJson(inputExcelPath = null, modelsPath = null) {
   );
   const permanentDir = config.getPermanentDataDir();
 
+  // 1. Source Excel file - flexible path or default test location
+  let excelPath;
+  if (inputExcelPath) {
+    // Use provided path
+    excelPath = path.resolve(inputExcelPath);
+    logInfo("Using provided Excel file", { excelPath });
+  } else {
+    // Default to test source data location for development/testing
+    excelPath = path.join(testSourceDataDir, "info", "Készülékek.xlsx");
+    logInfo("Using default test Excel file", { excelPath });
+  }
+
+  // 2. Process Excel file directly (no temp copy needed in read-only mode)
+  logInfo("Processing Excel file", { filePath: excelPath });
+  const mapping = await ExcelProcessor.loadColumnMapping(config.getConfigDataPath());
+  const processor = new ExcelProcessor({ mapping });
+  const excelData = await processor.processExcelFile(excelPath);
+
+  // 3. Extract preview images using ExcelJS
+  const imageExtractor = new ImageExtractor();
+  const imageMap = await imageExtractor.extractImages(
+    excelPath,
+    permanentDir,
+    { dryRun, plates: excelData }
+  );
+  const imageReport = imageExtractor.getReport();
+  logInfo("Preview image extraction completed", {
+    extractedCount: Object.keys(imageMap).length,
+    unmatched: imageReport.unmatched.length,
+    conflicts: imageReport.conflicts.length,
+    dryRun,
+  });
+
+  // 5. Validate each plate folder and scan it for model files
+  const modelScanPath = resolveModelsPath(modelsPath);
+  const scanResult = await scanModelFiles(modelScanPath, { skipInvalidFolders });
+
+  // 6. Match plates to models
+  const dimensionWarnings = [];
+  const plates = await matchPlatesWithModels(
+    excelData,
+    scanResult.modelFiles,
+    imageMap,
+    dimensionWarnings
+  );
+
+  // 7. Keep a copy of every model version so an overwritten file can be restored
+  if (!dryRun) {
+    const archived = await new ModelRevisionStore().archiveModelFiles(scanResult.modelFiles);
+    logInfo("Archived model revisions", { archived });
+  }
+
+  return {
+    excelPath,
+    modelsPath: modelScanPath,
+    plates,
+    imageReport,
+    workHistoryIssues: processor.getStats().workHistoryIssues,
+    dimensionWarnings,
+    validationIssues: scanResult.validationIssues,
+    validationReport: scanResult.validationReport,
+  };
+}
+
+/**
+ * Models folder to scan when none is given: the test models in test mode,
+ * otherwise the configured models folder - never test data in production
+ * @param {string|null} modelsPath - Models folder from the caller
+ * @returns {string} Absolute models folder
+ */
+function resolveModelsPath(modelsPath = null) {
+  if (modelsPath) {
+    return path.resolve(modelsPath);
+  }
+
+  const defaultPath = config.app.testMode
+    ? path.join(__dirname, "..", "data", "test_source_data", "models")
+    : config.getModelsDir();
+  logInfo("Using default models folder", { modelsPath: defaultPath, testMode: Boolean(config.app.testMode) });
+  return defaultPath;
+}
+
+/**
+ * Save the model validation report when it has issues and stop the import
+ * unless invalid folders are skipped
+ * @param {Object} validationReport - From parseInventory
+ * @param {Object} options
+ * @param {boolean} [options.skipInvalidFolders=false]
+ * @returns {Promise<string|null>} Path of the saved report, null when there were no issues
+ * @throws {ServiceError} 422 with { validationReport, reportPath }
+ */
+async function enforceModelValidation(validationReport, { skipInvalidFolders = false } = {}) {
+  if (validationReport.valid) {
+    return null;
+  }
+
+  const reportPath = await new DataManager().saveReport("model_validation", validationReport);
+  if (skipInvalidFolders) {
+    return reportPath;
+  }
+
+  console.error("\n🛑 Processing stopped due to model folder issues.");
+  console.error(`Report saved to ${reportPath}`);
+  console.error("Fix the folders above, or run again skipping invalid folders.\n");
+  throw ServiceError.unprocessable(
+    `Model folder validation failed: ${validationReport.invalidFolders} invalid folder(s)`,
+    { validationReport, reportPath }
+  );
+}
+
+/**
+ * Convert the workbook and model folders into a new inventory JSON file
+ * Invalid model folders stop the conversion with a 422 ServiceError carrying
+ * the validation report, unless skipInvalidFolders is set; either way the
+ * report is saved under reports/
+ * @param {string|null} inputExcelPath - Excel file (defaults to the test workbook)
+ * @param {string|null} modelsPath - Models folder (see resolveModelsPath)
+ * @param {Object} options
+ * @param {boolean} [options.skipInvalidFolders=false] - Continue without the models of invalid folders
+ * @returns {Promise<Object>} { success, platesProcessed, modelsLinked, outputPath, jsonConfig, validationReport, reportPath }
+ */
+async function convertExcelToJson(inputExcelPath = null, modelsPath = null, { skipInvalidFolders = false } = {}) {
+  const permanentDir = config.getPermanentDataDir();
+
   try {
     logInfo("Starting Excel to JSON conversion process");
 
-    // 1. Source Excel file - flexible path or default test location
-    let excelPath;
-    if (inputExcelPath) {
-      // Use provided path
-      excelPath = path.resolve(inputExcelPath);
-      logInfo("Using provided Excel file", { excelPath });
-    } else {
-      // Default to test source data location for development/testing
-      excelPath = path.join(testSourceDataDir, "info", "Készülékek.xlsx");
-      logInfo("Using default test Excel file", { excelPath });
-    }
+    const inventory = await parseInventory(inputExcelPath, modelsPath, { skipInvalidFolders });
+    const { validationReport } = inventory;
+    const reportPath = await enforceModelValidation(validationReport, { skipInvalidFolders });
 
-    // 2. Process Excel file directly (no temp copy needed in read-only mode)
-    logInfo("Processing Excel file", { filePath: excelPath });
-    const processor = new ExcelProcessor();
-    const excelData = await processor.processExcelFile(excelPath);
-
-    // 3. Extract preview images using ExcelJS
-    const imageExtractor = new ImageExtractor();
-    const imageMap = await imageExtractor.extractImages(
-      excelPath,
-      permanentDir
-    );
-    logInfo("Preview image extraction completed", {
-      extractedCount: Object.keys(imageMap).length,
+    const plateConfig = inventory.plates;
+    const importDate = new Date();
+    plateConfig.forEach((plate) => {
+      plate.modelRevisions = ModelRevisionStore.addRevisions([], plate.modelFiles, { user: "import", date: importDate });
     });
 
-    // 5. Validate model folder structure before processing
-    const modelScanPath = modelsPath || path.join(testSourceDataDir, "models");
-    const modelsSubPath = path.join(modelScanPath, "models");
-    
-    try {
-      await fs.access(modelsSubPath);
-      logInfo("Validating model folder structure", { path: modelsSubPath });
-      const validator = new ModelFolderValidator();
-      const validationResult = await validator.validateModelFolders(modelsSubPath);
-      
-      if (!validationResult.valid) {
-        const errorMessage = validator.formatIssuesForDisplay(validationResult.issues);
-        console.error("\n" + errorMessage);
-        logError("Model folder validation failed", {
-          invalidFolders: validationResult.invalidFolders,
-          issues: validationResult.issues,
-        });
-        throw new Error("Model folder validation failed - fix folder structure and try again");
-      }
-      
-      logInfo("Model folder validation passed", {
-        totalFolders: validationResult.totalFolders,
-        validFolders: validationResult.validFolders,
-      });
-    } catch (error) {
-      if (error.code === "ENOENT") {
-        logWarn("No models subfolder found, skipping validation", { path: modelsSubPath });
-      } else {
-        throw error;
-      }
-    }
-    
-    // 6. Scan for model files
-    const scanResult = await scanModelFiles(modelScanPath);
-    
-    // Check for validation issues
-    if (scanResult.validationIssues && scanResult.validationIssues.length > 0) {
-      console.error('\n🛑 Processing stopped due to validation errors.');
-      console.error('Fix the issues above and run the conversion again.\n');
-      process.exit(1);
-    }
-    
-    const modelFiles = scanResult.modelFiles;
-
-    // 7. Match plates to models
-    const plateConfig = await matchPlatesWithModels(
-      excelData,
-      modelFiles,
-      imageMap
-    );
-
     // 8. Generate JSON config
     const jsonConfig = generateJsonConfig(plateConfig);
 
@@ -139,6 +210,8 @@ async function convertExcelToJson(inputExcelPath = null, modelsPath = null) {
       modelsLinked: plateConfig.filter((p) => p.currentModelFile).length,
       outputPath,
       jsonConfig,
+      validationReport,
+      reportPath,
     };
   } catch (error) {
     logError("Conversion failed", { error: error.message });
@@ -147,7 +220,7 @@ async function convertExcelToJson(inputExcelPath = null, modelsPath = null) {
   }
 }
 
-async function matchPlatesWithModels(excelData, modelFiles, imageMap = {}) {
+async function matchPlatesWithModels(excelData, modelFiles, imageMap = {}, dimensionWarnings = []) {
   const plateConfig = [];
 
   for (const plateData of excelData) {
@@ -173,13 +246,14 @@ async function matchPlatesWithModels(excelData, modelFiles, imageMap = {}) {
       specifications: {},
       previewImage: imageMap[plateData.plateNumber] || null, // Link to extracted preview image
       excelSource: plateData.source,
+      lastImportDate: new Date().toISOString(),
     };
 
     // Use strict plate number to model folder matching ONLY
     // Only match if exact folder exists: plate 2 → folder 2, plate 5 → folder 5
     // No fallback matching to prevent cross-contamination
     const plateNumber = plateData.plateNumber;
-    let matches = modelFiles.filter((m) => m.folder === plateNumber);
+    let matches = sortModelsByRecency(modelFiles.filter((m) => m.folder === plateNumber));
 
     if (matches.length > 0) {
       plate.currentModelFile = matches[0].relativePath;
@@ -187,6 +261,7 @@ async function matchPlatesWithModels(excelData, modelFiles, imageMap = {}) {
         fileName: m.fileName,
         relativePath: m.relativePath,
         isPrimary: m === matches[0],
+        ...m.metadata,
       }));
     } else {
       // No fallback - document that this plate has no model folder
@@ -195,6 +270,8 @@ async function matchPlatesWithModels(excelData, modelFiles, imageMap = {}) {
       plate.modelStatus = `No model folder found for plate ${plateNumber}`;
     }
 
+    applyDimensions(plate, matches, dimensionWarnings);
+
     plateConfig.push(plate);
   }
 
@@ -217,6 +294,30 @@ async function matchPlatesWithModels(excelData, modelFiles, imageMap = {}) {
   return plateConfig;
 }
 
+/**
+ * Fill dimensions and boxSize from the bounding box of the plate's models
+ * (primary first); the Excel box size is kept only when no geometry is
+ * available, and a warning is added when the two disagree
+ */
+function applyDimensions(plate, models, warnings) {
+  const excelDimensions = PlateDimensions.parseBoxSize(plate.boxSize);
+  const model = models.find((m) => m.metadata && m.metadata.boundingBox);
+
+  if (!model) {
+    plate.dimensions = excelDimensions;
+    return;
+  }
+
+  plate.dimensions = PlateDimensions.fromBoundingBox(model.metadata.boundingBox, model.relativePath);
+  const boxSize = PlateDimensions.formatBoxSize(plate.dimensions);
+  if (excelDimensions && PlateDimensions.differ(excelDimensions, plate.dimensions)) {
+    warnings.push(
+      `Plate ${plate.plateNumber}: Excel box size ${plate.boxSize} differs from ${boxSize} measured in ${model.relativePath}`
+    );
+  }
+  plate.boxSize = boxSize;
+}
+
 function findModelMatchesByWorkHistory(workProjects, modelFiles) {
   const matches = [];
 
@@ -248,97 +349,86 @@ function findModelMatchesByWorkHistory(workProjects, modelFiles) {
   return matches;
 }
 
-async function scanModelFiles(modelsDir) {
-  // modelsDir is already the full path to the models directory
-  const modelFiles = [];
-  const validationIssues = [];
-
+/**
+ * Size, SHA-256 and STEP/IGES header of a model file
+ * A file that cannot be read is still listed, with the reason
+ */
+async function readModelMetadata(filePath) {
   try {
-    const folders = await fs.readdir(modelsDir);
-
-    for (const folder of folders) {
-      const folderPath = path.join(modelsDir, folder);
-      const stat = await fs.stat(folderPath);
-
-      if (stat.isDirectory()) {
-        const files = await fs.readdir(folderPath);
-        const modelFormats = [".x_t", ".step", ".stp", ".iges", ".igs", ".dwg"];
-        const imageFormats = [".jpg", ".jpeg", ".png", ".bmp", ".gif"];
-
-        const models = [];
-        const images = [];
-
-        for (const file of files) {
-          const ext = path.extname(file).toLowerCase();
-          if (modelFormats.includes(ext)) {
-            models.push(file);
-            modelFiles.push({
-              folder,
-              fileName: file,
-              relativePath: `${folder}/${file}`,
-              fullPath: path.join(folderPath, file),
-            });
-          } else if (imageFormats.includes(ext)) {
-            images.push(file);
-          }
-        }
+    return await new ModelMetadataReader().read(filePath);
+  } catch (error) {
+    logWarn("Could not read model metadata", { filePath, error: error.message });
+    return { metadataError: error.message };
+  }
+}
 
-        // Validate: each folder should have exactly 1 model and 1 image
-        if (models.length === 0) {
-          validationIssues.push({
-            type: 'MISSING_MODEL',
-            folder,
-            message: `No 3D model file found in folder "${folder}"`
-          });
-        } else if (models.length > 1) {
-          validationIssues.push({
-            type: 'MULTIPLE_MODELS',
-            folder,
-            models,
-            message: `Multiple model files (${models.length}) found in folder "${folder}": ${models.join(', ')}`
-          });
-        }
+/**
+ * Validate the plate folders and collect their model files
+ * Every folder must hold exactly one model and one preview image; problems are
+ * reported, never fatal. With skipInvalidFolders the models of invalid
+ * folders are left out so their plates stay unlinked
+ * @param {string} modelsDir - Models folder, one sub-folder per plate
+ * @param {Object} options
+ * @param {boolean} [options.skipInvalidFolders=false]
+ * @returns {Promise<{modelFiles: Array, validationIssues: Array, validationReport: Object}>}
+ *   validationIssues lists each finding as { folder, type, message, files, suggestedFix, skipped }
+ */
+async function scanModelFiles(modelsDir, { skipInvalidFolders = false } = {}) {
+  const validator = new ModelFolderValidator();
+  const validationReport = await validator.validateModelFolders(modelsDir, { skipInvalidFolders });
+  if (validationReport.error) {
+    logWarn("Failed to scan model files", { error: validationReport.error });
+  }
 
-        if (images.length === 0) {
-          validationIssues.push({
-            type: 'MISSING_IMAGE',
-            folder,
-            message: `No preview image found in folder "${folder}"`
-          });
-        } else if (images.length > 1) {
-          validationIssues.push({
-            type: 'MULTIPLE_IMAGES',
-            folder,
-            images,
-            message: `Multiple images (${images.length}) found in folder "${folder}": ${images.join(', ')}`
-          });
-        }
-      }
+  const modelFiles = [];
+  for (const { folder, skipped, modelFiles: fileNames } of validationReport.folders) {
+    if (skipped) {
+      continue;
+    }
+    for (const fileName of fileNames) {
+      const fullPath = path.join(modelsDir, folder, fileName);
+      modelFiles.push({
+        folder,
+        fileName,
+        relativePath: `${folder}/${fileName}`,
+        fullPath,
+        modifiedTime: (await fs.stat(fullPath)).mtimeMs,
+        metadata: await readModelMetadata(fullPath),
+      });
     }
+  }
 
-    logInfo("Scanned model files", { filesFound: modelFiles.length, issues: validationIssues.length });
-    
-    if (validationIssues.length > 0) {
-      console.error('\n⚠️  VALIDATION ISSUES FOUND:\n');
-      for (const issue of validationIssues) {
-        console.error(`  ❌ [${issue.type}] ${issue.message}`);
-      }
-      console.error('\n📋 Summary:');
-      console.error(`  • Missing models: ${validationIssues.filter(i => i.type === 'MISSING_MODEL').length}`);
-      console.error(`  • Multiple models: ${validationIssues.filter(i => i.type === 'MULTIPLE_MODELS').length}`);
-      console.error(`  • Missing images: ${validationIssues.filter(i => i.type === 'MISSING_IMAGE').length}`);
-      console.error(`  • Multiple images: ${validationIssues.filter(i => i.type === 'MULTIPLE_IMAGES').length}`);
-      console.error('\n💡 Please fix these issues and reprocess.\n');
-      
-      // Return issues for caller to handle
-      return { modelFiles, validationIssues };
+  const validationIssues = validationReport.issues.flatMap((issue) =>
+    issue.findings.map((finding) => ({
+      folder: issue.folder,
+      ...finding,
+      skipped: skipInvalidFolders,
+    }))
+  );
+
+  logInfo("Scanned model files", { filesFound: modelFiles.length, issues: validationIssues.length });
+
+  if (validationIssues.length > 0) {
+    console.error("\n⚠️  " + validator.formatIssuesForDisplay(validationReport.issues));
+    if (skipInvalidFolders) {
+      console.error(`⏭️  Skipping ${validationReport.skippedFolders.length} invalid folder(s): ${validationReport.skippedFolders.join(", ")}\n`);
     }
-    
-    return { modelFiles, validationIssues: [] };
-  } catch (error) {
-    logWarn("Failed to scan model files", { error: error.message });
-    return { modelFiles: [], validationIssues: [] };
   }
+
+  return { modelFiles, validationIssues, validationReport };
+}
+
+/**
+ * Order the models of a plate folder so the primary one comes first
+ * The most recently modified model is primary; equal times fall back to the
+ * file name so the choice does not depend on directory order
+ * @param {Array<{fileName: string, modifiedTime: number}>} models
+ * @returns {Array} New array, newest first
+ */
+function sortModelsByRecency(models) {
+  return [...models].sort((a, b) =>
+    (b.modifiedTime || 0) - (a.modifiedTime || 0) || a.fileName.localeCompare(b.fileName)
+  );
 }
 
 function findModelMatches(shelf, modelFiles) {
@@ -447,7 +537,12 @@ if (require.main === module) {
     process.exit(1);
   }
 
-  convertExcelToJson(inputExcelPath, modelsPath);
+  convertExcelToJson(inputExcelPath, modelsPath).catch(() => process.exit(1));
 }
 
 module.exports = convertExcelToJson;
+module.exports.parseInventory = parseInventory;
+module.exports.enforceModelValidation = enforceModelValidation;
+module.exports.resolveModelsPath = resolveModelsPath;
+module.exports.readModelMetadata = readModelMetadata;
+module.exports.sortModelsByRecency = sortModelsByRecency;
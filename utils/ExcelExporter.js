@@ -0,0 +1,267 @@
+// utils/ExcelExporter.js
+/**
+ * Excel export utility for ClampingPlateManager
+ * Writes the inventory back into the Készülékek.xlsx layout that
+ * ExcelProcessor reads, so an exported workbook imports unchanged
+ */
+
+const ExcelJS = require("exceljs");
+const fs = require("fs").promises;
+const path = require("path");
+const { logInfo, logWarn } = require("./Logger");
+const ExcelProcessor = require("./ExcelProcessor");
+
+/**
+ * Header text written for each column, matched by ExcelProcessor's detection
+ */
+const HEADER_TITLES = {
+  plateNumber: "Készülék szám",
+  workHistory: "Projekt",
+  shelfNumber: "Raktár/polc",
+  previewImage: "Kép",
+  boxSize: "Méret",
+};
+
+/**
+ * Fill ExcelProcessor.hasRedBackground reads as a locked plate
+ */
+const LOCKED_FILL = { type: "pattern", pattern: "solid", fgColor: { argb: "FFFF0000" } };
+
+const IMAGE_EXTENSIONS = { ".png": "png", ".jpg": "jpeg", ".jpeg": "jpeg", ".gif": "gif" };
+
+class ExcelExporter {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.mapping] - Column mapping (see ExcelProcessor.loadColumnMapping)
+   * @param {string} [options.previewsDir] - Folder holding the preview images to embed
+   */
+  constructor(options = {}) {
+    this.mapping = options.mapping || null;
+    this.previewsDir = options.previewsDir || null;
+  }
+
+  /**
+   * Write the workbook to a file
+   * @param {Array} plates - Plates to export
+   * @param {string} outputPath - Target .xlsx path
+   * @returns {Promise<Object>} Export stats
+   */
+  async writeFile(plates, outputPath) {
+    const { workbook, stats } = await this.buildWorkbook(plates);
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await workbook.xlsx.writeFile(outputPath);
+
+    logInfo("Inventory exported to Excel", { outputPath, ...stats });
+    return { outputPath, ...stats };
+  }
+
+  /**
+   * Write the workbook to a buffer
+   * @param {Array} plates - Plates to export
+   * @returns {Promise<{buffer: Buffer, stats: Object}>}
+   */
+  async writeBuffer(plates) {
+    const { workbook, stats } = await this.buildWorkbook(plates);
+    const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+    logInfo("Inventory exported to Excel", stats);
+    return { buffer, stats };
+  }
+
+  /**
+   * Build the workbook: one row per work history entry, with the plate
+   * number, shelf, image and size cells merged over the plate's rows
+   * Deleted plates and plates flagged removedFromExcel are left out
+   * @param {Array} plates - Plates to export
+   * @returns {Promise<{workbook: ExcelJS.Workbook, stats: Object}>}
+   */
+  async buildWorkbook(plates) {
+    const mapping = this.mapping || {};
+    const headerRow = mapping.headerRow || 1;
+    const columns = this.resolveColumns(mapping.columns || {});
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet(mapping.sheetName || "Sheet1");
+
+    if (headerRow > 1) {
+      worksheet.getCell(1, 1).value = "Készülékek";
+    }
+    for (const [field, column] of Object.entries(columns)) {
+      const cell = worksheet.getCell(headerRow, column.index + 1);
+      cell.value = column.header;
+      cell.font = { bold: true };
+      worksheet.getColumn(column.index + 1).width = field === "workHistory" ? 40 : 16;
+    }
+
+    const exported = plates
+      .filter((plate) => !plate.deleted && !plate.removedFromExcel && plate.plateNumber)
+      .sort((a, b) =>
+        String(a.plateNumber).localeCompare(String(b.plateNumber), undefined, { numeric: true })
+      );
+
+    let rowNumber = headerRow + 1;
+    let imageCount = 0;
+
+    for (const plate of exported) {
+      const entries = this.getWorkHistoryEntries(plate);
+      const firstRow = rowNumber;
+      const lastRow = rowNumber + entries.length - 1;
+
+      entries.forEach((entry, index) => {
+        worksheet.getCell(firstRow + index, columns.workHistory.index + 1).value = entry;
+      });
+
+      const plateNumber = String(plate.plateNumber);
+      this.writeMergedCell(
+        worksheet,
+        columns.plateNumber.index,
+        firstRow,
+        lastRow,
+        /^\d+$/.test(plateNumber) ? Number(plateNumber) : plateNumber
+      );
+      this.writeMergedCell(worksheet, columns.shelfNumber.index, firstRow, lastRow, this.knownValue(plate.shelfNumber || plate.shelf));
+      this.writeMergedCell(worksheet, columns.boxSize.index, firstRow, lastRow, this.knownValue(plate.boxSize));
+      this.writeMergedCell(worksheet, columns.previewImage.index, firstRow, lastRow, null);
+
+      if (plate.isLocked) {
+        worksheet.getCell(firstRow, columns.plateNumber.index + 1).fill = LOCKED_FILL;
+      }
+
+      if (await this.embedPreviewImage(workbook, worksheet, plate, columns.previewImage.index, firstRow, lastRow)) {
+        imageCount++;
+      }
+
+      rowNumber = lastRow + 1;
+    }
+
+    return {
+      workbook,
+      stats: {
+        plateCount: exported.length,
+        rowCount: rowNumber - headerRow - 1,
+        imageCount,
+        skippedPlates: plates.length - exported.length,
+      },
+    };
+  }
+
+  /**
+   * Resolve the column of every import field from the mapping
+   * Letters and indexes are used as given; a mapped header text keeps the
+   * field's default position and becomes the header written. A field left at
+   * its default moves to the first free column when a mapped field took it
+   * @returns {Object} field -> { index, header }
+   * @throws {Error} When two fields are mapped to the same column
+   */
+  resolveColumns(mappedColumns) {
+    const processor = new ExcelProcessor();
+    const columns = {};
+    const taken = new Map();
+
+    ExcelProcessor.IMPORT_FIELDS.forEach((field) => {
+      const spec = mappedColumns[field];
+      const index = spec === undefined || spec === null ? null : processor.resolveColumn(spec, []);
+      if (index === null) {
+        return;
+      }
+      if (taken.has(index)) {
+        throw new Error(
+          `Invalid Excel mapping: ${taken.get(index)} and ${field} both map to column ${processor.columnLetter(index)}`
+        );
+      }
+      taken.set(index, field);
+      columns[field] = { index, header: HEADER_TITLES[field] };
+    });
+
+    ExcelProcessor.IMPORT_FIELDS.forEach((field, defaultIndex) => {
+      if (columns[field]) {
+        return;
+      }
+      let index = defaultIndex;
+      if (taken.has(index)) {
+        index = 0;
+        while (taken.has(index)) {
+          index++;
+        }
+        logWarn("Export column moved to a free column", { field, column: processor.columnLetter(index) });
+      }
+      taken.set(index, field);
+      const spec = mappedColumns[field];
+      columns[field] = { index, header: spec ? String(spec) : HEADER_TITLES[field] };
+    });
+
+    return columns;
+  }
+
+  /**
+   * Work history entries of a plate, one per row (at least one row per plate)
+   */
+  getWorkHistoryEntries(plate) {
+    let entries = plate.workHistoryEntries;
+    if (!Array.isArray(entries) || entries.length === 0) {
+      entries = String(plate.workHistory || "").split("; ");
+    }
+    entries = entries.map((entry) => String(entry).trim()).filter(Boolean);
+    return entries.length > 0 ? entries : [""];
+  }
+
+  /**
+   * Write a value into a column, merged over the plate's rows
+   */
+  writeMergedCell(worksheet, columnIndex, firstRow, lastRow, value) {
+    const column = columnIndex + 1;
+    if (lastRow > firstRow) {
+      worksheet.mergeCells(firstRow, column, lastRow, column);
+    }
+    const cell = worksheet.getCell(firstRow, column);
+    cell.value = value;
+    cell.alignment = { vertical: "middle" };
+  }
+
+  /**
+   * The importer fills blanks with "Unknown" - write those back as blanks
+   */
+  knownValue(value) {
+    return value && value !== "Unknown" ? value : null;
+  }
+
+  /**
+   * Embed the plate's preview image over its image cells
+   * Missing files and empty placeholders are skipped
+   * @returns {Promise<boolean>} True when an image was embedded
+   */
+  async embedPreviewImage(workbook, worksheet, plate, columnIndex, firstRow, lastRow) {
+    if (!this.previewsDir || !plate.previewImage) {
+      return false;
+    }
+
+    const extension = IMAGE_EXTENSIONS[path.extname(plate.previewImage).toLowerCase()];
+    if (!extension) {
+      logWarn("Preview image format cannot be embedded", { plateNumber: plate.plateNumber, previewImage: plate.previewImage });
+      return false;
+    }
+
+    let buffer;
+    try {
+      buffer = await fs.readFile(path.join(this.previewsDir, path.basename(plate.previewImage)));
+    } catch (error) {
+      logWarn("Preview image not found for export", { plateNumber: plate.plateNumber, previewImage: plate.previewImage });
+      return false;
+    }
+    if (buffer.length === 0) {
+      return false;
+    }
+
+    const imageId = workbook.addImage({ buffer, extension });
+    worksheet.addImage(imageId, {
+      tl: { col: columnIndex, row: firstRow - 1 },
+      br: { col: columnIndex + 1, row: lastRow },
+      editAs: "oneCell",
+    });
+    return true;
+  }
+}
+
+ExcelExporter.HEADER_TITLES = HEADER_TITLES;
+
+module.exports = ExcelExporter;
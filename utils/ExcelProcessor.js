@@ -8,12 +8,84 @@ const ExcelJS = require("exceljs");
 const fs = require("fs").promises;
 const path = require("path");
 const { logInfo, logError, logWarn } = require("./Logger");
+const WorkHistoryParser = require("./WorkHistoryParser");
+
+/**
+ * Fields the importer reads from the workbook
+ */
+const IMPORT_FIELDS = ["plateNumber", "workHistory", "shelfNumber", "previewImage", "boxSize"];
+
+/**
+ * Fields an import cannot run without unless the mapping overrides them
+ */
+const DEFAULT_REQUIRED_COLUMNS = ["plateNumber", "workHistory", "shelfNumber"];
+
+/**
+ * Header keywords used when a column is not mapped explicitly
+ */
+const HEADER_KEYWORDS = {
+  plateNumber: ["készülék", "szám", "number", "equipment"],
+  workHistory: ["projekt", "project", "work"],
+  shelfNumber: ["raktár", "polc", "shelf", "storage"],
+  previewImage: ["kép", "image", "preview", "előnézet"],
+  boxSize: ["méret", "box", "size"],
+};
 
 class ExcelProcessor {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.mapping] - Column mapping (see loadColumnMapping)
+   */
+  constructor(options = {}) {
     this.workbook = null;
     this.worksheets = {};
     this.plateData = [];
+    this.mapping = options.mapping || null;
+    this.importReport = [];
+    this.workHistoryIssues = [];
+  }
+
+  /**
+   * Load the column mapping from the dataSource section of config.json
+   * dataSource.columns maps import fields to a column letter ("A"), a 0-based
+   * index or the header text; dataSource.mappingFile (relative to config.json)
+   * may hold the same keys and overrides them
+   * @param {string} configFilePath - Path to config.json
+   * @returns {Promise<Object|null>} { sheetName, headerRow, columns, requiredColumns } or null
+   */
+  static async loadColumnMapping(configFilePath) {
+    let dataSource;
+    try {
+      const configData = JSON.parse(await fs.readFile(configFilePath, "utf8"));
+      dataSource = configData.dataSource;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        logWarn("No config file for Excel column mapping, detecting columns", { configFilePath });
+        return null;
+      }
+      throw new Error(`Invalid Excel mapping config ${configFilePath}: ${error.message}`);
+    }
+
+    if (!dataSource) {
+      return null;
+    }
+
+    let mapping = { ...dataSource };
+    if (dataSource.mappingFile) {
+      const mappingPath = path.resolve(path.dirname(configFilePath), dataSource.mappingFile);
+      try {
+        mapping = { ...mapping, ...JSON.parse(await fs.readFile(mappingPath, "utf8")) };
+      } catch (error) {
+        throw new Error(`Cannot read Excel mapping file ${mappingPath}: ${error.message}`);
+      }
+    }
+
+    return {
+      sheetName: mapping.sheetName || null,
+      headerRow: mapping.headerRow || null,
+      columns: mapping.columns || {},
+      requiredColumns: mapping.requiredColumns || DEFAULT_REQUIRED_COLUMNS,
+    };
   }
 
   /**
@@ -30,12 +102,37 @@ class ExcelProcessor {
       await workbook.xlsx.readFile(excelFilePath);
       this.workbook = workbook;
 
-      // Process all worksheets
-      const sheetNames = workbook.worksheets.map(ws => ws.name);
+      // Process the configured worksheet, or all of them
+      let sheetNames = workbook.worksheets.map(ws => ws.name);
       logInfo(`Found ${sheetNames.length} worksheets`, { sheetNames });
 
+      const configuredSheet = this.mapping && this.mapping.sheetName;
+      const singleSheet = Boolean(configuredSheet) && sheetNames.includes(configuredSheet);
+      if (singleSheet) {
+        sheetNames = [configuredSheet];
+      } else if (configuredSheet) {
+        logWarn("Configured worksheet not found, processing all worksheets", {
+          sheetName: configuredSheet,
+          sheetNames,
+        });
+      }
+
+      // When every sheet is read, sheets without the plate columns (notes,
+      // lookups...) are skipped; the import fails only if no sheet has them
+      const skipped = [];
       for (const sheetName of sheetNames) {
-        await this.processWorksheet(sheetName);
+        try {
+          await this.processWorksheet(sheetName);
+        } catch (error) {
+          if (singleSheet || error.code !== "EEXCELCOLUMNS") {
+            throw error;
+          }
+          logWarn("Skipping worksheet without the plate columns", { sheetName, error: error.message });
+          skipped.push(error);
+        }
+      }
+      if (skipped.length > 0 && skipped.length === sheetNames.length) {
+        throw skipped[0];
       }
 
       logInfo(`Extracted ${this.plateData.length} plate records from Excel`);
@@ -45,7 +142,10 @@ class ExcelProcessor {
         error: error.message,
         filePath: excelFilePath,
       });
-      throw new Error(`Excel processing failed: ${error.message}`);
+      const processingError = new Error(`Excel processing failed: ${error.message}`);
+      processingError.code = error.code;
+      processingError.report = error.report;
+      throw processingError;
     }
   }
 
@@ -61,10 +161,13 @@ class ExcelProcessor {
         return;
       }
 
-      // Convert worksheet to array of arrays
+      // Convert worksheet to array of arrays, keeping the real row numbers
+      // because eachRow skips empty rows
       const jsonData = [];
-      worksheet.eachRow((row) => {
+      const rowNumbers = [];
+      worksheet.eachRow((row, rowNumber) => {
         jsonData.push(row.values.slice(1)); // Remove first empty element
+        rowNumbers.push(rowNumber);
       });
 
       if (jsonData.length === 0) {
@@ -72,19 +175,22 @@ class ExcelProcessor {
         return;
       }
 
-      // Find header row and extract column mapping
-      const headerInfo = this.findHeaderRow(jsonData);
-      if (!headerInfo) {
-        logWarn("No valid header row found", { sheetName });
-        return;
-      }
+      // Find header row and resolve the column mapping
+      const headerInfo = this.findHeaderRow(jsonData, rowNumbers, sheetName);
+      this.importReport.push({
+        sheetName,
+        headerRow: headerInfo.headerRow,
+        columnMap: headerInfo.columnMap,
+        columnSources: headerInfo.columnSources,
+      });
 
       // Process data rows and group by merged plates
       const dataRows = jsonData.slice(headerInfo.rowIndex + 1);
       const groupedPlates = this.groupRowsByMergedPlates(
         dataRows,
         headerInfo.columnMap,
-        sheetName
+        sheetName,
+        rowNumbers.slice(headerInfo.rowIndex + 1)
       );
 
       for (const plateData of groupedPlates) {
@@ -92,7 +198,7 @@ class ExcelProcessor {
       }
 
       logInfo(`Processed worksheet: ${sheetName}`, {
-        headerRow: headerInfo.rowIndex + 1,
+        headerRow: headerInfo.headerRow,
         dataRows: dataRows.length,
         validPlates: this.plateData.length,
       });
@@ -101,141 +207,187 @@ class ExcelProcessor {
         error: error.message,
         sheetName,
       });
+      if (error.code === "EEXCELCOLUMNS") {
+        // A wrong column map would import garbage - stop the import
+        throw error;
+      }
     }
   }
 
   /**
-   * Find header row in the data
+   * Find header row in the data and resolve the column mapping
+   * Columns come from the configured mapping; fields it leaves out are detected
+   * from the header text. Without a configured header row the first rows are
+   * scanned for the best matching header.
    * @param {Array} jsonData - Array of row arrays
-   * @returns {Object|null} Header information with row index and column mapping
+   * @param {Array<number>} [rowNumbers] - Excel row number of each entry in jsonData
+   * @param {string} [sheetName] - Worksheet name for the report
+   * @returns {Object} { rowIndex, headerRow, columnMap, columnSources }
+   * @throws {Error} code EEXCELCOLUMNS with a report when required columns are unresolved
    */
-  findHeaderRow(jsonData) {
-    // Based on your Excel structure:
-    // Column 0: Készülék szám (Equipment Number/Plate Number)
-    // Column 1: Projekt (Project/Work History)
-    // Column 2: Raktár/polc (Storage/Shelf Number)
-    // Column 3: Kép (Picture/Box Size)
-
-    const hungarianHeaders = [
-      "készülék",
-      "projekt",
-      "raktár",
-      "polc",
-      "kép",
-      "szám",
-    ];
-
-    for (
-      let rowIndex = 0;
-      rowIndex < Math.min(5, jsonData.length);
-      rowIndex++
-    ) {
-      const row = jsonData[rowIndex];
-      if (!row || row.length === 0) continue;
-
-      const columnMap = {};
-      let matchCount = 0;
-
-      for (let colIndex = 0; colIndex < row.length; colIndex++) {
-        const cellValue = String(row[colIndex]).toLowerCase().trim();
-
-        // Map specific Hungarian column headers
-        if (
-          this.matchesAny(cellValue, [
-            "készülék",
-            "szám",
-            "number",
-            "equipment",
-          ])
-        ) {
-          columnMap.plateNumber = colIndex;
-          matchCount++;
-        } else if (this.matchesAny(cellValue, ["projekt", "project", "work"])) {
-          columnMap.workHistory = colIndex;
-          matchCount++;
-        } else if (
-          this.matchesAny(cellValue, ["raktár", "polc", "shelf", "storage"])
-        ) {
-          columnMap.shelfNumber = colIndex;
-          matchCount++;
-        } else if (
-          this.matchesAny(cellValue, ["kép", "image", "box", "size", "méret"])
-        ) {
-          columnMap.boxSize = colIndex;
-          matchCount++;
+  findHeaderRow(jsonData, rowNumbers = null, sheetName = null) {
+    const mapping = this.mapping || {};
+    const columns = mapping.columns || {};
+    const requiredColumns = mapping.requiredColumns || DEFAULT_REQUIRED_COLUMNS;
+    const excelRowOf = (index) => (rowNumbers ? rowNumbers[index] : index + 1);
+
+    let rowIndex = -1;
+    if (mapping.headerRow) {
+      rowIndex = rowNumbers
+        ? rowNumbers.indexOf(mapping.headerRow)
+        : mapping.headerRow - 1;
+    } else {
+      let bestMatchCount = 0;
+      for (let index = 0; index < Math.min(5, jsonData.length); index++) {
+        const matchCount = Object.keys(this.detectColumns(jsonData[index])).length;
+        if (matchCount >= 2 && matchCount > bestMatchCount) {
+          bestMatchCount = matchCount;
+          rowIndex = index;
         }
+      }
+    }
 
-        // Legacy mapping for backward compatibility
-        else if (
-          this.matchesAny(cellValue, [
-            "polc",
-            "shelf",
-            "hely",
-            "location",
-            "pozíció",
-          ])
-        ) {
-          columnMap.shelf = colIndex; // Keep for compatibility
-          matchCount++;
-        } else if (
-          this.matchesAny(cellValue, ["kép", "image", "preview", "előnézet"])
-        ) {
-          columnMap.previewImage = colIndex; // Keep for compatibility
-          matchCount++;
-        } else if (this.matchesAny(cellValue, ["id", "azonosító", "sorszám"])) {
-          columnMap.id = colIndex; // Keep for compatibility
-          matchCount++;
+    const headerCells = rowIndex >= 0 && jsonData[rowIndex] ? jsonData[rowIndex] : [];
+    const detected = this.detectColumns(headerCells);
+    const columnMap = {};
+    const columnSources = {};
+    const unresolved = [];
+
+    for (const field of IMPORT_FIELDS) {
+      if (columns[field] !== undefined && columns[field] !== null) {
+        const index = this.resolveColumn(columns[field], headerCells);
+        if (index === null) {
+          unresolved.push({ field, configured: columns[field] });
+        } else {
+          columnMap[field] = index;
+          columnSources[field] = "config";
         }
+      } else if (detected[field] !== undefined) {
+        columnMap[field] = detected[field];
+        columnSources[field] = "detected";
       }
+    }
 
-      // OVERRIDE: Force correct column mapping based on user explanation
-      // The header detection is incorrect - use actual structure
-      if (matchCount >= 2) {
-        logInfo("Found header row but overriding with correct mapping", {
-          rowIndex: rowIndex + 1,
-          matchCount,
-          detectedColumnMap: columnMap,
-          correctedColumnMap: {
-            plateNumber: 0, // Column 0: Plate number (merged cells)
-            workHistory: 1, // Column 1: Work history
-            shelfNumber: 2, // Column 2: Shelf number
-            previewImage: 3, // Column 3: Preview image
-            boxSize: 4, // Column 4: Box size
-          },
-        });
-        return {
-          rowIndex: 2, // Start from row 3 (0-indexed), data starts at row 4
-          columnMap: {
-            plateNumber: 0,
-            workHistory: 1,
-            shelfNumber: 2,
-            previewImage: 3,
-            boxSize: 4,
-          },
-        };
-      }
+    const missing = requiredColumns.filter((field) => columnMap[field] === undefined);
+    if (rowIndex < 0 || missing.length > 0 || unresolved.length > 0) {
+      const report = {
+        sheetName,
+        headerRow: rowIndex >= 0 ? excelRowOf(rowIndex) : mapping.headerRow || null,
+        headerCells: headerCells.map((cell, index) => ({
+          column: this.columnLetter(index),
+          value: this.cellText(cell),
+        })),
+        resolved: columnMap,
+        missing,
+        unresolved,
+      };
+      const error = new Error(this.formatColumnReport(report));
+      error.code = "EEXCELCOLUMNS";
+      error.report = report;
+      throw error;
     }
 
-    // If no header row found, assume standard structure based on user description
-    logInfo("No header row found, using corrected column mapping", {
-      mapping:
-        "Col0=plateNumber, Col1=workHistory, Col2=shelfNumber, Col3=previewImage, Col4=boxSize",
+    logInfo("Resolved Excel column mapping", {
+      sheetName,
+      headerRow: excelRowOf(rowIndex),
+      columnMap,
+      columnSources,
     });
 
     return {
-      rowIndex: 2, // Start from row 3 (0-indexed), actual data starts at row 4 (1-indexed)
-      columnMap: {
-        plateNumber: 0, // Column 0: Plate number (merged cells, only in first row of each plate)
-        workHistory: 1, // Column 1: Work history/projects (multiple rows per plate)
-        shelfNumber: 2, // Column 2: Shelf number
-        previewImage: 3, // Column 3: Preview image
-        boxSize: 4, // Column 4: Base/bounding box size (only in first row of each plate)
-        // Backward compatibility
-        shelf: 2, // Map to shelfNumber
-      },
+      rowIndex,
+      headerRow: excelRowOf(rowIndex),
+      columnMap,
+      columnSources,
     };
   }
 
+  /**
+   * Detect columns from header text with the fuzzy keyword match
+   * The first matching column wins for each field
+   */
+  detectColumns(headerCells) {
+    const detected = {};
+    (headerCells || []).forEach((cell, colIndex) => {
+      const cellValue = this.cellText(cell).toLowerCase();
+      if (!cellValue) {
+        return;
+      }
+      const field = IMPORT_FIELDS.find(
+        (name) => detected[name] === undefined && this.matchesAny(cellValue, HEADER_KEYWORDS[name])
+      );
+      if (field) {
+        detected[field] = colIndex;
+      }
+    });
+    return detected;
+  }
+
+  /**
+   * Resolve a configured column: letter ("A"), 0-based index or header text
+   * @returns {number|null} 0-based column index
+   */
+  resolveColumn(spec, headerCells) {
+    if (Number.isInteger(spec) && spec >= 0) {
+      return spec;
+    }
+
+    const text = String(spec).trim();
+    if (/^[A-Z]{1,3}$/.test(text)) {
+      return text.split("").reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    }
+
+    const wanted = text.toLowerCase();
+    const index = headerCells.findIndex((cell) => this.cellText(cell).toLowerCase() === wanted);
+    return index >= 0 ? index : null;
+  }
+
+  /**
+   * Build a readable message for unresolved columns
+   */
+  formatColumnReport(report) {
+    const lines = [
+      `Cannot resolve required Excel columns${report.sheetName ? ` in sheet "${report.sheetName}"` : ""}`,
+    ];
+
+    if (report.headerRow === null) {
+      lines.push("  No header row found - set dataSource.headerRow in config.json");
+    } else {
+      lines.push(`  Header row ${report.headerRow}: ${report.headerCells
+        .map((cell) => `${cell.column}="${cell.value}"`)
+        .join(", ") || "(empty)"}`);
+    }
+
+    report.unresolved.forEach(({ field, configured }) => {
+      lines.push(`  ${field}: configured column "${configured}" not found in header`);
+    });
+    report.missing
+      .filter((field) => !report.unresolved.some((item) => item.field === field))
+      .forEach((field) => {
+        lines.push(`  ${field}: no matching header - map it in dataSource.columns`);
+      });
+
+    return lines.join("\n");
+  }
+
+  cellText(cell) {
+    if (cell === null || cell === undefined) {
+      return "";
+    }
+    if (typeof cell === "object" && cell.richText) {
+      return cell.richText.map((part) => part.text).join("").trim();
+    }
+    return String(cell).trim();
+  }
+
+  columnLetter(index) {
+    let letter = "";
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    }
+    return letter;
+  }
+
   /**
    * Check if a value matches any of the provided patterns
    */
@@ -402,9 +554,10 @@ class ExcelProcessor {
    * @param {Array} dataRows - Array of data rows
    * @param {Object} columnMap - Column mapping
    * @param {string} sheetName - Worksheet name
+   * @param {Array<number>} [rowNumbers] - Excel row number of each data row
    * @returns {Array} Array of grouped plate data
    */
-  groupRowsByMergedPlates(dataRows, columnMap, sheetName) {
+  groupRowsByMergedPlates(dataRows, columnMap, sheetName, rowNumbers = null) {
     const platesMap = new Map(); // Use Map to group by plate number
     let currentRowIndex = 2; // Start from row 2 (after header)
 
@@ -419,7 +572,7 @@ class ExcelProcessor {
 
     for (let i = 0; i < dataRows.length; i++) {
       const row = dataRows[i];
-      currentRowIndex++;
+      currentRowIndex = rowNumbers ? rowNumbers[i] : currentRowIndex + 1;
 
       // Skip completely empty rows
       if (
@@ -484,7 +637,11 @@ class ExcelProcessor {
       if (workHistory && workHistory !== "") {
         if (!plate.workHistory.includes(workHistory)) {
           plate.workHistory.push(workHistory);
-          const projects = this.parseWorkHistory(workHistory);
+          const projects = this.parseWorkHistory(workHistory, {
+            plateNumber,
+            worksheet: sheetName,
+            row: currentRowIndex,
+          });
           plate.workProjects.push(...projects);
         }
       }
@@ -524,44 +681,28 @@ class ExcelProcessor {
   }
 
   /**
-   * Parse work history to extract project codes and work orders
-   * @param {string} workHistory - Raw work history string (e.g., "A: -4961_061")
+   * Parse work history into structured project entries (see WorkHistoryParser)
+   * Entries the grammar cannot read are kept as text and collected in
+   * workHistoryIssues
+   * @param {string} workHistory - Raw work history string (e.g., "G: -4816AS05_083-084-285")
+   * @param {Object} [context] - Where the text came from, for the issue report
    * @returns {Array} Array of parsed work projects
    */
-  parseWorkHistory(workHistory) {
-    const projects = [];
-
+  parseWorkHistory(workHistory, context = {}) {
     try {
-      // Split by common separators and clean up
-      const parts = workHistory.split(/[,;]/).map((part) => part.trim());
-
-      for (const part of parts) {
-        // Match pattern like "A: -4961_061" or "G: -4816AS05_083-084-285"
-        const match = part.match(/^([A-Z]):\s*(.+)$/);
-        if (match) {
-          const [, projectCode, workOrder] = match;
-          projects.push({
-            projectCode,
-            workOrder: workOrder.trim(),
-            fullEntry: part,
-          });
-        } else if (part.length > 0) {
-          // Fallback for non-standard formats
-          projects.push({
-            projectCode: null,
-            workOrder: part,
-            fullEntry: part,
-          });
-        }
+      const { entries, issues } = WorkHistoryParser.parseWorkHistory(workHistory);
+      for (const issue of issues) {
+        logWarn("Unparseable work history entry", { ...context, ...issue });
+        this.workHistoryIssues.push({ ...context, ...issue });
       }
+      return entries;
     } catch (error) {
       logWarn("Failed to parse work history", {
         workHistory,
         error: error.message,
       });
+      return [];
     }
-
-    return projects;
   }
 
   /**
@@ -766,6 +907,8 @@ class ExcelProcessor {
       totalPlates: this.plateData.length,
       worksheets: Object.keys(this.worksheets).length,
       hasWorkbook: !!this.workbook,
+      columnMapping: this.importReport,
+      workHistoryIssues: this.workHistoryIssues,
     };
   }
   /**
@@ -852,4 +995,6 @@ class ExcelProcessor {
   }
 }
 
+ExcelProcessor.IMPORT_FIELDS = IMPORT_FIELDS;
+
 module.exports = ExcelProcessor;
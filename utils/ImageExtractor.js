@@ -12,15 +12,23 @@ const { logInfo, logError, logWarn } = require("./Logger");
 class ImageExtractor {
   constructor() {
     this.workbook = null;
+    this.report = null;
   }
 
   /**
    * Extract preview images from Excel file
+   * Each image is assigned to the plate whose rows (source.rows from
+   * ExcelProcessor) contain the image's top-left anchor row
    * @param {string} excelFilePath - Path to Excel file
    * @param {string} outputDir - Directory to save images
-   * @returns {Object} Mapping of plate numbers to image filenames
+   * @param {Object} options
+   * @param {boolean} [options.dryRun=false] - Build the mapping without writing any files
+   * @param {Array} [options.plates=[]] - Plates parsed by ExcelProcessor
+   * @returns {Object} Mapping of plate numbers to image filenames (details in getReport())
    */
-  async extractImages(excelFilePath, outputDir) {
+  async extractImages(excelFilePath, outputDir, { dryRun = false, plates = [] } = {}) {
+    this.report = { totalImages: 0, matched: 0, unmatched: [], conflicts: [], warnings: [] };
+
     try {
       logInfo("Starting image extraction with ExcelJS", {
         excelFilePath,
@@ -29,86 +37,107 @@ class ImageExtractor {
 
       // Create previews directory
       const previewsDir = path.join(outputDir, "previews");
-      await fs.mkdir(previewsDir, { recursive: true });
+      if (!dryRun) {
+        await fs.mkdir(previewsDir, { recursive: true });
+      }
 
       // Load workbook with ExcelJS
       this.workbook = new ExcelJS.Workbook();
       await this.workbook.xlsx.readFile(excelFilePath);
 
       const imageMap = {};
-      let imageCounter = 0;
+      const rowIndex = this.buildRowIndex(plates);
+      const assignments = new Map();
 
-      // Process first worksheet (should be 'Munka1')
-      const worksheet = this.workbook.getWorksheet(1);
+      for (const worksheet of this.workbook.worksheets) {
+        const images = worksheet.getImages ? worksheet.getImages() : [];
+        if (images.length === 0) {
+          continue;
+        }
+        logInfo(`Found ${images.length} images in worksheet ${worksheet.name}`);
 
-      if (!worksheet) {
-        logWarn("No worksheet found in Excel file");
-        return imageMap;
-      }
+        for (const imageInfo of images) {
+          this.report.totalImages++;
+          const anchor = this.getAnchor(worksheet, imageInfo);
+          const plateNumber = this.determinePlateNumber(rowIndex, worksheet.name, anchor.row);
+
+          if (!plateNumber) {
+            this.report.unmatched.push(anchor);
+            this.report.warnings.push(
+              `Image at ${anchor.worksheet}!${anchor.cell} is not on a plate row and was skipped`
+            );
+            continue;
+          }
 
-      logInfo(`Processing worksheet: ${worksheet.name}`);
+          if (!assignments.has(plateNumber)) {
+            assignments.set(plateNumber, []);
+          }
+          assignments.get(plateNumber).push({ imageInfo, anchor });
+        }
+      }
 
-      // Look for images in the worksheet
-      if (worksheet.getImages && worksheet.getImages().length > 0) {
-        const images = worksheet.getImages();
-        logInfo(`Found ${images.length} images in worksheet`);
+      for (const [plateNumber, candidates] of assignments) {
+        const [{ imageInfo, anchor }] = candidates;
+
+        if (candidates.length > 1) {
+          this.report.conflicts.push({
+            plateNumber,
+            images: candidates.map((candidate) => candidate.anchor),
+          });
+          this.report.warnings.push(
+            `Plate ${plateNumber} has ${candidates.length} images (${candidates
+              .map((candidate) => `${candidate.anchor.worksheet}!${candidate.anchor.cell}`)
+              .join(", ")}); using ${anchor.worksheet}!${anchor.cell}`
+          );
+        }
 
-        // Process each image
-        for (const imageInfo of images) {
-          try {
-            imageCounter++;
+        // Get image buffer from workbook media
+        const image = this.workbook.model.media.find(
+          (m) => m.index === imageInfo.imageId
+        );
+        if (!image || !image.buffer) {
+          this.report.warnings.push(`Image at ${anchor.worksheet}!${anchor.cell} has no image data`);
+          continue;
+        }
 
-            // Get image buffer from workbook media
-            const imageId = imageInfo.imageId;
-            const image = this.workbook.model.media.find(
-              (m) => m.index === imageId
-            );
+        // Determine file extension based on image type
+        const extension = this.getImageExtension(image.extension || "png");
+        const imageName = `plate_${String(plateNumber).replace(/[^A-Za-z0-9_-]/g, "_")}_preview.${extension}`;
 
-            if (image && image.buffer) {
-              // Determine file extension based on image type
-              const extension = this.getImageExtension(
-                image.extension || "png"
-              );
-              const imageName = `plate_${imageCounter}_preview.${extension}`;
-              const imagePath = path.join(previewsDir, imageName);
-
-              // Save image to file
-              await fs.writeFile(imagePath, image.buffer);
-
-              // Try to map to plate number based on image position/order
-              const plateNumber = this.determinePlateNumber(
-                imageInfo,
-                imageCounter
-              );
-              imageMap[plateNumber] = imageName;
-
-              logInfo(`Extracted image ${imageCounter}`, {
-                plateNumber,
-                imageName,
-                size: image.buffer.length,
-              });
-            }
-          } catch (imageError) {
-            logError(`Failed to extract image ${imageCounter}`, {
-              error: imageError.message,
-            });
+        // Save image to file
+        try {
+          if (!dryRun) {
+            await fs.writeFile(path.join(previewsDir, imageName), image.buffer);
           }
+        } catch (imageError) {
+          logError(`Failed to extract image for plate ${plateNumber}`, {
+            error: imageError.message,
+          });
+          continue;
         }
-      } else {
-        logWarn("No images found in worksheet - creating placeholders");
 
-        // Create placeholder images for plates 1-38
-        for (let i = 1; i <= 38; i++) {
-          const imageName = `plate_${i}_preview_placeholder.png`;
-          const imagePath = path.join(previewsDir, imageName);
+        imageMap[plateNumber] = imageName;
+        this.report.matched++;
 
-          // Create empty placeholder file
-          await fs.writeFile(imagePath, "");
-          imageMap[i] = imageName;
-        }
+        logInfo(`Extracted image for plate ${plateNumber}`, {
+          imageName,
+          cell: `${anchor.worksheet}!${anchor.cell}`,
+          size: image.buffer.length,
+        });
+      }
+
+      if (this.report.totalImages === 0) {
+        logWarn("No images found in workbook");
+      }
+      if (this.report.warnings.length > 0) {
+        logWarn("Some preview images could not be assigned", {
+          unmatched: this.report.unmatched.length,
+          conflicts: this.report.conflicts.length,
+        });
       }
 
       logInfo(`Image extraction completed`, {
+        totalImages: this.report.totalImages,
         totalExtracted: Object.keys(imageMap).length,
         outputDir: previewsDir,
       });
@@ -120,29 +149,61 @@ class ImageExtractor {
         excelFilePath,
         outputDir,
       });
+      this.report.warnings.push(`Image extraction failed: ${error.message}`);
       return {};
     }
   }
 
   /**
-   * Determine plate number from image information
-   * @param {Object} imageInfo - ExcelJS image information
-   * @param {number} imageCounter - Sequential counter
-   * @returns {number} Plate number
+   * Report of the last extraction
+   * @returns {Object|null} { totalImages, matched, unmatched, conflicts, warnings }
+   */
+  getReport() {
+    return this.report;
+  }
+
+  /**
+   * Index the Excel rows of every plate by worksheet
+   * @param {Array} plates - Plates with source.worksheet and source.rows
+   * @returns {Map<string, Map<number, string>>} worksheet -> row -> plateNumber
    */
-  determinePlateNumber(imageInfo, imageCounter) {
-    // Try to extract plate number from image position or cell reference
-    if (imageInfo.range) {
-      // If image has cell range, try to extract row number
-      const row = imageInfo.range.tl.row; // Top-left row
-      // Assuming each plate starts around row 3, 18, 33, etc.
-      // This is a rough estimate - may need adjustment based on actual Excel structure
-      const plateNumber = Math.ceil((row - 2) / 15); // Rough calculation
-      return Math.max(1, Math.min(38, plateNumber));
+  buildRowIndex(plates) {
+    const rowIndex = new Map();
+    for (const plate of plates) {
+      const source = plate.source || plate.excelSource;
+      if (!source || !Array.isArray(source.rows)) {
+        continue;
+      }
+      if (!rowIndex.has(source.worksheet)) {
+        rowIndex.set(source.worksheet, new Map());
+      }
+      const rows = rowIndex.get(source.worksheet);
+      source.rows.forEach((row) => rows.set(row, plate.plateNumber));
     }
+    return rowIndex;
+  }
 
-    // Fallback: use sequential counter
-    return Math.min(imageCounter, 38);
+  /**
+   * Top-left anchor of an image as a 1-based row and a cell address
+   */
+  getAnchor(worksheet, imageInfo) {
+    const topLeft = (imageInfo.range && imageInfo.range.tl) || {};
+    const row = Math.floor(topLeft.nativeRow ?? topLeft.row ?? 0) + 1;
+    const col = Math.floor(topLeft.nativeCol ?? topLeft.col ?? 0) + 1;
+    return {
+      worksheet: worksheet.name,
+      row,
+      cell: worksheet.getCell(row, col).address,
+    };
+  }
+
+  /**
+   * Find the plate whose rows contain the anchor row
+   * @returns {string|null} Plate number, or null when no plate owns the row
+   */
+  determinePlateNumber(rowIndex, worksheetName, row) {
+    const rows = rowIndex.get(worksheetName);
+    return (rows && rows.get(row)) || null;
   }
 
   /**
@@ -1,7 +1,9 @@
 // utils/ModelFolderValidator.js
 /**
  * Validates model folder structure for ClampingPlateManager
- * Each plate folder MUST contain exactly 1 model file and 1 preview image
+ * Each plate folder MUST contain exactly 1 model file and 1 preview image.
+ * Problems are reported, never thrown: the caller decides whether an invalid
+ * folder stops an import or is skipped
  */
 
 const fs = require("fs").promises;
@@ -17,72 +19,103 @@ class ModelFolderValidator {
   /**
    * Validate all model folders in the given path
    * @param {string} modelsRootPath - Root path containing plate folders
-   * @returns {Promise<Object>} Validation result with issues array
+   * @param {Object} [options]
+   * @param {boolean} [options.skipInvalidFolders=false] - Mark invalid folders as skipped
+   * @returns {Promise<Object>} Validation report: { modelsPath, valid, totalFolders,
+   *   validFolders, invalidFolders, skipInvalidFolders, skippedFolders, issues, folders, error }.
+   *   issues lists the invalid folders with their findings; error is set (and
+   *   no folder checked) when the root cannot be read
    */
-  async validateModelFolders(modelsRootPath) {
+  async validateModelFolders(modelsRootPath, options = {}) {
     logInfo("Starting model folder validation", { modelsRootPath });
 
+    let entries;
     try {
-      const entries = await fs.readdir(modelsRootPath, { withFileTypes: true });
-      const folders = entries.filter((entry) => entry.isDirectory());
-
-      const issues = [];
-      let validCount = 0;
-
-      for (const folder of folders) {
-        const folderPath = path.join(modelsRootPath, folder.name);
-        const result = await this.validateSingleFolder(folderPath, folder.name);
-
-        if (!result.valid) {
-          issues.push({
-            folder: folder.name,
-            path: folderPath,
-            modelCount: result.modelCount,
-            imageCount: result.imageCount,
-            problems: result.problems,
-          });
-        } else {
-          validCount++;
-        }
-      }
+      entries = await fs.readdir(modelsRootPath, { withFileTypes: true });
+    } catch (error) {
+      logWarn("Model folder could not be read, nothing validated", { modelsRootPath, error: error.message });
+      return this.buildReport(modelsRootPath, [], options, error);
+    }
 
-      const totalFolders = folders.length;
-      const hasIssues = issues.length > 0;
-
-      const validationResult = {
-        valid: !hasIssues,
-        totalFolders,
-        validFolders: validCount,
-        invalidFolders: issues.length,
-        issues,
-      };
-
-      if (hasIssues) {
-        logWarn("Model folder validation found issues", {
-          totalFolders,
-          validFolders: validCount,
-          invalidFolders: issues.length,
-        });
-      } else {
-        logInfo("Model folder validation passed", {
-          totalFolders,
-          validFolders: validCount,
+    const folders = [];
+    for (const entry of entries.filter((candidate) => candidate.isDirectory())) {
+      const folderPath = path.join(modelsRootPath, entry.name);
+      try {
+        folders.push({ folder: entry.name, path: folderPath, ...(await this.validateSingleFolder(folderPath, entry.name)) });
+      } catch (error) {
+        logError("Model folder could not be read", { folderPath, error: error.message });
+        folders.push({
+          folder: entry.name,
+          path: folderPath,
+          valid: false,
+          modelCount: 0,
+          imageCount: 0,
+          modelFiles: [],
+          imageFiles: [],
+          problems: [`Folder could not be read: ${error.message}`],
+          findings: [{
+            type: "UNREADABLE_FOLDER",
+            message: `Folder could not be read: ${error.message}`,
+            files: [],
+            suggestedFix: `Check the permissions of folder "${entry.name}"`,
+          }],
         });
       }
+    }
 
-      return validationResult;
-    } catch (error) {
-      const errorMessage = error instanceof Error ? error.message : String(error);
-      logError("Model folder validation failed", { error: errorMessage });
-      throw new Error(`Validation failed: ${errorMessage}`);
+    const report = this.buildReport(modelsRootPath, folders, options);
+    if (report.valid) {
+      logInfo("Model folder validation passed", { totalFolders: report.totalFolders });
+    } else {
+      logWarn("Model folder validation found issues", {
+        totalFolders: report.totalFolders,
+        invalidFolders: report.invalidFolders,
+        skipped: report.skippedFolders.length,
+      });
     }
+    return report;
+  }
+
+  /**
+   * Assemble the validation report from per-folder results
+   */
+  buildReport(modelsRootPath, folders, options = {}, error = null) {
+    const skipInvalidFolders = Boolean(options.skipInvalidFolders);
+    const invalid = folders.filter((folder) => !folder.valid);
+
+    return {
+      modelsPath: modelsRootPath,
+      generatedDate: new Date().toISOString(),
+      valid: invalid.length === 0,
+      totalFolders: folders.length,
+      validFolders: folders.length - invalid.length,
+      invalidFolders: invalid.length,
+      skipInvalidFolders,
+      skippedFolders: skipInvalidFolders ? invalid.map((folder) => folder.folder) : [],
+      issues: invalid.map((folder) => ({
+        folder: folder.folder,
+        path: folder.path,
+        modelCount: folder.modelCount,
+        imageCount: folder.imageCount,
+        problems: folder.problems,
+        findings: folder.findings,
+      })),
+      folders: folders.map((folder) => ({
+        folder: folder.folder,
+        valid: folder.valid,
+        skipped: skipInvalidFolders && !folder.valid,
+        modelFiles: folder.modelFiles,
+      })),
+      error: error ? error.message : null,
+    };
   }
 
   /**
    * Validate a single plate folder
    * @param {string} folderPath - Path to plate folder
    * @param {string} folderName - Name of folder (for reporting)
-   * @returns {Promise<Object>} Validation result for this folder
+   * @returns {Promise<Object>} Validation result for this folder; findings
+   *   hold each problem as { type, message, files, suggestedFix }
    */
   async validateSingleFolder(folderPath, folderName) {
     const files = await fs.readdir(folderPath);
@@ -106,18 +139,38 @@ class ModelFolderValidator {
       }
     }
 
-    const problems = [];
+    const findings = [];
 
     if (modelCount === 0) {
-      problems.push("No model file found");
+      findings.push({
+        type: "MISSING_MODEL",
+        message: "No model file found",
+        files: [],
+        suggestedFix: `Add the plate's model file (${this.modelExtensions.join(", ")}) to folder "${folderName}"`,
+      });
     } else if (modelCount > 1) {
-      problems.push(`Multiple model files found: ${modelFiles.join(", ")}`);
+      findings.push({
+        type: "MULTIPLE_MODELS",
+        message: `Multiple model files found: ${modelFiles.join(", ")}`,
+        files: modelFiles,
+        suggestedFix: `Keep only the current model file in folder "${folderName}" and move the others out`,
+      });
     }
 
     if (imageCount === 0) {
-      problems.push("No preview image found");
+      findings.push({
+        type: "MISSING_IMAGE",
+        message: "No preview image found",
+        files: [],
+        suggestedFix: `Add a preview image (${this.imageExtensions.join(", ")}) to folder "${folderName}"`,
+      });
     } else if (imageCount > 1) {
-      problems.push(`Multiple images found: ${imageFiles.join(", ")}`);
+      findings.push({
+        type: "MULTIPLE_IMAGES",
+        message: `Multiple images found: ${imageFiles.join(", ")}`,
+        files: imageFiles,
+        suggestedFix: `Keep only one preview image in folder "${folderName}"`,
+      });
     }
 
     return {
@@ -126,7 +179,8 @@ class ModelFolderValidator {
       imageCount,
       modelFiles,
       imageFiles,
-      problems,
+      problems: findings.map((finding) => finding.message),
+      findings,
     };
   }
 
@@ -141,8 +195,11 @@ class ModelFolderValidator {
     for (const issue of issues) {
       lines.push(`❌ ${issue.folder}:`);
       lines.push(`   Models: ${issue.modelCount} | Images: ${issue.imageCount}`);
-      for (const problem of issue.problems) {
-        lines.push(`   → ${problem}`);
+      for (const finding of issue.findings || issue.problems.map((message) => ({ message }))) {
+        lines.push(`   → ${finding.message}`);
+        if (finding.suggestedFix) {
+          lines.push(`     Fix: ${finding.suggestedFix}`);
+        }
       }
       lines.push("");
     }
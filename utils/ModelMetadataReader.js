@@ -0,0 +1,368 @@
+// utils/ModelMetadataReader.js
+/**
+ * Model file metadata reader
+ * Reads size and SHA-256 of model files and the plain-text header of STEP
+ * (ISO 10303-21) and IGES files: originating system, author, timestamp, units.
+ * STEP geometry also gives the bounding box of the model
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const MODEL_FORMATS = {
+  ".step": "step",
+  ".stp": "step",
+  ".iges": "iges",
+  ".igs": "iges",
+  ".x_t": "parasolid",
+  ".x_b": "parasolid",
+  ".dwg": "dwg",
+};
+
+/**
+ * Bytes read for the header; STEP and IGES headers sit well inside this
+ */
+const HEADER_BYTES = 64 * 1024;
+
+const STEP_SI_PREFIXES = { MILLI: "mm", CENTI: "cm", DECI: "dm", MICRO: "um", KILO: "km", $: "m" };
+const STEP_SI_UNIT = /SI_UNIT\s*\(\s*(?:\.([A-Z]+)\.|(\$))\s*,\s*\.METRE\.\s*\)/;
+const STEP_CONVERSION_UNIT = /CONVERSION_BASED_UNIT\s*\(\s*'(INCH|FOOT)'/i;
+const STEP_CARTESIAN_POINT = /CARTESIAN_POINT\s*\(\s*'(?:[^']|'')*'\s*,\s*\(([^()]*)\)/;
+
+/**
+ * Millimetres per length unit, for bounding boxes
+ */
+const UNIT_SCALES_MM = { um: 0.001, mm: 1, cm: 10, dm: 100, m: 1000, km: 1000000, inch: 25.4, foot: 304.8 };
+
+const IGES_UNIT_NAMES = { MM: "mm", CM: "cm", M: "m", IN: "inch", INCH: "inch", FT: "foot", UM: "um", MICRON: "um", KM: "km" };
+const IGES_UNIT_FLAGS = { 1: "inch", 2: "mm", 4: "foot", 6: "m", 7: "km", 8: "mil", 9: "um", 10: "cm" };
+
+class ModelMetadataReader {
+  /**
+   * Read size, SHA-256, header and (STEP) bounding box of a model file in a single pass
+   * @param {string} filePath - Model file
+   * @returns {Promise<Object>} { format, size, sha256, header, boundingBox }
+   */
+  async read(filePath) {
+    const format = this.getFormat(filePath);
+    const hash = crypto.createHash("sha256");
+    const headChunks = [];
+    const geometry = format === "step" ? { unitText: "", pointCount: 0, min: [], max: [] } : null;
+    let headLength = 0;
+    let size = 0;
+    let pending = "";
+
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+      size += chunk.length;
+
+      if (headLength < HEADER_BYTES) {
+        headChunks.push(chunk);
+        headLength += chunk.length;
+      }
+
+      // Units and points live in the DATA section, anywhere in the file;
+      // only complete statements are scanned, the rest waits for the next chunk
+      if (geometry) {
+        pending += chunk.toString("latin1");
+        const end = pending.lastIndexOf(";") + 1;
+        this.scanStepStatements(pending.slice(0, end), geometry);
+        pending = pending.slice(end);
+      }
+    }
+
+    const header = this.parseHeader(format, Buffer.concat(headChunks).toString("latin1"));
+    const units = geometry ? this.findStepUnits(geometry.unitText) : null;
+    if (header && format === "step") {
+      header.units = units;
+    }
+
+    return {
+      format,
+      size,
+      sha256: hash.digest("hex"),
+      header,
+      boundingBox: geometry ? this.getBoundingBox(geometry, units) : null,
+    };
+  }
+
+  /**
+   * Read only the header (first bytes) of a model file
+   * STEP units are reported only when they appear near the start
+   * @returns {Promise<Object|null>} Parsed header or null for formats without one
+   */
+  async readHeader(filePath) {
+    const format = this.getFormat(filePath);
+    if (format !== "step" && format !== "iges") {
+      return null;
+    }
+
+    const handle = await fs.promises.open(filePath, "r");
+    try {
+      const buffer = Buffer.alloc(HEADER_BYTES);
+      const { bytesRead } = await handle.read(buffer, 0, HEADER_BYTES, 0);
+      const text = buffer.subarray(0, bytesRead).toString("latin1");
+      const header = this.parseHeader(format, text);
+      if (header && format === "step") {
+        header.units = this.findStepUnits(text);
+      }
+      return header;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  getFormat(filePath) {
+    return MODEL_FORMATS[path.extname(filePath).toLowerCase()] || "unknown";
+  }
+
+  parseHeader(format, text) {
+    if (format === "step") {
+      return this.parseStepHeader(text);
+    }
+    if (format === "iges") {
+      return this.parseIgesHeader(text);
+    }
+    return null;
+  }
+
+  /**
+   * Parse the HEADER section of a STEP file
+   * FILE_NAME(name, time_stamp, (author), (organization), preprocessor_version,
+   * originating_system, authorization); FILE_SCHEMA((schema))
+   * @returns {Object|null} Header fields, null when the text is not STEP
+   */
+  parseStepHeader(text) {
+    if (!/^\s*ISO-10303-21\s*;/.test(text)) {
+      return null;
+    }
+
+    const fileName = this.readStepEntity(text, "FILE_NAME") || [];
+    const fileSchema = this.readStepEntity(text, "FILE_SCHEMA") || [];
+    const joinList = (value) => (Array.isArray(value) ? value.filter(Boolean).join(", ") : value) || null;
+
+    return {
+      fileName: fileName[0] || null,
+      timestamp: this.normalizeTimestamp(fileName[1]),
+      rawTimestamp: fileName[1] || null,
+      author: joinList(fileName[2]),
+      organization: joinList(fileName[3]),
+      preprocessor: fileName[4] || null,
+      originatingSystem: fileName[5] || null,
+      schema: joinList(fileSchema[0]),
+      units: null,
+    };
+  }
+
+  /**
+   * Read the arguments of a STEP header entity such as FILE_NAME(...)
+   * Strings become strings ('' unescaped), lists arrays and $ null
+   * @returns {Array|null}
+   */
+  readStepEntity(text, name) {
+    const match = new RegExp(`\\b${name}\\s*\\(`).exec(text);
+    if (!match) {
+      return null;
+    }
+
+    let pos = match.index + match[0].length;
+    const stack = [[]];
+
+    while (pos < text.length && stack.length > 0) {
+      const char = text[pos];
+      if (char === "'") {
+        let value = "";
+        pos++;
+        while (pos < text.length) {
+          if (text[pos] === "'" && text[pos + 1] === "'") {
+            value += "'";
+            pos += 2;
+          } else if (text[pos] === "'") {
+            break;
+          } else {
+            value += text[pos++];
+          }
+        }
+        stack[stack.length - 1].push(value);
+      } else if (char === "(") {
+        const list = [];
+        stack[stack.length - 1].push(list);
+        stack.push(list);
+      } else if (char === ")") {
+        const list = stack.pop();
+        if (stack.length === 0) {
+          return list;
+        }
+      } else if (char === "$") {
+        stack[stack.length - 1].push(null);
+      }
+      pos++;
+    }
+
+    return null;
+  }
+
+  /**
+   * Length unit from STEP SI_UNIT / CONVERSION_BASED_UNIT entities
+   */
+  findStepUnits(text) {
+    const conversion = STEP_CONVERSION_UNIT.exec(text);
+    if (conversion) {
+      return conversion[1].toLowerCase() === "inch" ? "inch" : "foot";
+    }
+    const siUnit = STEP_SI_UNIT.exec(text);
+    if (siUnit) {
+      return STEP_SI_PREFIXES[siUnit[1] || siUnit[2]] || `${siUnit[1].toLowerCase()}metre`;
+    }
+    return null;
+  }
+
+  /**
+   * Collect unit entities and the extent of 3D CARTESIAN_POINTs from complete
+   * STEP statements; 2D points (curve parameter space) are ignored
+   */
+  scanStepStatements(text, geometry) {
+    for (const statement of text.split(";")) {
+      if (statement.includes("CARTESIAN_POINT")) {
+        const match = STEP_CARTESIAN_POINT.exec(statement);
+        const coordinates = match ? match[1].split(",").map(Number) : [];
+        if (coordinates.length !== 3 || coordinates.some(isNaN)) {
+          continue;
+        }
+        coordinates.forEach((value, axis) => {
+          geometry.min[axis] = geometry.pointCount === 0 ? value : Math.min(geometry.min[axis], value);
+          geometry.max[axis] = geometry.pointCount === 0 ? value : Math.max(geometry.max[axis], value);
+        });
+        geometry.pointCount++;
+      } else if (statement.includes("_UNIT")) {
+        geometry.unitText += `${statement};`;
+      }
+    }
+  }
+
+  /**
+   * Axis-aligned bounding box in millimetres
+   * Files without a declared length unit are taken as millimetres
+   * @returns {Object|null} { min, max, size, units, sourceUnits, pointCount }, null without points
+   */
+  getBoundingBox(geometry, units) {
+    const scale = UNIT_SCALES_MM[units || "mm"];
+    if (geometry.pointCount === 0 || !scale) {
+      return null;
+    }
+
+    const toMillimetres = (value) => Math.round(value * scale * 1000) / 1000;
+    const toPoint = ([x, y, z]) => ({ x: toMillimetres(x), y: toMillimetres(y), z: toMillimetres(z) });
+
+    return {
+      min: toPoint(geometry.min),
+      max: toPoint(geometry.max),
+      size: toPoint(geometry.max.map((value, axis) => value - geometry.min[axis])),
+      units: "mm",
+      sourceUnits: units,
+      pointCount: geometry.pointCount,
+    };
+  }
+
+  /**
+   * Parse the Global section of an IGES file (80-column records, "G" in column 73)
+   * @returns {Object|null} Header fields, null when the text is not IGES
+   */
+  parseIgesHeader(text) {
+    const globalText = text
+      .split(/\r?\n/)
+      .filter((line) => line.length >= 73 && line[72] === "G")
+      .map((line) => line.slice(0, 72))
+      .join("");
+
+    if (!globalText) {
+      return null;
+    }
+
+    const params = this.parseIgesGlobal(globalText);
+    const unitName = params[14] ? params[14].toUpperCase() : null;
+
+    return {
+      fileName: params[3] || null,
+      timestamp: this.normalizeIgesDate(params[17]),
+      rawTimestamp: params[17] || null,
+      author: params[20] || null,
+      organization: params[21] || null,
+      preprocessor: params[5] || null,
+      originatingSystem: params[4] || null,
+      productId: params[2] || null,
+      units: (unitName && IGES_UNIT_NAMES[unitName]) || IGES_UNIT_FLAGS[params[13]] || null,
+    };
+  }
+
+  /**
+   * Split IGES global parameters, honouring custom delimiters and nH strings
+   * @returns {Array<string|null>} Parameters in order (0-based)
+   */
+  parseIgesGlobal(text) {
+    let delimiter = ",";
+    let terminator = ";";
+    let pos = 0;
+
+    if (text.startsWith("1H")) {
+      delimiter = text[2];
+      pos = 3;
+    }
+    pos++;
+    if (text.startsWith("1H", pos)) {
+      terminator = text[pos + 2];
+      pos += 3;
+    }
+
+    const params = [delimiter, terminator];
+    while (pos < text.length && text[pos] === delimiter) {
+      pos++;
+      const hollerith = /^\s*(\d+)H/.exec(text.slice(pos));
+      if (hollerith) {
+        const start = pos + hollerith[0].length;
+        params.push(text.substr(start, Number(hollerith[1])));
+        pos = start + Number(hollerith[1]);
+      } else {
+        let end = pos;
+        while (end < text.length && text[end] !== delimiter && text[end] !== terminator) {
+          end++;
+        }
+        params.push(text.slice(pos, end).trim() || null);
+        pos = end;
+      }
+      while (pos < text.length && text[pos] === " ") {
+        pos++;
+      }
+    }
+
+    return params;
+  }
+
+  /**
+   * IGES dates: YYYYMMDD.HHNNSS, or YYMMDD.HHNNSS in older files
+   */
+  normalizeIgesDate(value) {
+    const match = /^(\d{2}|\d{4})(\d{2})(\d{2})\.(\d{2})(\d{2})(\d{2})$/.exec(String(value || "").trim());
+    if (!match) {
+      return null;
+    }
+    let [, year] = match;
+    if (year.length === 2) {
+      year = `${Number(year) < 70 ? "20" : "19"}${year}`;
+    }
+    return this.normalizeTimestamp(`${year}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`);
+  }
+
+  normalizeTimestamp(value) {
+    if (!value) {
+      return null;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+}
+
+ModelMetadataReader.MODEL_FORMATS = MODEL_FORMATS;
+
+module.exports = ModelMetadataReader;
@@ -0,0 +1,141 @@
+// utils/ModelRevisionStore.js
+/**
+ * Model revision archive
+ * Keeps a copy of every model file version seen by the importer or the model
+ * folder watcher in "model_revisions" beside the models folder, laid out as
+ * <plate folder>/<sha256 prefix>/<file name>, so a file overwritten in place
+ * can still be downloaded or restored
+ */
+
+const { constants } = require("fs");
+const fs = require("fs").promises;
+const path = require("path");
+const config = require("../config");
+const { logWarn } = require("./Logger");
+
+/**
+ * Hex digits of the SHA-256 used in archive folder names
+ */
+const HASH_PREFIX_LENGTH = 16;
+
+class ModelRevisionStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.revisionsDir] - Archive folder, defaults to "model_revisions" beside config.getModelsDir()
+   */
+  constructor(options = {}) {
+    this.revisionsDir = options.revisionsDir || null;
+  }
+
+  getRevisionsDir() {
+    return path.resolve(this.revisionsDir || path.join(path.dirname(config.getModelsDir()), "model_revisions"));
+  }
+
+  /**
+   * Archive every model file that has a checksum; files already archived are
+   * left alone, failures are logged and do not stop the rest
+   * @param {Array} modelFiles - Entries with relativePath, sha256 and fullPath (or a sourceDir)
+   * @param {string} [sourceDir] - Models folder the relative paths point into
+   * @returns {Promise<number>} Number of files newly archived
+   */
+  async archiveModelFiles(modelFiles, sourceDir = null) {
+    let archived = 0;
+    for (const file of modelFiles) {
+      const sha256 = file.sha256 || (file.metadata && file.metadata.sha256);
+      if (!sha256) {
+        continue;
+      }
+
+      const sourcePath = file.fullPath || path.join(sourceDir, file.relativePath);
+      try {
+        if (await this.archive(sourcePath, file.relativePath, sha256)) {
+          archived++;
+        }
+      } catch (error) {
+        logWarn("Could not archive model revision", { sourcePath, error: error.message });
+      }
+    }
+    return archived;
+  }
+
+  /**
+   * Copy a model file into the archive unless that version is already there
+   * @returns {Promise<boolean>} true when the file was copied
+   */
+  async archive(sourcePath, relativePath, sha256) {
+    const target = path.join(this.getRevisionsDir(), ModelRevisionStore.getArchivedPath(relativePath, sha256));
+    await fs.mkdir(path.dirname(target), { recursive: true });
+
+    try {
+      await fs.copyFile(sourcePath, target, constants.COPYFILE_EXCL);
+      return true;
+    } catch (error) {
+      if (error.code === "EEXIST") {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Absolute path of an archived revision, or null when it is not on disk
+   */
+  async resolve(revision) {
+    const revisionsDir = this.getRevisionsDir();
+    const filePath = path.resolve(revisionsDir, revision.archivedPath);
+    if (!filePath.startsWith(revisionsDir + path.sep)) {
+      return null;
+    }
+
+    try {
+      const stats = await fs.stat(filePath);
+      return stats.isFile() ? { filePath, size: stats.size, modifiedDate: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Archive location of a model version, relative to the revisions folder
+   * @param {string} relativePath - Model path in the models folder, e.g. "12/plate_12.x_t"
+   * @param {string} sha256 - Checksum of the version
+   */
+  static getArchivedPath(relativePath, sha256) {
+    const folder = path.posix.dirname(relativePath);
+    return path.posix.join(folder, sha256.slice(0, HASH_PREFIX_LENGTH), path.posix.basename(relativePath));
+  }
+
+  /**
+   * Add a revision for each model file version not yet in the list
+   * @param {Array} revisions - Current modelRevisions of the plate
+   * @param {Array} modelFiles - Current modelFiles of the plate (with sha256)
+   * @param {Object} source - { user, date } recorded on new revisions
+   * @returns {Array} The list, with new revisions appended
+   */
+  static addRevisions(revisions, modelFiles, { user, date }) {
+    const next = [...(revisions || [])];
+    for (const file of modelFiles || []) {
+      const known = next.some((revision) => revision.relativePath === file.relativePath && revision.sha256 === file.sha256);
+      if (!file.sha256 || known) {
+        continue;
+      }
+
+      next.push({
+        revision: next.length + 1,
+        fileName: file.fileName,
+        relativePath: file.relativePath,
+        sha256: file.sha256,
+        size: file.size ?? null,
+        archivedPath: ModelRevisionStore.getArchivedPath(file.relativePath, file.sha256),
+        date: new Date(date).toISOString(),
+        user,
+      });
+    }
+    return next;
+  }
+}
+
+module.exports = ModelRevisionStore;
@@ -0,0 +1,68 @@
+// utils/PlateDimensions.js
+/**
+ * Plate dimensions
+ * Structured length x width x height (mm, largest first) from a model bounding
+ * box or from the hand-filled "Méret" column, and the boxSize text built from them
+ */
+
+/**
+ * Largest difference (mm) between Excel and model dimensions treated as equal
+ */
+const DEFAULT_TOLERANCE_MM = 2;
+
+/**
+ * Dimensions from a model bounding box (see ModelMetadataReader)
+ * @param {Object} boundingBox - { size: {x, y, z} } in millimetres
+ * @param {string} modelFile - Relative path of the model the box came from
+ * @returns {Object} { length, width, height, units, source, modelFile }
+ */
+function fromBoundingBox(boundingBox, modelFile) {
+  const { x, y, z } = boundingBox.size;
+  const [length, width, height] = [x, y, z].sort((a, b) => b - a);
+  return { length, width, height, units: "mm", source: "model", modelFile };
+}
+
+/**
+ * Parse an Excel box size such as "300x200", "300 x 200 x 50" or "30,5*20 cm"
+ * @returns {Object|null} { length, width, height, units, source }, null when not two or three numbers
+ */
+function parseBoxSize(text) {
+  const value = String(text || "").replace(/(\d),(\d)/g, "$1.$2");
+  const numbers = value.match(/\d+(?:\.\d+)?/g);
+  if (!numbers || numbers.length < 2 || numbers.length > 3) {
+    return null;
+  }
+
+  const scale = /\bcm\b/i.test(value) ? 10 : 1;
+  const [length, width, height = null] = numbers
+    .map((number) => Number(number) * scale)
+    .sort((a, b) => b - a);
+  return { length, width, height, units: "mm", source: "excel" };
+}
+
+/**
+ * boxSize text for dimensions, e.g. "300x200x25.5"
+ */
+function formatBoxSize(dimensions) {
+  return [dimensions.length, dimensions.width, dimensions.height]
+    .filter((value) => value !== null && value !== undefined)
+    .map((value) => String(Math.round(value * 10) / 10))
+    .join("x");
+}
+
+/**
+ * Whether two sets of dimensions disagree beyond the tolerance
+ * Height is compared only when both sides have one
+ */
+function differ(a, b, tolerance = DEFAULT_TOLERANCE_MM) {
+  const axes = a.height !== null && b.height !== null ? ["length", "width", "height"] : ["length", "width"];
+  return axes.some((axis) => Math.abs(a[axis] - b[axis]) > tolerance);
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE_MM,
+  fromBoundingBox,
+  parseBoxSize,
+  formatBoxSize,
+  differ,
+};
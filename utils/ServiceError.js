@@ -0,0 +1,45 @@
+// utils/ServiceError.js
+/**
+ * Error type for service-layer failures that map to an HTTP status
+ * Lets WebService answer with 400/403/404/409 instead of a blanket 500
+ */
+
+class ServiceError extends Error {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {number} status - HTTP status code to respond with
+   * @param {Object|null} details - Extra data included in the error response
+   */
+  constructor(message, status = 500, details = null) {
+    super(message);
+    this.name = "ServiceError";
+    this.status = status;
+    this.details = details;
+  }
+
+  static badRequest(message, details = null) {
+    return new ServiceError(message, 400, details);
+  }
+
+  static forbidden(message, details = null) {
+    return new ServiceError(message, 403, details);
+  }
+
+  static notFound(message, details = null) {
+    return new ServiceError(message, 404, details);
+  }
+
+  static conflict(message, details = null) {
+    return new ServiceError(message, 409, details);
+  }
+
+  static preconditionFailed(message, details = null) {
+    return new ServiceError(message, 412, details);
+  }
+
+  static unprocessable(message, details = null) {
+    return new ServiceError(message, 422, details);
+  }
+}
+
+module.exports = ServiceError;
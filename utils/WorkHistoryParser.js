@@ -0,0 +1,154 @@
+// utils/WorkHistoryParser.js
+/**
+ * Work history grammar for the Projekt column of Készülékek.xlsx
+ *
+ * An entry is "<code>: <order> <note>", e.g. "G: -4816AS05_083-084-285 KB":
+ *   code      position letter on the plate, followed by ":" or "_"
+ *   order     "_"-separated tokens: a head with the project number (4 digits,
+ *             optionally "-NN" for a second project such as 4949-50), an
+ *             optional sub-assembly (NS01, AS05, Z01...) and optional attached
+ *             part numbers, then part lists ("083-084-285") or ranges
+ *             ("003-006"), and variant words ("B", "nagyolt")
+ *   note      free text after the order ("KB", "(Nem teljes!...)")
+ * Entries are separated by ";", or by "," when another "<code>:" follows; a
+ * "," followed by another order continues the previous entry and inherits
+ * its code.
+ */
+
+const ENTRY_CODE = /^([A-Z])\s*(?::\s*_?|_)\s*(.*)$/;
+const CONTINUATION_SPLIT = /,\s*(?=[A-Z]\s*(?::|_)|[-_]*W?[-_]*\d{4})/;
+const ORDER_PREFIX = /^[-_]*(W?)[-_]*/;
+const HEAD_TOKEN = /^(\d{4})(?:-(\d{2})(?!\d))?(?:-?([A-Z]{1,2}\d{2}))?(?:-?(\d{2,3}(?:-\d{2,3})*))?$/;
+const PARTS_TOKEN = /^\d{1,3}(?:-\d{1,3})*$/;
+const VARIANT_TOKEN = /^[A-Za-z]+$/;
+
+/**
+ * Longest "a-b" span expanded as a range; wider spans are read as a list
+ */
+const MAX_RANGE_SIZE = 50;
+
+/**
+ * Parse a work history string into structured entries
+ * @param {string} workHistory - Raw text, e.g. "A: -4961_061; B: W5009NS01_69-70"
+ * @returns {{entries: Array, issues: Array<{entry: string, reason: string}>}}
+ */
+function parseWorkHistory(workHistory) {
+  const entries = [];
+  const issues = [];
+
+  for (const chunk of String(workHistory || "").split(";")) {
+    let inheritedCode = null;
+
+    chunk.split(CONTINUATION_SPLIT).forEach((text, index) => {
+      const fullEntry = text.trim();
+      if (!fullEntry) {
+        return;
+      }
+
+      const codeMatch = fullEntry.match(ENTRY_CODE);
+      const continuation = index > 0 && !codeMatch;
+      const projectCode = codeMatch ? codeMatch[1] : continuation ? inheritedCode : null;
+      const workOrder = (codeMatch ? codeMatch[2] : fullEntry).trim();
+      inheritedCode = projectCode;
+
+      const [, orderText = "", noteText = ""] = workOrder.match(/^([^\s(]*)\s*(.*)$/) || [];
+      const order = parseOrder(orderText);
+
+      entries.push({
+        projectCode,
+        workOrder,
+        fullEntry,
+        projectNumbers: order.projectNumbers,
+        subAssemblies: order.subAssemblies,
+        parts: order.parts,
+        variants: order.variants,
+        note: noteText.trim() || null,
+        continuation,
+        parsed: !order.error,
+      });
+
+      if (order.error) {
+        issues.push({ entry: fullEntry, reason: order.error });
+      }
+    });
+  }
+
+  return { entries, issues };
+}
+
+/**
+ * Parse the order part of an entry ("-4816AS05_083-084-285")
+ * @returns {Object} { projectNumbers, subAssemblies, parts, variants, error }
+ */
+function parseOrder(orderText) {
+  const order = { projectNumbers: [], subAssemblies: [], parts: [], variants: [], error: null };
+  const tokens = orderText.replace(ORDER_PREFIX, "").split("_").filter(Boolean);
+
+  for (const token of tokens) {
+    const head = token.match(HEAD_TOKEN);
+    if (head) {
+      const [, projectNumber, secondProject, subAssembly, attachedParts] = head;
+      addUnique(order.projectNumbers, projectNumber);
+      if (secondProject) {
+        addUnique(order.projectNumbers, projectNumber.slice(0, 2) + secondProject);
+      }
+      if (subAssembly) {
+        addUnique(order.subAssemblies, subAssembly);
+      }
+      if (attachedParts) {
+        expandParts(attachedParts).forEach((part) => addUnique(order.parts, part));
+      }
+    } else if (PARTS_TOKEN.test(token)) {
+      expandParts(token).forEach((part) => addUnique(order.parts, part));
+    } else if (VARIANT_TOKEN.test(token)) {
+      addUnique(order.variants, token);
+    } else {
+      order.error = `Unrecognized token "${token}"`;
+      return order;
+    }
+  }
+
+  if (order.projectNumbers.length === 0) {
+    order.error = orderText ? "No project number" : "Empty entry";
+  }
+  return order;
+}
+
+/**
+ * Expand a part group: "003-006" is a range, "083-084-285" a list
+ * @returns {string[]} Normalized part numbers
+ */
+function expandParts(group) {
+  const numbers = group.split("-").map(Number);
+  const [first, last] = numbers;
+
+  if (numbers.length === 2 && last > first + 1 && last - first < MAX_RANGE_SIZE) {
+    const parts = [];
+    for (let part = first; part <= last; part++) {
+      parts.push(normalizePart(part));
+    }
+    return parts;
+  }
+
+  return numbers.map(normalizePart);
+}
+
+/**
+ * Normalize a part number to the three-digit form used on the sheet ("69" -> "069")
+ */
+function normalizePart(part) {
+  return String(Number(part)).padStart(3, "0");
+}
+
+function addUnique(list, value) {
+  if (!list.includes(value)) {
+    list.push(value);
+  }
+}
+
+module.exports = {
+  parseWorkHistory,
+  parseOrder,
+  expandParts,
+  normalizePart,
+};